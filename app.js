@@ -5,27 +5,70 @@
  * Pakasir Payment Gateway, and Supabase Database synchronization.
  * * Features:
  * - Auto Seeding Products
- * - Admin Auth Middleware
- * - Dynamic Fulfillment Engine (Panel/SC/Sewa)
+ * - Admin Accounts, Roles & Audit Log (lib/admin-auth)
+ * - Pluggable Fulfillment Engine (lib/fulfillment, one handler per product type)
+ * - Stock-Managed Products with atomic reservation (lib/stock)
+ * - Discount Coupons validated server-side (lib/coupons)
+ * - Sales Reports with CSV export (lib/reports)
+ * - Buyer & Admin Notifications over WhatsApp, Telegram and Email (lib/notifications)
+ * - Bot Rentals with webhook activation & expiry (lib/bot-rentals)
+ * - Pluggable Payment Providers: Pakasir QRIS, Tripay & local sandbox (lib/payments)
+ * - Script Downloads with per-order tokens, limits & watermarking (lib/downloads)
+ * - Script Versions with update notifications to past buyers (lib/product-versions)
+ * - Catalog Import / Export by slug, reordering & bulk edits (lib/catalog)
+ * - Reseller Accounts with prepaid balance, price tiers & API ordering (lib/resellers)
+ * - Pluggable Data Backend: Supabase or local SQLite for offline development (lib/data)
+ * - Abuse Protection: rate limits, pending order cap & IP / username blocklist (lib/abuse)
+ * - Server-Rendered Storefront grouped by category, with a page per product (lib/storefront)
+ * - Admin Refunds with delivery revoke, and manual orders for off-gateway payments (lib/refunds)
  * - Robust Error Handling
  * - Detailed Logging
  */
 
 const express = require('express');
-const axios = require('axios');
 const QRCode = require('qrcode');
 const path = require('path');
 const multer = require('multer');
-const { createClient } = require('@supabase/supabase-js');
+const cookieParser = require('cookie-parser');
 require('dotenv').config();
 
+const fulfillment = require('./lib/fulfillment');
+const pterodactyl = require('./lib/pterodactyl');
+const { createRealPterodactylPanel } = pterodactyl;
+const panelSubscriptions = require('./lib/panel-subscriptions');
+const botRentals = require('./lib/bot-rentals');
+const stock = require('./lib/stock');
+const coupons = require('./lib/coupons');
+const reports = require('./lib/reports');
+const csv = require('./lib/csv');
+const notifications = require('./lib/notifications');
+const payments = require('./lib/payments');
+const downloads = require('./lib/downloads');
+const productVersions = require('./lib/product-versions');
+const catalog = require('./lib/catalog');
+const resellers = require('./lib/resellers');
+const { OrderStateError, generateOrderId, generateOrderSecret, hashOrderSecret, verifyOrderSecret, isLegacyOrder, recordOrderEvent, transitionOrder } = require('./lib/orders');
+const adminAuthLib = require('./lib/admin-auth');
+const database = require('./lib/data');
+const abuse = require('./lib/abuse');
+const storefront = require('./lib/storefront');
+const refunds = require('./lib/refunds');
+
 const app = express();
 const PORT = process.env.PORT || 5000;
 
 // --- 1. CONFIGURATION & SETUP ---
 
 // In-Memory Storage (Legacy Backup - DO NOT REMOVE)
+// Entries are pruned by the expiry sweep after LEGACY_RETENTION_HOURS
 const panelsStorage = {};
+const LEGACY_RETENTION_HOURS = 24;
+
+// Unpaid orders expire after this many minutes unless the gateway reports its own expiry
+const ORDER_EXPIRY_MINUTES = parseInt(process.env.ORDER_EXPIRY_MINUTES) || 30;
+
+// Smallest reseller balance top-up (Rp)
+const RESELLER_MIN_TOPUP = parseInt(process.env.RESELLER_MIN_TOPUP) || 10000;
 
 // Multer Config for Memory Storage (Vercel Serverless Friendly)
 const upload = multer({ 
@@ -33,11 +76,8 @@ const upload = multer({
     limits: { fileSize: 50 * 1024 * 1024 } // Limit 50MB
 });
 
-// Initialize Supabase Client (Service Role for Admin Access)
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
-);
+// Initialize Database Client (Supabase service role, or the local backend with DATA_BACKEND=local)
+const supabase = database.createDatabase();
 
 // Default Configuration Fallback
 const DEFAULT_CONFIG = {
@@ -50,33 +90,58 @@ const DEFAULT_CONFIG = {
   website_logo: "" // Can be empty, handled by frontend
 };
 
+// Dependencies handed to fulfillment handlers
+const fulfillmentContext = {
+  supabase,
+  getSettings: () => getStoreSettings()
+};
+
 // --- 2. MIDDLEWARE ---
 
+// Behind Vercel / a reverse proxy req.ip must come from X-Forwarded-For: rate limits & the blocklist key on it.
+// TRUST_PROXY = number of proxy hops (or an Express "trust proxy" value)
+const trustProxy = process.env.TRUST_PROXY || (process.env.VERCEL ? '1' : '');
+if (trustProxy) app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+
 app.use(express.static('public'));
 app.use(express.urlencoded({ extended: true }));
-app.use(express.json());
+// Keep the raw body around: gateway webhooks sign the exact bytes they sent
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
+app.use(cookieParser());
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 
-// Simple Logging Middleware
+// Simple Logging Middleware (path only, query strings may carry secrets)
 app.use((req, res, next) => {
-    console.log(`[${new Date().toISOString()}] ${req.method} ${req.url} - IP: ${req.ip}`);
+    console.log(`[${new Date().toISOString()}] ${req.method} ${req.path} - IP: ${req.ip}`);
     next();
 });
 
-// Admin Authentication Middleware
-const adminAuth = (req, res, next) => {
-    const token = req.headers['x-admin-token'] || req.query.token;
-    
-    // Strict comparison with ENV variable
-    if (token && token === process.env.ADMIN_DEBUG_TOKEN) {
+// Signed file links of the local storage (DATA_BACKEND=local only)
+if (database.getBackend() === 'local') {
+    app.get(`${database.LOCAL_STORAGE_ROUTE}/:bucket/*`, supabase.storage.serve);
+}
+
+// Admin Authentication Middleware (session cookie + minimum role: viewer < staff < owner)
+const requireAdmin = adminAuthLib.createAdminGuard(supabase);
+
+// Shortcut for writing to the admin audit log
+const audit = (req, action, target, details) => adminAuthLib.logAdminAction(supabase, req, action, target, details);
+
+// Reseller API Key Middleware (sets req.reseller)
+const requireReseller = resellers.createResellerGuard(supabase);
+
+// Public Endpoint Protection (blocklist + rate limit rule from lib/abuse)
+const protect = abuse.createAbuseGuard(supabase);
+
+// Cron Authentication Middleware (Vercel Cron sends "Authorization: Bearer <CRON_SECRET>")
+const cronAuth = (req, res, next) => {
+    const secret = process.env.CRON_SECRET;
+    if (secret && req.headers['authorization'] === `Bearer ${secret}`) {
         next();
     } else {
-        console.warn(`[AUTH FAILED] Attempt to access admin from ${req.ip}`);
-        res.status(401).json({ 
-            success: false, 
-            error: "Unauthorized Access. Invalid Admin Token." 
-        });
+        console.warn(`[CRON AUTH FAILED] Attempt to trigger cron from ${req.ip}`);
+        res.status(401).json({ success: false, error: 'Unauthorized' });
     }
 };
 
@@ -99,14 +164,162 @@ async function getStoreSettings() {
   }
 }
 
-// Generate Random Password for Panels
-function generatePassword() {
-  const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  let password = '';
-  for (let i = 0; i < 10; i++) {
-    password += chars.charAt(Math.floor(Math.random() * chars.length));
+// Per-order secret sent by the buyer (header preferred, query/body for links & forms)
+function readOrderSecret(req) {
+  return req.headers['x-order-secret'] || req.query.secret || req.body?.secret || '';
+}
+
+// Ask the order's payment gateway for the authoritative state ({ status: 'pending' | 'paid' | 'expired' | 'failed' })
+async function fetchPaymentStatus(order) {
+  return payments.providerFor(order).status(order);
+}
+
+// Close an order that will not be paid (cancelled / expired) and hand back anything it was holding
+// (reserved stock items, coupon use). `gateway: false` when no gateway transaction was opened yet.
+async function closeOrder(order, to, { actor = 'system', note = null, gateway = true } = {}) {
+  const closed = await transitionOrder(supabase, order, to, { actor, note });
+  // Close the unpaid transaction at the gateway too (best effort, it expires on its own otherwise)
+  if (gateway && order.status === 'pending') {
+    await payments.providerFor(order).cancel(order)
+      .catch(e => console.error(`[PAYMENT] Cancel failed for ${order.id}:`, e.message));
+  }
+  await fulfillment.release(closed, fulfillmentContext)
+    .catch(e => console.error(`[RELEASE] Failed for ${order.id}:`, e.message));
+  if (closed.coupon_code) {
+    await coupons.releaseRedemption(supabase, order.id)
+      .catch(e => console.error(`[RELEASE] Coupon failed for ${order.id}:`, e.message));
+  }
+  // Reseller API orders: give the debited balance back
+  if (closed.payment_provider === 'balance' && closed.reseller_id) {
+    await resellers.refundOrder(supabase, closed, actor)
+      .catch(e => console.error(`[RESELLER] Refund failed for ${order.id}:`, e.message));
+  }
+  delete panelsStorage[order.id];
+  return closed;
+}
+
+function cancelOrder(order, options) {
+  return closeOrder(order, 'cancelled', options);
+}
+
+function expireOrder(order, options) {
+  return closeOrder(order, 'expired', options);
+}
+
+// When an unpaid order runs out: the gateway's own expiry, or ORDER_EXPIRY_MINUTES after checkout
+function orderExpiry(paymentExpiresAt = null) {
+  const fromGateway = paymentExpiresAt ? new Date(paymentExpiresAt) : null;
+  if (fromGateway && !isNaN(fromGateway)) return fromGateway;
+  return new Date(Date.now() + ORDER_EXPIRY_MINUTES * 60 * 1000);
+}
+
+// Drop memory-only orders older than LEGACY_RETENTION_HOURS; returns how many were removed
+function pruneLegacyStorage() {
+  const cutoff = Date.now() - LEGACY_RETENTION_HOURS * 60 * 60 * 1000;
+  let pruned = 0;
+  Object.keys(panelsStorage).forEach(id => {
+    if (new Date(panelsStorage[id].created_at).getTime() < cutoff) {
+      delete panelsStorage[id];
+      pruned++;
+    }
+  });
+  return pruned;
+}
+
+// Resolve the product a checkout refers to (by ID, or by name for the legacy panel cards)
+async function findCheckoutProduct({ product_id, product_name }) {
+  const query = supabase.from('products').select('*');
+  const { data } = product_id
+    ? await query.eq('id', product_id).maybeSingle()
+    : await query.ilike('name', product_name).maybeSingle();
+  return data;
+}
+
+// Open the gateway transaction for a saved pending order and build its QR image.
+// The order is cancelled when the gateway refuses. -> { payment, expiresAt, qrImage }
+async function openPayment(order, checkout) {
+  let payment;
+  try {
+    payment = await checkout.provider.create(order, { method: checkout.method });
+  } catch (gatewayError) {
+    await cancelOrder(order, { note: `${checkout.provider.label} gagal membuat transaksi`, gateway: false }).catch(() => {});
+    throw gatewayError;
+  }
+  const { raw, ...paymentData } = payment;
+  const expiresAt = payment.expires_at ? orderExpiry(payment.expires_at) : new Date(order.expires_at);
+  await supabase.from('orders')
+    .update({ payment_reference: payment.reference, payment_data: paymentData, expires_at: expiresAt })
+    .eq('id', order.id);
+
+  // QRIS methods; VA & e-wallets show a pay code / link instead
+  let qrImage = '';
+  if (payment.qr_string) {
+    try {
+      qrImage = await QRCode.toDataURL(payment.qr_string, {
+        width: 300, margin: 2, color: { dark: '#000000', light: '#FFFFFF' }
+      });
+    } catch (qrError) { console.error("QR Error", qrError); }
+  }
+  return { payment: paymentData, expiresAt, qrImage };
+}
+
+// Order as shown to its buyer (order lookup & reseller API), with refreshed deliveries.
+// Deliveries revoked by a refund are left out, so no fresh download link is issued for them.
+async function describeOrder(order) {
+  const deliveries = [];
+  const revoked = (order.deliveries || []).filter(d => d.revoked_at);
+  for (const d of order.deliveries || []) {
+    if (d.revoked_at) continue;
+    let payload = d.payload;
+    try {
+      payload = await fulfillment.refresh(order, d, fulfillmentContext);
+    } catch (e) {
+      console.error(`[ORDER LOOKUP] Refresh failed for ${order.id}:`, e.message);
+    }
+    deliveries.push({ delivery_type: d.delivery_type, payload, created_at: d.created_at });
+  }
+
+  return {
+    id: order.id,
+    status: order.status,
+    product_name: order.product_snapshot?.name || '-',
+    product_type: order.product_snapshot?.type || null,
+    amount: Number(order.amount),
+    customer_username: order.customer_username,
+    created_at: order.created_at,
+    paid_at: order.paid_at,
+    fulfilled_at: order.fulfilled_at,
+    refund_amount: order.refunded_at ? Number(order.refund_amount) : undefined,
+    refund_reason: order.refunded_at ? order.refund_reason : undefined,
+    refunded_at: order.refunded_at || undefined,
+    revoked_deliveries: revoked.length || undefined,
+    deliveries
+  };
+}
+
+// Buyer WhatsApp / email from the checkout form (both optional); { whatsapp, email } or { error }
+function readBuyerContact(body) {
+  const contact = { whatsapp: null, email: null };
+  if (body.whatsapp) {
+    contact.whatsapp = notifications.getChannel('whatsapp').normalizeNumber(body.whatsapp);
+    if (!contact.whatsapp) return { error: 'Nomor WhatsApp tidak valid' };
   }
-  return password;
+  if (body.email) {
+    contact.email = String(body.email).trim().toLowerCase();
+    if (contact.email.length > 254 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(contact.email)) return { error: 'Email tidak valid' };
+  }
+  return contact;
+}
+
+// Attach remaining stock to stock-managed products (storefront cards & admin list)
+async function attachStockCounts(products) {
+  const ids = products.filter(p => p.type === 'stock').map(p => p.id);
+  if (!ids.length) return products;
+  const counts = await stock.getCounts(supabase, ids);
+  products.forEach(p => {
+    if (p.type === 'stock') p.stock = counts[p.id] || { available: 0, reserved: 0, sold: 0 };
+  });
+  return products;
 }
 
 // Database Seeder (Run on specific triggers)
@@ -142,7 +355,7 @@ async function seedDatabase() {
         { type: 'sc', name: 'SC Otax', price: 40000, features: ['Bug Otax', 'AS IS (No Test)', 'File Only', 'Resiko Sendiri'], meta: { file_path: '' }, badge: 'BUG', sort_order: 33 }
       ];
 
-      const { error: insertError } = await supabase.from('products').insert(productsToSeed);
+      const { error: insertError } = await supabase.from('products').insert(productsToSeed.map(p => ({ ...p, slug: catalog.slugify(p.name) })));
       if (insertError) throw insertError;
       
       console.log("[SEED] Successfully seeded products.");
@@ -156,50 +369,96 @@ async function seedDatabase() {
 
 // --- 4. PUBLIC ROUTES ---
 
+// Storefront page: every section, or one product (`slug`) with the rest of its section.
+// An unknown slug renders the full storefront with a 404 status.
+async function renderStorefront(req, res, slug = null) {
+    let products = [];
+    try {
+        products = await storefront.listProducts(supabase);
+    } catch (e) {
+        console.error("Storefront Error:", e.message);
+    }
+    const found = slug ? storefront.findProduct(products, slug) : null;
+
+    res.status(slug && !found ? 404 : 200).render('index', {
+        storeName: process.env.STORE_NAME || "IPIN MARKET",
+        baseUrl: `${req.protocol}://${req.get('host')}`,
+        products,
+        sections: storefront.groupProducts(products),
+        product: found ? found.product : null,
+        section: found ? found.section : null,
+        related: found ? found.related : [],
+        notFound: !!slug && !found
+    });
+}
+
 // Render Homepage
 app.get('/', async (req, res) => {
-    // Attempt lazy seed on homepage load (non-blocking)
-    seedDatabase().catch(console.error);
-    
-    // Render index
-    res.render('index', { 
-        storeName: process.env.STORE_NAME || "IPIN MARKET"
+    // Lazy seed on homepage load, awaited so a fresh store does not render empty
+    await seedDatabase();
+    await renderStorefront(req, res);
+});
+
+// Render Product Page (SEO-friendly URL, same checkout as the homepage)
+app.get('/p/:slug', (req, res) => renderStorefront(req, res, req.params.slug));
+
+// Render Order Lookup Page ("Cek Pesanan")
+app.get('/cek-pesanan', (req, res) => {
+    res.render('order', {
+        storeName: process.env.STORE_NAME || "IPIN MARKET",
+        orderId: typeof req.query.id === 'string' ? req.query.id : ''
     });
 });
 
-// Render Admin Page (Logic handled via client-side Vue + Supabase Auth)
+// Use up one download of a token and log who took it
+async function countDownload(req, token) {
+    const counted = await downloads.consumeToken(supabase, token.token);
+    await downloads.logDownload(supabase, counted, { ip: req.ip, userAgent: req.headers['user-agent'] });
+}
+
+// Script Download (token from an sc delivery: counted, logged with the IP, optionally watermarked)
+app.get('/download/:token', async (req, res) => {
+    try {
+        // Checked first and counted only once the file / link is ready, so a failure costs no download
+        const token = await downloads.findToken(supabase, req.params.token);
+
+        const { data: order } = await supabase.from('orders').select('*').eq('id', token.order_id).maybeSingle();
+        // Buyers always get the latest published version, whenever they bought
+        const latest = order?.product_id ? await productVersions.getLatestVersion(supabase, order.product_id) : null;
+        const filePath = latest ? latest.file_path : token.file_path;
+
+        if (order && downloads.getLimits(order.product_snapshot).watermark && downloads.isZip(filePath)) {
+            const settings = await getStoreSettings();
+            const file = downloads.watermarkZip(await downloads.readFile(supabase, filePath), order, settings.store_name);
+            await countDownload(req, token);
+            res.set({
+                'Content-Type': 'application/zip',
+                'Content-Disposition': `attachment; filename="${path.basename(filePath)}"`,
+                'Cache-Control': 'no-store'
+            });
+            return res.send(file);
+        }
+
+        // Unwatermarked files come straight from storage, through a link that dies within a minute
+        const url = await downloads.createRedirectUrl(supabase, filePath);
+        await countDownload(req, token);
+        res.redirect(url);
+    } catch (error) {
+        if (error instanceof downloads.DownloadError) return res.status(error.status).send(error.message);
+        console.error("Download Error:", error.message);
+        res.status(500).send('Gagal menyiapkan file download');
+    }
+});
+
+// Render Admin Page (Vue app; login, sessions & roles are server-side, see requireAdmin / lib/admin-auth)
 app.get('/admin', (req, res) => {
     res.render('admin');
 });
 
 // Configuration Endpoint (Used by frontend to fetch settings & prices)
+// Prices are not part of it: the storefront renders them from the products table (lib/storefront)
 app.get('/alifalfrlggwp7789', async (req, res) => {
   const settings = await getStoreSettings();
-  
-  // Fetch active products for price mapping
-  const { data: products } = await supabase.from('products').select('*').eq('active', true);
-  
-  const prices = {};
-  if (products) {
-    products.forEach(p => {
-      if(p.type === 'panel') {
-         // Create mapping key compatible with old frontend logic
-         let key = 'PANEL_CUSTOM';
-         const n = p.name.toUpperCase();
-         if(n.includes('1GB')) key = 'PANEL_1GB';
-         else if(n.includes('2GB')) key = 'PANEL_2GB';
-         else if(n.includes('3GB')) key = 'PANEL_3GB';
-         else if(n.includes('4GB')) key = 'PANEL_4GB';
-         else if(n.includes('5GB')) key = 'PANEL_5GB';
-         else if(n.includes('6GB')) key = 'PANEL_6GB';
-         else if(n.includes('7GB')) key = 'PANEL_7GB';
-         else if(n.includes('10GB')) key = 'PANEL_10GB';
-         else if(n.includes('UNLIMITED') || n.includes('UNLI')) key = 'PANEL_UNLIMITED';
-         
-         prices[key] = Number(p.price);
-      }
-    });
-  }
 
   res.json({
     STORE_NAME: settings.store_name,
@@ -209,6 +468,8 @@ app.get('/alifalfrlggwp7789', async (req, res) => {
     STORE_GROUP_LINK: settings.store_group_link,
     CONTACT_ADMIN: settings.contact_admin,
     TELEGRAM: settings.telegram_link,
+    // Deep link target for "receive the order on Telegram" (only when the bot is set up)
+    TELEGRAM_BOT: process.env.TELEGRAM_BOT_TOKEN ? settings.telegram_link : null,
     // Mask sensitive keys, just indicate existence
     PAKASIR_SLUG: process.env.PAKASIR_SLUG ? 'Set' : 'Not set',
     PAKASIR_API_KEY: 'Set',
@@ -216,22 +477,17 @@ app.get('/alifalfrlggwp7789', async (req, res) => {
     PT_API_KEY: 'Set',
     PT_NEST_ID: process.env.PT_NEST_ID,
     PT_EGG_ID: process.env.PT_EGG_ID,
-    PT_LOCATION_ID: process.env.PT_LOCATION_ID,
-    PRICES: prices
+    PT_LOCATION_ID: process.env.PT_LOCATION_ID
   });
 });
 
-// Products API (New dynamic endpoint)
+// Products API: what the storefront renders (stock = items left, no reseller prices),
+// plus its sections in display order
 app.get('/api/products', async (req, res) => {
   try {
-      const { data, error } = await supabase
-        .from('products')
-        .select('*')
-        .eq('active', true)
-        .order('sort_order', { ascending: true });
-        
-      if(error) throw error;
-      res.json({ success: true, data });
+      const data = await storefront.listProducts(supabase);
+      const categories = storefront.groupProducts(data).map(({ products, ...section }) => section);
+      res.json({ success: true, data, categories });
   } catch (error) {
       res.status(500).json({ success: false, error: error.message });
   }
@@ -240,63 +496,135 @@ app.get('/api/products', async (req, res) => {
 // --- 5. TRANSACTION ROUTES (CORE LOGIC) ---
 
 // Create Transaction (QRIS)
-app.post('/api/create-qris', async (req, res) => {
+app.post('/api/create-qris', protect('checkout'), async (req, res) => {
   try {
-    const { order_id, amount, username, product_name, product_id, days, password } = req.body;
+    const { amount, product_name, product_id, days, password, renew_subscription_id, renew_rental_id, coupon_code, payment_provider, payment_method } = req.body;
+    let { rental_target } = req.body;
+    // One spelling per buyer, so "Budi" / "budi " share the pending-order cap and rate limit
+    let username = req.body.username ? String(req.body.username).trim().toLowerCase() : undefined;
 
-    if (!order_id || !amount) {
+    if (!product_id && !product_name) {
       return res.status(400).json({ success: false, error: 'Data incomplete' });
     }
 
-    // 1. Validate Product from DB (Security)
-    let prodSnapshot = {};
-    if (product_id) {
-       const { data: p } = await supabase.from('products').select('*').eq('id', product_id).single();
-       if (!p) return res.status(404).json({ success: false, error: 'Product not found' });
-       
-       // Verify Amount
-       if (parseInt(p.price) !== parseInt(amount)) {
-           return res.status(400).json({ success: false, error: 'Price mismatch detected.' });
+    // Optional buyer contacts for delivery notifications
+    const contact = readBuyerContact(req.body);
+    if (contact.error) return res.status(400).json({ success: false, error: contact.error });
+
+    // Gateway & method picked in the checkout modal (default provider when omitted)
+    let checkout;
+    try {
+      checkout = payments.resolveCheckout(payment_provider, payment_method);
+    } catch (paymentError) {
+      if (paymentError instanceof payments.PaymentError) return res.status(paymentError.status).json({ success: false, error: paymentError.message });
+      throw paymentError;
+    }
+
+    // 0. Panel renewal: extend an existing subscription instead of provisioning a new one
+    if (renew_subscription_id) {
+       const { data: sub } = await supabase.from('panel_subscriptions').select('*').eq('id', renew_subscription_id).maybeSingle();
+       if (!sub || sub.status === 'deleted') {
+           return res.status(404).json({ success: false, error: 'Panel tidak ditemukan atau sudah dihapus' });
        }
-       prodSnapshot = p;
-    } else {
-        // Fallback for legacy requests (not recommended)
-        const { data: p } = await supabase.from('products').select('*').ilike('name', product_name).maybeSingle();
-        if (p) prodSnapshot = p;
+       if (!sub.product_id || sub.product_id !== product_id) {
+           return res.status(400).json({ success: false, error: 'Paket perpanjangan tidak sesuai' });
+       }
+       username = sub.username;
     }
 
-    const numericAmount = parseInt(amount);
+    // 0b. Bot rental extension
+    if (renew_rental_id) {
+       const { data: rental } = await supabase.from('bot_rentals').select('*').eq('id', renew_rental_id).maybeSingle();
+       if (!rental || rental.status === 'cancelled') {
+           return res.status(404).json({ success: false, error: 'Sewa bot tidak ditemukan atau sudah dibatalkan' });
+       }
+       if (!rental.product_id || rental.product_id !== product_id) {
+           return res.status(400).json({ success: false, error: 'Paket perpanjangan tidak sesuai' });
+       }
+       username = rental.username;
+       rental_target = rental.target;
+    }
 
-    // 2. Call Pakasir API
-    const payload = {
-      project: process.env.PAKASIR_SLUG,
-      order_id: order_id,
-      amount: numericAmount,
-      api_key: process.env.PAKASIR_API_KEY
-    };
+    // Unpaid orders per username are capped (MAX_PENDING_ORDERS)
+    try {
+      await abuse.checkPendingOrders(supabase, username, { ip: req.ip, endpoint: 'checkout' });
+    } catch (abuseError) {
+      if (abuseError instanceof abuse.AbuseError) return res.status(abuseError.status).json({ success: false, error: abuseError.message });
+      throw abuseError;
+    }
+
+    // 1. Validate Product from DB (Security, name lookup is a fallback for legacy requests)
+    const prodSnapshot = await findCheckoutProduct({ product_id, product_name });
+    if (!prodSnapshot || !prodSnapshot.active) return res.status(404).json({ success: false, error: 'Product not found' });
+
+    // Bot rentals need to know which group / number the bot should serve
+    if (prodSnapshot.type === 'sewa' && !botRentals.parseTarget(rental_target)) {
+        return res.status(400).json({ success: false, error: 'Isi link grup WhatsApp atau nomor WhatsApp untuk bot' });
+    }
+
+    // Verify Amount (the client sends the list price, before any coupon)
+    if (amount !== undefined && parseInt(prodSnapshot.price) !== parseInt(amount)) {
+        return res.status(400).json({ success: false, error: 'Price mismatch detected.' });
+    }
 
-    const response = await axios.post(
-      'https://app.pakasir.com/api/transactioncreate/qris',
-      payload,
-      { headers: { 'Content-Type': 'application/json' }, timeout: 15000 }
-    );
+    // The database price (minus a server-validated coupon) is the only amount we ever charge
+    const originalAmount = parseInt(prodSnapshot.price);
+    let applied = null;
+    if (coupon_code) {
+      try {
+        applied = await coupons.validateCoupon(supabase, { code: coupon_code, product: prodSnapshot, username, amount: originalAmount });
+      } catch (couponError) {
+        if (couponError instanceof coupons.CouponError) return res.status(400).json({ success: false, error: couponError.message });
+        throw couponError;
+      }
+    }
+    const numericAmount = applied ? applied.final_amount : originalAmount;
+    const order_id = generateOrderId();
+    const orderSecret = generateOrderSecret();
 
-    // 3. Save Order to Supabase
-    const { error: dbError } = await supabase.from('orders').insert({
+    // 2. Save Order to Supabase (duplicate IDs are rejected by the primary key)
+    const { data: order, error: dbError } = await supabase.from('orders').insert({
       id: order_id,
       product_id: prodSnapshot.id || null,
       product_snapshot: prodSnapshot,
       amount: numericAmount,
+      original_amount: originalAmount,
+      coupon_code: applied ? applied.coupon.code : null,
+      discount_amount: applied ? applied.discount : 0,
       customer_username: username,
+      renewal_of: renew_subscription_id || renew_rental_id || null,
+      rental_target: prodSnapshot.type === 'sewa' ? rental_target : null,
+      access_secret_hash: hashOrderSecret(orderSecret),
+      customer_whatsapp: contact.whatsapp,
+      customer_email: contact.email,
+      payment_provider: checkout.provider.name,
+      payment_method: checkout.method.code,
+      expires_at: orderExpiry(),
       status: 'pending'
-    });
+    }).select().single();
 
     if (dbError) {
         console.error("DB Insert Error:", dbError);
-        // We continue because Pakasir might have succeeded
+        if (dbError.code === '23505') {
+            return res.status(409).json({ success: false, error: 'Order ID sudah digunakan, silakan ulangi' });
+        }
+        return res.status(500).json({ success: false, error: 'Gagal menyimpan order' });
+    }
+    await recordOrderEvent(supabase, order_id, null, 'pending', { actor: 'customer', note: `Checkout ${prodSnapshot.name}` });
+
+    // 3. Hold a stock item / coupon use (released again on cancel / expiry)
+    try {
+      await fulfillment.reserve(order, prodSnapshot, fulfillmentContext);
+      if (applied) await coupons.redeemCoupon(supabase, applied.coupon, order, applied.discount);
+    } catch (reserveError) {
+      await cancelOrder(order, { note: reserveError.message, gateway: false }).catch(() => {});
+      return res.status(reserveError.status || 500).json({ success: false, error: reserveError.message });
     }
 
-    // 4. Save to Memory (Legacy Backup)
+    // 4. Open the transaction at the payment gateway (+ QR image for QRIS methods)
+    const { payment: paymentData, expiresAt, qrImage } = await openPayment(order, checkout);
+
+    // 5. Save to Memory (Legacy Backup)
     if (username) {
       panelsStorage[order_id] = {
         order_id,
@@ -306,46 +634,137 @@ app.post('/api/create-qris', async (req, res) => {
         status: 'pending',
         created_at: new Date().toISOString(),
         panel_data: null,
-        payment_data: response.data.payment,
+        payment_data: paymentData,
         days: days || 30,
         password: password || null
       };
     }
 
-    // 5. Generate QR Code
-    let qrImage = '';
-    if (response.data.payment?.payment_number) {
-      try {
-        qrImage = await QRCode.toDataURL(response.data.payment.payment_number, {
-          width: 300, margin: 2, color: { dark: '#000000', light: '#FFFFFF' }
-        });
-      } catch (qrError) { console.error("QR Error", qrError); }
-    }
-
     res.json({
       success: true,
-      payment: response.data.payment,
+      payment: paymentData,
+      payment_provider: checkout.provider.name,
       qr_image: qrImage,
-      order_id: order_id
+      order_id: order_id,
+      order_secret: orderSecret, // Shown once: needed for "Cek Pesanan"
+      expires_at: expiresAt.toISOString(), // Drives the checkout countdown
+      amount: numericAmount,
+      original_amount: originalAmount,
+      discount: applied ? applied.discount : 0
     });
 
   } catch (error) {
     console.error("Create QRIS Error:", error.message);
     res.status(500).json({ 
       success: false,
-      error: error.response?.data?.error || 'Gagal membuat QRIS'
+      error: error.response?.data?.error || 'Gagal membuat transaksi pembayaran'
     });
   }
 });
 
+// Fulfillment Engine (shared by browser polling, payment webhook & admin retry)
+// Returns the saved delivery, or null when another request already claimed the order.
+// Options: `retry` also claims paid_failed orders, `username` overrides the customer username.
+async function fulfillOrder(order, legacyOrder = null, { actor = 'system', retry = false, username = null } = {}) {
+    let paidAlert = null;
+
+    // Claim the order first (pending -> paid -> fulfilling) so polling and webhook never fulfill twice
+    if (order) {
+        try {
+            // Payment can also land on an order the buyer cancelled or that already expired
+            // (paid_at set means it was paid before and then cancelled by an admin: leave it alone)
+            if (['pending', 'cancelled', 'expired'].includes(order.status) && !order.paid_at) {
+                order = await transitionOrder(supabase, order, 'paid', { actor, note: 'Pembayaran terverifikasi' });
+                if (order.coupon_code) {
+                    await coupons.markUsed(supabase, order.id)
+                        .catch(e => console.error(`[COUPON] Failed to mark ${order.id} used:`, e.message));
+                }
+                // Runs alongside fulfillment, awaited before returning (never rejects)
+                paidAlert = notifications.notifyAdmin('admin_paid', order, {}, fulfillmentContext);
+            }
+
+            const claimable = retry ? ['paid', 'paid_failed'] : ['paid'];
+            if (!claimable.includes(order.status)) return null;
+
+            const patch = {};
+            let note = retry ? 'Retry fulfillment' : null;
+            if (username && username !== order.customer_username) {
+                patch.customer_username = username;
+                note = `${note || 'Fulfillment'} (username ${order.customer_username} -> ${username})`;
+            }
+            order = await transitionOrder(supabase, order, 'fulfilling', { actor, note, patch });
+        } catch (e) {
+            if (e instanceof OrderStateError) return null;
+            throw e;
+        }
+    }
+
+    const orderId = order ? order.id : legacyOrder?.order_id;
+    let delivery = { delivery_type: '', payload: null };
+    const product = order ? order.product_snapshot : null;
+
+    try {
+        console.log(`[FULFILLMENT] Starting for Order ${orderId} Type: ${product?.type}`);
+
+        if (product && product.type) {
+            delivery = await fulfillment.fulfill(order, product, fulfillmentContext);
+        }
+        // === FALLBACK: LEGACY MEMORY ORDER (always a panel) ===
+        else if (legacyOrder) {
+            delivery = { delivery_type: 'panel_credentials', payload: await createRealPterodactylPanel(legacyOrder) };
+        }
+
+        // Sync Legacy
+        if (legacyOrder && delivery.delivery_type === 'panel_credentials') {
+            legacyOrder.panel_data = delivery.payload;
+            legacyOrder.status = 'completed';
+        }
+
+        // Update Database State
+        if (order) {
+            // Save Delivery before completing so a completed order always has one
+            await supabase.from('deliveries').insert({
+                order_id: order.id,
+                delivery_type: delivery.delivery_type,
+                payload: delivery.payload
+            });
+            await transitionOrder(supabase, order, 'completed', { actor, note: delivery.delivery_type });
+            await notifications.notifyCustomer('delivery', order, { delivery: notifications.formatDelivery(delivery) }, fulfillmentContext);
+        }
+
+        await paidAlert;
+        return delivery;
+
+    } catch (err) {
+        console.error("Fulfillment Error:", err);
+        // Mark as paid but failed fulfillment
+        if (order) {
+            await transitionOrder(supabase, order, 'paid_failed', { actor, note: err.message, patch: { notes: err.message } })
+                .catch(e => console.error("Failed to mark paid_failed:", e.message));
+            await paidAlert;
+            await notifications.notifyAdmin('admin_failed', order, { error: err.message }, fulfillmentContext);
+        }
+        if (legacyOrder) legacyOrder.panel_error = err.message;
+        throw err;
+    }
+}
+
 // Check Payment Status & Fulfill Order
-app.get('/api/check-payment', async (req, res) => {
+app.get('/api/check-payment', protect('check_payment'), async (req, res) => {
   try {
     const { order_id, amount } = req.query;
-    const numericAmount = parseInt(amount);
 
     // 1. Check Supabase Order Status
     const { data: order } = await supabase.from('orders').select('*, deliveries(*)').eq('id', order_id).single();
+    // Orders from before per-order secrets are still polled by ID (lib/orders.js isLegacyOrder)
+    if (order && !verifyOrderSecret(order, readOrderSecret(req)) && !isLegacyOrder(order)) {
+        await abuse.report(supabase, 'bad_secret', { endpoint: 'check_payment', ip: req.ip, orderId: order.id });
+        return res.status(403).json({ success: false, error: 'Kode rahasia order tidak valid' });
+    }
+    // Unknown IDs never reach the gateway (guessed IDs would spend our API quota)
+    if (!order && !panelsStorage[order_id]) {
+        return res.status(404).json({ success: false, error: 'Order tidak ditemukan' });
+    }
     
     // If order is already completed, return saved delivery
     if (order && (order.status === 'completed' || order.status === 'paid')) {
@@ -372,119 +791,39 @@ app.get('/api/check-payment', async (req, res) => {
       });
     }
 
-    // 3. Verify with Pakasir
-    const url = `https://app.pakasir.com/api/transactiondetail?project=${process.env.PAKASIR_SLUG}&amount=${numericAmount}&order_id=${order_id}&api_key=${process.env.PAKASIR_API_KEY}`;
-    const response = await axios.get(url, { timeout: 10000 });
-    const transaction = response.data?.transaction;
+    // 3. Verify with the gateway (stored amount wins over the query string; memory-only orders are Pakasir)
+    const transaction = await fetchPaymentStatus(order || { id: order_id, amount });
 
     // 4. Fulfillment Logic (If Paid and Not Completed)
-    if ((transaction?.status === 'completed' || transaction?.status === 'paid' || transaction?.status === 'settlement') && (!order || order.status !== 'completed')) {
-        
-        let deliveryData = null;
-        let deliveryType = '';
-        const product = order ? order.product_snapshot : null;
-
+    if (transaction.status === 'paid' && (!order || order.status !== 'completed')) {
         try {
-            console.log(`[FULFILLMENT] Starting for Order ${order_id} Type: ${product?.type}`);
-
-            // === FULFILLMENT: PANEL ===
-            if (product && product.type === 'panel') {
-                const pData = await createRealPterodactylPanel({
-                    username: order.customer_username,
-                    product_name: product.name,
-                    product_meta: product.meta
-                });
-                deliveryData = pData;
-                deliveryType = 'panel_credentials';
-                
-                // Sync Legacy
-                if(legacyOrder) {
-                    legacyOrder.panel_data = pData;
-                    legacyOrder.status = 'completed';
-                }
-            } 
-            // === FULFILLMENT: SCRIPT (SC) ===
-            else if (product && product.type === 'sc') {
-                const fileName = product.meta.file_path;
-                let downloadUrl = '#';
-                
-                if (fileName) {
-                    // Create signed URL valid for 24 hours
-                    const { data: signed } = await supabase.storage.from('digital-products').createSignedUrl(fileName, 86400);
-                    if (signed) downloadUrl = signed.signedUrl;
-                }
-                
-                const settings = await getStoreSettings();
-                deliveryData = {
-                    download_url: downloadUrl,
-                    file_name: fileName || 'File not found',
-                    group_link: settings.store_group_link,
-                    username: order.customer_username
-                };
-                deliveryType = 'download_link';
-            }
-            // === FULFILLMENT: SEWA BOT ===
-            else if (product && product.type === 'sewa') {
-                const settings = await getStoreSettings();
-                const duration = product.meta.duration_days || 30;
-                
-                // Formatted WhatsApp Message
-                const text = `Halo Admin, saya sudah bayar Order ID: ${order_id}.\nUsername: ${order.customer_username}.\nPaket: ${product.name} (${duration} Hari).\nMohon segera diproses.`;
-                
-                deliveryData = {
-                    instructions: `Pembayaran Lunas. Silakan klik tombol di bawah untuk aktivasi bot (${duration} Hari) ke Admin.`,
-                    wa_link: `${settings.contact_admin}?text=${encodeURIComponent(text)}`,
-                    group_link: settings.bot_group_link
-                };
-                deliveryType = 'instructions';
-            } 
-            // === FALLBACK: UNKNOWN OR LEGACY ===
-            else {
-                if (legacyOrder) {
-                    const pData = await createRealPterodactylPanel(legacyOrder);
-                    deliveryData = pData;
-                    deliveryType = 'panel_credentials';
-                    legacyOrder.panel_data = pData;
-                    legacyOrder.status = 'completed';
-                }
-            }
-
-            // 5. Update Database State
-            if (order) {
-                // Mark as completed
-                await supabase.from('orders').update({ 
-                    status: 'completed', 
-                    paid_at: new Date(), 
-                    fulfilled_at: new Date() 
-                }).eq('id', order_id);
-                
-                // Save Delivery
-                await supabase.from('deliveries').insert({
-                    order_id: order_id,
-                    delivery_type: deliveryType,
-                    payload: deliveryData
+            const delivery = await fulfillOrder(order, legacyOrder, { actor: 'customer' });
+
+            if (delivery) {
+                return res.json({
+                    success: true,
+                    transaction: transaction,
+                    panel_data: delivery.payload, // Legacy field
+                    delivery: delivery, // New field
+                    order_status: 'completed'
                 });
             }
-
-            return res.json({
-                success: true,
-                transaction: transaction,
-                panel_data: deliveryData, // Legacy field
-                delivery: { delivery_type: deliveryType, payload: deliveryData }, // New field
-                order_status: 'completed'
-            });
-
         } catch (err) {
-            console.error("Fulfillment Error:", err);
-            // Mark as paid but failed fulfillment
-            if (order) await supabase.from('orders').update({ status: 'paid_failed', paid_at: new Date(), notes: err.message }).eq('id', order_id);
-            if (legacyOrder) legacyOrder.panel_error = err.message;
-
             return res.json({ success: true, transaction: transaction, order_status: 'paid_failed', error: err.message });
         }
     }
 
-    // If still pending
+    // 5. Unpaid past its expiry: close it now instead of waiting for the sweep
+    if (order && order.status === 'pending' && order.expires_at && new Date(order.expires_at) < new Date()) {
+        try {
+            await expireOrder(order, { actor: 'customer', note: 'Batas waktu pembayaran habis' });
+            return res.json({ success: true, transaction: transaction, order_status: 'expired' });
+        } catch (err) {
+            if (!(err instanceof OrderStateError)) throw err;
+        }
+    }
+
+    // If still pending (or being fulfilled by another request)
     res.json({
       success: true,
       transaction: transaction,
@@ -498,198 +837,1550 @@ app.get('/api/check-payment', async (req, res) => {
   }
 });
 
-app.post('/api/cancel-payment', async (req, res) => {
+// Settle an order after a gateway notification: re-query the gateway, then fulfill when it is really paid
+async function settleFromGateway(order, actor) {
+  if (order.status === 'completed') return { order_status: 'completed' };
+
+  // Never trust the notification body: re-query the gateway with our own stored amount
+  const transaction = await fetchPaymentStatus(order);
+  if (transaction.status !== 'paid') {
+    console.warn(`[WEBHOOK] Order ${order.id} not paid according to ${order.payment_provider || 'pakasir'} (${transaction.status})`);
+    return { order_status: order.status };
+  }
+
+  try {
+    const delivery = await fulfillOrder(order, panelsStorage[order.id], { actor });
+    console.log(`[WEBHOOK] Order ${order.id} ${delivery ? 'fulfilled' : 'already being processed'}`);
+    return { order_status: delivery ? 'completed' : 'fulfilling' };
+  } catch (err) {
+    // Failure is recorded as paid_failed on the order; acknowledge so the gateway stops retrying
+    return { order_status: 'paid_failed', error: err.message };
+  }
+}
+
+// Payment Gateway Webhooks (/api/webhooks/pakasir, /api/webhooks/tripay, ...)
+// Fulfills paid orders even if the buyer closed the tab. Unknown names fall through to the other webhooks.
+app.post('/api/webhooks/:provider', async (req, res, next) => {
+  const provider = payments.getProvider(req.params.provider);
+  if (!provider) return next();
+
+  try {
+    let orderId;
     try {
-        const { order_id } = req.body;
-        // Only allow cancel if pending
-        await supabase.from('orders').update({ status: 'cancelled' }).eq('id', order_id).eq('status', 'pending');
-        res.json({ success: true });
-    } catch(e) {
-        res.status(500).json({ success: false });
+      orderId = provider.verifyWebhook(req);
+    } catch (e) {
+      if (!(e instanceof payments.PaymentError)) throw e;
+      console.warn(`[WEBHOOK] Rejected ${provider.name} notification from ${req.ip}: ${e.message}`);
+      return res.status(e.status).json({ success: false, error: e.message });
     }
-});
 
-// --- 6. ADMIN API ROUTES (PROTECTED) ---
+    const { data: order } = await supabase.from('orders').select('*').eq('id', orderId).maybeSingle();
+    if (!order) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
+    if ((order.payment_provider || 'pakasir') !== provider.name) {
+      console.warn(`[WEBHOOK] Order ${order.id} is not paid through ${provider.name}`);
+      return res.status(400).json({ success: false, error: 'Provider mismatch' });
+    }
 
-// GET Products
-app.get('/api/admin/products', adminAuth, async (req, res) => {
-    const { data, error } = await supabase.from('products').select('*').order('sort_order');
-    if (error) return res.status(500).json({ error: error.message });
-    res.json({ success: true, data });
+    res.json({ success: true, ...await settleFromGateway(order, `webhook:${provider.name}`) });
+  } catch (error) {
+    console.error(`${provider.label} Webhook Error:`, error.message);
+    res.status(500).json({ success: false, error: 'Webhook processing failed' });
+  }
 });
 
-// ADD Product
-app.post('/api/admin/products', adminAuth, async (req, res) => {
-    const { id, ...data } = req.body;
-    if (id) {
-        // Update existing
-        const { error } = await supabase.from('products').update(data).eq('id', id);
-        if (error) return res.status(500).json({ error: error.message });
-    } else {
-        // Insert new
-        const { error } = await supabase.from('products').insert(data);
-        if (error) return res.status(500).json({ error: error.message });
+// Sandbox Payment: settle a sandbox order as paid / expired / failed (local development & tests)
+app.post('/api/payments/sandbox/:orderId/:outcome', async (req, res) => {
+  try {
+    const { data: order } = await supabase.from('orders').select('*').eq('id', req.params.orderId).maybeSingle();
+    if (!order || order.payment_provider !== 'sandbox') {
+      return res.status(404).json({ success: false, error: 'Order sandbox tidak ditemukan' });
+    }
+    if (!verifyOrderSecret(order, readOrderSecret(req))) {
+      return res.status(403).json({ success: false, error: 'Kode rahasia order tidak valid' });
     }
-    res.json({ success: true });
-});
 
-// DELETE Product
-app.delete('/api/admin/products/:id', adminAuth, async (req, res) => {
-    const { error } = await supabase.from('products').delete().eq('id', req.params.id);
-    if (error) return res.status(500).json({ error: error.message });
-    res.json({ success: true });
+    const sandbox = payments.getProvider('sandbox');
+    sandbox.simulate(order, req.params.outcome);
+    res.json({ success: true, ...await settleFromGateway(order, 'sandbox') });
+  } catch (error) {
+    if (error instanceof payments.PaymentError) return res.status(error.status).json({ success: false, error: error.message });
+    console.error("Sandbox Payment Error:", error.message);
+    res.status(500).json({ success: false, error: 'Simulasi pembayaran gagal' });
+  }
 });
 
-// GET Settings
-app.get('/api/admin/settings', adminAuth, async (req, res) => {
-    const { data, error } = await supabase.from('settings').select('*');
-    if (error) return res.status(500).json({ error: error.message });
-    res.json({ success: true, data });
-});
+// Telegram Bot Webhook (setWebhook with secret_token = TELEGRAM_WEBHOOK_SECRET).
+// Buyers open t.me/<bot>?start=<order id>_<order secret> to get their order on Telegram.
+app.post('/api/webhooks/telegram', async (req, res) => {
+  const secret = process.env.TELEGRAM_WEBHOOK_SECRET;
+  if (!secret || req.headers['x-telegram-bot-api-secret-token'] !== secret) {
+    console.warn(`[TELEGRAM WEBHOOK] Rejected request from ${req.ip}`);
+    return res.status(401).json({ ok: false });
+  }
 
-// SAVE Settings
-app.post('/api/admin/settings', adminAuth, async (req, res) => {
-    const { settings } = req.body; // Expect array of {key, value}
-    for (let s of settings) {
-        await supabase.from('settings').upsert({ key: s.key, value: s.value });
+  const telegram = notifications.getChannel('telegram');
+  const message = req.body?.message;
+  const start = telegram.parseStartPayload(message?.text);
+  // Anything else sent to the bot is ignored, Telegram only needs a 200
+  if (!start || !message.chat?.id) return res.json({ ok: true });
+
+  const chatId = String(message.chat.id);
+  const reply = (text) => telegram.send(chatId, { text })
+    .catch(e => console.error(`[TELEGRAM WEBHOOK] Reply to ${chatId} failed:`, e.message));
+
+  try {
+    const { data: order } = await supabase.from('orders').select('*, deliveries(*)').eq('id', start.orderId).maybeSingle();
+    if (!order || !verifyOrderSecret(order, start.secret)) {
+      await reply('Link tidak valid. Buka lagi tombol Telegram dari halaman pesanan.');
+      return res.json({ ok: true });
     }
-    res.json({ success: true });
-});
 
-// GET Orders
-app.get('/api/admin/orders', adminAuth, async (req, res) => {
-    const { data, error } = await supabase.from('orders')
-        .select('*, product_snapshot, deliveries(*)')
-        .order('created_at', { ascending: false })
-        .limit(100);
-    if (error) return res.status(500).json({ error: error.message });
-    res.json({ success: true, data });
-});
+    const { data: linked, error } = await supabase.from('orders')
+      .update({ customer_telegram_chat_id: chatId })
+      .eq('id', order.id)
+      .select('*')
+      .single();
+    if (error) throw error;
 
-// RETRY Fulfillment
-app.post('/api/admin/orders/:id/retry', adminAuth, async (req, res) => {
-    // Reset status to paid_failed or similar to allow re-check or implement direct retry logic here
-    const { id } = req.params;
-    // Simple retry: update status to 'paid' so check-payment endpoint can pick it up again
-    const { error } = await supabase.from('orders').update({ status: 'paid', notes: 'Retry triggered by admin' }).eq('id', id);
-    if (error) return res.status(500).json({ error: error.message });
-    res.json({ success: true });
+    // Already delivered: send it right away, otherwise it arrives when fulfillment finishes
+    const delivery = (order.deliveries || []).sort((a, b) => new Date(b.created_at) - new Date(a.created_at))[0];
+    if (order.status === 'completed' && delivery) {
+      const payload = await fulfillment.refresh(order, delivery, fulfillmentContext).catch(() => delivery.payload);
+      await notifications.notifyCustomer('delivery', linked, {
+        delivery: notifications.formatDelivery({ ...delivery, payload })
+      }, fulfillmentContext, { only: ['telegram'] });
+    } else {
+      await reply(`Telegram terhubung ke order ${order.id}. Data pesanan akan dikirim ke sini setelah pembayaran diterima.`);
+    }
+    res.json({ ok: true });
+  } catch (error) {
+    console.error("Telegram Webhook Error:", error.message);
+    res.status(500).json({ ok: false });
+  }
 });
 
-// UPLOAD File to Storage
-app.post('/api/admin/upload', adminAuth, upload.single('file'), async (req, res) => {
+// Cancel a pending order; only whoever holds the order secret can (x-order-secret / body.secret)
+app.post('/api/cancel-payment', protect('cancel'), async (req, res) => {
     try {
-        if(!req.file) return res.status(400).json({error: 'No file provided'});
-        
-        // Clean filename and add timestamp
-        const cleanName = req.file.originalname.replace(/[^a-zA-Z0-9.]/g, '_');
-        const fileName = `sc/${Date.now()}_${cleanName}`;
-        
-        const { data, error } = await supabase.storage
-            .from('digital-products')
-            .upload(fileName, req.file.buffer, {
-                contentType: req.file.mimetype,
-                upsert: true
-            });
-            
-        if (error) throw error;
-        
-        res.json({ success: true, path: fileName });
+        const { order_id } = req.body;
+        const { data: order } = await supabase.from('orders').select('*').eq('id', order_id).maybeSingle();
+        if (!order) return res.status(404).json({ success: false, error: 'Order not found' });
+        if (!verifyOrderSecret(order, readOrderSecret(req)) && !isLegacyOrder(order)) {
+            await abuse.report(supabase, 'bad_secret', { endpoint: 'cancel', ip: req.ip, orderId: order.id });
+            return res.status(403).json({ success: false, error: 'Kode rahasia order tidak valid' });
+        }
+
+        // Only pending orders can be cancelled (enforced by the state machine)
+        await cancelOrder(order, { actor: 'customer' });
+        res.json({ success: true });
     } catch(e) {
-        console.error("Upload Error:", e);
-        res.status(500).json({ error: e.message });
+        if (e instanceof OrderStateError) return res.status(409).json({ success: false, error: e.message });
+        res.status(500).json({ success: false });
     }
 });
 
-// --- 7. PTERODACTYL INTEGRATION ---
+// Payment Methods offered in the checkout modal (configured providers only)
+app.get('/api/payment-methods', (req, res) => {
+    const providers = payments.listProviders();
+    const fallback = payments.getDefaultProvider();
+    res.json({ success: true, data: { providers, default_provider: fallback ? fallback.name : null } });
+});
 
-async function createRealPterodactylPanel(orderData) {
-  const { username, product_name, product_meta } = orderData;
-  const password = generatePassword();
+// Coupon Check (checkout modal preview; create-qris validates again)
+app.post('/api/coupons/validate', async (req, res) => {
+    try {
+        const { code, product_id, product_name, username } = req.body || {};
+        if (!product_id && !product_name) {
+            return res.status(400).json({ success: false, error: 'Data incomplete' });
+        }
 
-  const PT_DOMAIN = process.env.PT_DOMAIN;
-  const PT_API_KEY = process.env.PT_API_KEY;
-  const PT_NEST_ID = process.env.PT_NEST_ID || 5;
-  const PT_EGG_ID = process.env.PT_EGG_ID || 15;
-  const PT_LOCATION_ID = process.env.PT_LOCATION_ID || 1;
+        const product = await findCheckoutProduct({ product_id, product_name });
+        if (!product || !product.active) return res.status(404).json({ success: false, error: 'Product not found' });
+
+        const amount = parseInt(product.price);
+        const result = await coupons.validateCoupon(supabase, { code, product, username, amount });
+        res.json({
+            success: true,
+            data: {
+                code: result.coupon.code,
+                description: result.coupon.description,
+                original_amount: amount,
+                discount: result.discount,
+                final_amount: result.final_amount
+            }
+        });
+    } catch (error) {
+        if (error instanceof coupons.CouponError) return res.status(400).json({ success: false, error: error.message });
+        console.error("Coupon Validate Error:", error);
+        res.status(500).json({ success: false, error: 'Gagal memeriksa kupon' });
+    }
+});
 
-  const email = `${username}@ipin.market`;
-  const name = username.charAt(0).toUpperCase() + username.slice(1) + ' Server';
+// Order Lookup (order ID + per-order secret -> status & deliveries)
+app.get('/api/orders/:id', async (req, res) => {
+    try {
+        const { data: order } = await supabase.from('orders').select('*, deliveries(*)').eq('id', req.params.id).maybeSingle();
 
-  // Determine Specs
-  let ram, disk, cpu;
+        // Same answer for unknown order and wrong secret so IDs cannot be probed
+        if (!order || !verifyOrderSecret(order, readOrderSecret(req))) {
+            return res.status(404).json({ success: false, error: 'Order tidak ditemukan atau kode rahasia salah' });
+        }
 
-  if (product_meta && product_meta.ram) {
-      // Use DB Meta
-      ram = product_meta.ram === 'UNLIMITED' || product_meta.ram === '0' ? 0 : parseInt(product_meta.ram) * 1024;
-      disk = product_meta.disk === 'UNLIMITED' || product_meta.disk === '0' ? 0 : parseInt(product_meta.disk) * 1024;
-      cpu = product_meta.cpu === 'MAX' || product_meta.cpu === '0' ? 0 : parseInt(product_meta.cpu);
-  } else {
-      // Fallback Legacy (Safe defaults)
-      ram = 1024; disk = 2048; cpu = 100;
-      if (product_name && product_name.includes('UNLIMITED')) { ram=0; disk=0; cpu=0; }
-  }
-
-  // 1. Check User Existence
-  const checkUserRes = await axios.get(
-    `${PT_DOMAIN}/api/application/users?filter[username]=${username}`,
-    { headers: { 'Authorization': `Bearer ${PT_API_KEY}`, 'Accept': 'application/json' }, timeout: 10000 }
-  );
+        res.json({ success: true, data: await describeOrder(order) });
+    } catch (error) {
+        console.error("Order Lookup Error:", error);
+        res.status(500).json({ success: false, error: 'Gagal memuat pesanan' });
+    }
+});
 
-  if (checkUserRes.data.data && checkUserRes.data.data.length > 0) {
-    throw new Error(`Username ${username} sudah terdaftar.`);
-  }
+// New Download Link for a script order (revokes the old link, keeps only the downloads left)
+app.post('/api/orders/:id/download-link', async (req, res) => {
+    try {
+        const { data: order } = await supabase.from('orders').select('*').eq('id', req.params.id).maybeSingle();
+        if (!order || !verifyOrderSecret(order, readOrderSecret(req))) {
+            return res.status(404).json({ success: false, error: 'Order tidak ditemukan atau kode rahasia salah' });
+        }
+        if (order.status !== 'completed' || order.product_snapshot?.type !== 'sc') {
+            return res.status(400).json({ success: false, error: 'Order ini tidak memiliki file untuk didownload' });
+        }
 
-  // 2. Create User
-  const userRes = await axios.post(
-    `${PT_DOMAIN}/api/application/users`,
-    { email, username, first_name: name, last_name: 'User', language: 'en', password },
-    { headers: { 'Authorization': `Bearer ${PT_API_KEY}`, 'Content-Type': 'application/json' }, timeout: 15000 }
-  );
-
-  const user = userRes.data.attributes;
-
-  // 3. Create Server
-  const serverPayload = {
-    name: name,
-    user: user.id,
-    egg: parseInt(PT_EGG_ID),
-    docker_image: 'ghcr.io/parkervcp/yolks:nodejs_18',
-    startup: 'npm start',
-    environment: { INST: 'npm', USER_UPLOAD: '0', AUTO_UPDATE: '0', CMD_RUN: 'npm start' },
-    limits: { memory: parseInt(ram), swap: 0, disk: parseInt(disk), io: 500, cpu: parseInt(cpu) },
-    feature_limits: { databases: 5, backups: 5, allocations: 5 },
-    deploy: { locations: [parseInt(PT_LOCATION_ID)], dedicated_ip: false, port_range: [] }
-  };
+        const token = await downloads.regenerateToken(supabase, order);
+        res.json({ success: true, data: downloads.describeToken(token) });
+    } catch (error) {
+        if (error instanceof downloads.DownloadError) return res.status(error.status).json({ success: false, error: error.message });
+        console.error("Download Link Error:", error);
+        res.status(500).json({ success: false, error: 'Gagal membuat link download' });
+    }
+});
 
-  const serverRes = await axios.post(
-    `${PT_DOMAIN}/api/application/servers`,
-    serverPayload,
-    { headers: { 'Authorization': `Bearer ${PT_API_KEY}`, 'Content-Type': 'application/json' }, timeout: 30000 }
-  );
+// Customer Panel Area (order ID + secret of the purchase or upgrade order, never a renewal)
+async function findCustomerPanel(req) {
+    const { data: order } = await supabase.from('orders').select('*').eq('id', req.params.id).maybeSingle();
+    if (!order || !verifyOrderSecret(order, readOrderSecret(req))) {
+        throw new panelSubscriptions.PanelError('Order tidak ditemukan atau kode rahasia salah', 404);
+    }
+    const sub = await panelSubscriptions.findForOrder(supabase, order);
+    if (!sub) throw new panelSubscriptions.PanelError('Order ini tidak memiliki panel aktif', 404);
+    return { order, sub };
+}
 
-  return {
-    username: user.username,
-    password: password,
-    panel_url: PT_DOMAIN,
-    server_name: serverRes.data.attributes.name,
-    expiry_date: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toLocaleDateString('id-ID'),
-    panel_data: { username: user.username, password, panel_url: PT_DOMAIN } // Compatibility
-  };
+function panelAreaError(res, error, label) {
+    if (error instanceof panelSubscriptions.PanelError) return res.status(error.status).json({ success: false, error: error.message });
+    console.error(`${label}:`, error.response?.data || error.message);
+    res.status(502).json({ success: false, error: 'Gagal menghubungi panel, coba lagi nanti' });
 }
 
+// Panel status, limits, expiry & upgrade options
+app.get('/api/orders/:id/panel', async (req, res) => {
+    try {
+        const { sub } = await findCustomerPanel(req);
+        const [panel, upgrades] = await Promise.all([
+            panelSubscriptions.describe(sub),
+            panelSubscriptions.listUpgrades(supabase, sub)
+        ]);
+        res.json({ success: true, data: { ...panel, package: upgrades.current, upgrades: sub.status === 'active' ? upgrades.options : [] } });
+    } catch (error) {
+        panelAreaError(res, error, 'Panel Area Error');
+    }
+});
+
+// New panel password (shown once here, also updated in the order's delivery)
+app.post('/api/orders/:id/panel/reset-password', async (req, res) => {
+    try {
+        const { order, sub } = await findCustomerPanel(req);
+        const password = await panelSubscriptions.resetPassword(supabase, sub);
+        console.log(`[PANEL AREA] Password reset for ${sub.username} (order ${order.id}) from ${req.ip}`);
+        res.json({ success: true, data: { username: sub.username, password, panel_url: pterodactyl.panelUrl() } });
+    } catch (error) {
+        panelAreaError(res, error, 'Panel Password Reset Error');
+    }
+});
+
+// Upgrade to a bigger package: a new order for the price difference ({ product_id, payment_provider, payment_method })
+app.post('/api/orders/:id/panel/upgrade', protect('checkout'), async (req, res) => {
+    try {
+        const { order: source, sub } = await findCustomerPanel(req);
+        const { current, option } = await panelSubscriptions.quoteUpgrade(supabase, sub, req.body?.product_id);
+        await abuse.checkPendingOrders(supabase, sub.username, { ip: req.ip, endpoint: 'panel_upgrade' });
+
+        let checkout;
+        try {
+            checkout = payments.resolveCheckout(req.body.payment_provider, req.body.payment_method);
+        } catch (paymentError) {
+            if (paymentError instanceof payments.PaymentError) return res.status(paymentError.status).json({ success: false, error: paymentError.message });
+            throw paymentError;
+        }
+
+        const { data: product } = await supabase.from('products').select('*').eq('id', option.id).single();
+        const orderSecret = generateOrderSecret();
+        const { data: order, error: dbError } = await supabase.from('orders').insert({
+            id: generateOrderId(),
+            product_id: product.id,
+            product_snapshot: { ...product, upgrade_from: current },
+            amount: option.difference,
+            original_amount: option.difference,
+            customer_username: sub.username,
+            upgrade_of: sub.id,
+            access_secret_hash: hashOrderSecret(orderSecret),
+            customer_whatsapp: source.customer_whatsapp,
+            customer_email: source.customer_email,
+            payment_provider: checkout.provider.name,
+            payment_method: checkout.method.code,
+            expires_at: orderExpiry(),
+            status: 'pending'
+        }).select().single();
+        if (dbError) throw dbError;
+        await recordOrderEvent(supabase, order.id, null, 'pending', { actor: 'customer', note: `Upgrade ${sub.username}: ${current.name} -> ${product.name}` });
+
+        const { payment, expiresAt, qrImage } = await openPayment(order, checkout);
+        res.json({
+            success: true,
+            payment,
+            payment_provider: checkout.provider.name,
+            qr_image: qrImage,
+            order_id: order.id,
+            order_secret: orderSecret,
+            expires_at: expiresAt.toISOString(),
+            amount: option.difference,
+            product_name: product.name
+        });
+    } catch (error) {
+        if (error instanceof panelSubscriptions.PanelError || error instanceof abuse.AbuseError) {
+            return res.status(error.status).json({ success: false, error: error.message });
+        }
+        console.error("Panel Upgrade Error:", error.message);
+        res.status(500).json({ success: false, error: 'Gagal membuat transaksi upgrade' });
+    }
+});
+
+// Renewal Lookup (find the panel subscription a customer wants to extend)
+app.get('/api/panels/renewal', async (req, res) => {
+    try {
+        const username = String(req.query.username || '').trim().toLowerCase();
+        if (!username) return res.status(400).json({ success: false, error: 'Username wajib diisi' });
+
+        const sub = await panelSubscriptions.findRenewable(supabase, username);
+        if (!sub) return res.status(404).json({ success: false, error: 'Panel aktif dengan username tersebut tidak ditemukan' });
+
+        const { data: product } = await supabase.from('products').select('id, name, price, meta').eq('id', sub.product_id).maybeSingle();
+        if (!product) return res.status(404).json({ success: false, error: 'Paket panel ini sudah tidak dijual, hubungi admin' });
+
+        res.json({
+            success: true,
+            data: {
+                subscription_id: sub.id,
+                username: sub.username,
+                status: sub.status,
+                expires_at: sub.expires_at,
+                product: { id: product.id, name: product.name, price: Number(product.price), duration_days: panelSubscriptions.getDurationDays(product) }
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Bot Rental Extension Lookup (by group link / WhatsApp number)
+app.get('/api/rentals/renewal', async (req, res) => {
+    try {
+        const target = String(req.query.target || '').trim();
+        if (!target) return res.status(400).json({ success: false, error: 'Link grup / nomor wajib diisi' });
+
+        const rental = await botRentals.findRenewable(supabase, target);
+        if (!rental) return res.status(404).json({ success: false, error: 'Sewa bot untuk grup / nomor tersebut tidak ditemukan' });
+
+        const { data: product } = await supabase.from('products').select('id, name, price, meta').eq('id', rental.product_id).maybeSingle();
+        if (!product) return res.status(404).json({ success: false, error: 'Paket sewa ini sudah tidak dijual, hubungi admin' });
+
+        res.json({
+            success: true,
+            data: {
+                rental_id: rental.id,
+                target: rental.target,
+                target_type: rental.target_type,
+                status: rental.status,
+                expires_at: rental.expires_at,
+                product: { id: product.id, name: product.name, price: Number(product.price), duration_days: botRentals.getDurationDays(product) }
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Reseller API (API key, see lib/resellers.js): profile, catalog, balance orders, top-ups & history
+
+// Reseller profile & balance
+app.get('/api/reseller/me', requireReseller, (req, res) => {
+    const { id, name, tier, balance } = req.reseller;
+    res.json({ success: true, data: { id, name, tier, balance: Number(balance) } });
+});
+
+// Active products with this reseller's price
+app.get('/api/reseller/products', requireReseller, async (req, res) => {
+    try {
+        const { data, error } = await supabase.from('products')
+            .select('id, slug, type, name, price, features, reseller_prices')
+            .eq('active', true)
+            .order('sort_order', { ascending: true });
+        if (error) throw error;
+        await attachStockCounts(data);
+
+        res.json({
+            success: true,
+            data: data.filter(p => fulfillment.isSellable(p.type)).map(p => ({
+                id: p.id,
+                slug: p.slug,
+                type: p.type,
+                name: p.name,
+                features: p.features,
+                normal_price: Number(p.price),
+                price: resellers.priceFor(p, req.reseller.tier),
+                stock: p.stock ? p.stock.available : null
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Order paid from the balance and fulfilled in the same request.
+// Body: { product_id | slug, username, rental_target, whatsapp, email, reference }.
+// `reference` (the reseller's own ID) makes retrying the same request safe.
+app.post('/api/reseller/orders', requireReseller, async (req, res) => {
+    const reseller = req.reseller;
+    const actor = `reseller:${reseller.name}`;
+    try {
+        const body = req.body || {};
+        const reference = body.reference ? String(body.reference).trim().slice(0, 100) : null;
+        const username = body.username ? String(body.username).trim().toLowerCase() : null;
+
+        // Same reference again: answer with the order it already created
+        if (reference) {
+            const { data: existing } = await supabase.from('orders')
+                .select('*, deliveries(*)')
+                .eq('reseller_id', reseller.id)
+                .eq('reseller_ref', reference)
+                .maybeSingle();
+            if (existing) return res.json({ success: true, duplicate: true, data: await describeOrder(existing) });
+        }
+
+        if (!body.product_id && !body.slug) return res.status(400).json({ success: false, error: 'product_id atau slug wajib diisi' });
+        const query = supabase.from('products').select('*').eq('active', true);
+        const { data: product } = await (body.product_id ? query.eq('id', body.product_id) : query.eq('slug', body.slug)).maybeSingle();
+        if (!product || !fulfillment.isSellable(product.type)) return res.status(404).json({ success: false, error: 'Product not found' });
+
+        if (username && !/^[a-z0-9]{3,20}$/.test(username)) {
+            return res.status(400).json({ success: false, error: 'Username tidak valid (huruf kecil & angka, 3-20 karakter)' });
+        }
+        if (product.type === 'panel' && !username) return res.status(400).json({ success: false, error: 'username wajib diisi untuk panel' });
+        if (product.type === 'sewa' && !botRentals.parseTarget(body.rental_target)) {
+            return res.status(400).json({ success: false, error: 'Isi link grup WhatsApp atau nomor WhatsApp untuk bot' });
+        }
+        // End buyer contacts for delivery notifications (optional)
+        const contact = readBuyerContact(body);
+        if (contact.error) return res.status(400).json({ success: false, error: contact.error });
+
+        const orderSecret = generateOrderSecret();
+        const { data: order, error: dbError } = await supabase.from('orders').insert({
+            id: generateOrderId(),
+            product_id: product.id,
+            product_snapshot: product,
+            amount: resellers.priceFor(product, reseller.tier),
+            original_amount: parseInt(product.price),
+            customer_username: username,
+            rental_target: product.type === 'sewa' ? body.rental_target : null,
+            access_secret_hash: hashOrderSecret(orderSecret),
+            customer_whatsapp: contact.whatsapp,
+            customer_email: contact.email,
+            reseller_id: reseller.id,
+            reseller_ref: reference,
+            payment_provider: 'balance',
+            payment_method: 'balance',
+            expires_at: orderExpiry(),
+            status: 'pending'
+        }).select().single();
+        if (dbError) {
+            if (dbError.code === '23505') return res.status(409).json({ success: false, error: 'Reference sedang dipakai request lain, ulangi' });
+            throw dbError;
+        }
+        await recordOrderEvent(supabase, order.id, null, 'pending', { actor, note: `API reseller ${product.name}` });
+
+        // Hold stock, then pay from the balance (cancelOrder hands both back)
+        try {
+            await fulfillment.reserve(order, product, fulfillmentContext);
+            await resellers.debitOrder(supabase, order, actor);
+        } catch (holdError) {
+            await cancelOrder(order, { actor, note: holdError.message, gateway: false }).catch(() => {});
+            return res.status(holdError.status || 500).json({ success: false, error: holdError.message });
+        }
+
+        // A failed fulfillment leaves the order paid_failed: the admin retries it or cancels it (balance refunded)
+        let fulfillError = null;
+        try {
+            await fulfillOrder(order, null, { actor });
+        } catch (e) {
+            fulfillError = e.message;
+        }
+
+        const { data: saved } = await supabase.from('orders').select('*, deliveries(*)').eq('id', order.id).single();
+        res.status(fulfillError ? 502 : 200).json({
+            success: !fulfillError,
+            error: fulfillError ? `Order terbayar tetapi gagal diproses: ${fulfillError}` : undefined,
+            order_secret: orderSecret, // For the buyer's "Cek Pesanan" page
+            data: await describeOrder(saved)
+        });
+    } catch (error) {
+        console.error("Reseller Order Error:", error);
+        res.status(500).json({ success: false, error: 'Gagal membuat order' });
+    }
+});
+
+// One of the reseller's orders or top-ups (a pending top-up is re-checked at the gateway)
+app.get('/api/reseller/orders/:id', requireReseller, async (req, res) => {
+    try {
+        const load = () => supabase.from('orders').select('*, deliveries(*)')
+            .eq('id', req.params.id)
+            .eq('reseller_id', req.reseller.id)
+            .maybeSingle();
+        let { data: order } = await load();
+        if (!order) return res.status(404).json({ success: false, error: 'Order tidak ditemukan' });
+
+        if (order.status === 'pending' && order.payment_provider !== 'balance') {
+            await settleFromGateway(order, `reseller:${req.reseller.name}`);
+            ({ data: order } = await load());
+        }
+        res.json({ success: true, data: await describeOrder(order) });
+    } catch (error) {
+        console.error("Reseller Order Lookup Error:", error);
+        res.status(500).json({ success: false, error: 'Gagal memuat order' });
+    }
+});
+
+// Balance history (?limit=100)
+app.get('/api/reseller/transactions', requireReseller, async (req, res) => {
+    try {
+        const data = await resellers.listTransactions(supabase, req.reseller.id, { limit: req.query.limit });
+        res.json({ success: true, balance: Number(req.reseller.balance), data });
+    } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Top up the balance through a payment gateway: { amount, payment_provider, payment_method }
+app.post('/api/reseller/topups', requireReseller, async (req, res) => {
+    const reseller = req.reseller;
+    try {
+        const amount = parseInt(req.body?.amount);
+        if (!amount || amount < RESELLER_MIN_TOPUP) {
+            return res.status(400).json({ success: false, error: `Minimal top up Rp ${RESELLER_MIN_TOPUP.toLocaleString('id-ID')}` });
+        }
+
+        let checkout;
+        try {
+            checkout = payments.resolveCheckout(req.body.payment_provider, req.body.payment_method);
+        } catch (paymentError) {
+            if (paymentError instanceof payments.PaymentError) return res.status(paymentError.status).json({ success: false, error: paymentError.message });
+            throw paymentError;
+        }
+
+        const orderSecret = generateOrderSecret();
+        const { data: order, error: dbError } = await supabase.from('orders').insert({
+            id: generateOrderId(),
+            product_id: null,
+            product_snapshot: { type: resellers.TOPUP_TYPE, name: 'Top Up Saldo Reseller', price: amount },
+            amount,
+            original_amount: amount,
+            customer_username: reseller.name,
+            customer_whatsapp: reseller.whatsapp,
+            customer_email: reseller.email,
+            access_secret_hash: hashOrderSecret(orderSecret),
+            reseller_id: reseller.id,
+            payment_provider: checkout.provider.name,
+            payment_method: checkout.method.code,
+            expires_at: orderExpiry(),
+            status: 'pending'
+        }).select().single();
+        if (dbError) throw dbError;
+        await recordOrderEvent(supabase, order.id, null, 'pending', { actor: `reseller:${reseller.name}`, note: 'Top up saldo' });
+
+        const { payment, expiresAt, qrImage } = await openPayment(order, checkout);
+        res.json({
+            success: true,
+            order_id: order.id,
+            order_secret: orderSecret,
+            amount,
+            payment,
+            payment_provider: checkout.provider.name,
+            qr_image: qrImage,
+            expires_at: expiresAt.toISOString()
+        });
+    } catch (error) {
+        console.error("Reseller Topup Error:", error.message);
+        res.status(500).json({ success: false, error: 'Gagal membuat transaksi top up' });
+    }
+});
+
+// --- 6. CRON JOBS ---
+
+// Panel Lifecycle: reminders, suspension after expiry, deletion after grace period
+app.get('/api/cron/panel-lifecycle', cronAuth, async (req, res) => {
+    try {
+        const summary = await panelSubscriptions.runLifecycle(supabase, async (event, sub) => {
+            console.log(`[PANEL LIFECYCLE] ${event.toUpperCase()} ${sub.username} (server ${sub.ptero_server_id}, expires ${sub.expires_at})`);
+
+            // Buyer contacts live on the original purchase
+            const { data: order } = await supabase.from('orders').select('*').eq('id', sub.order_id).maybeSingle();
+            if (!order) return;
+            await notifications.notifyCustomer(`panel_${event}`, order, {
+                username: sub.username,
+                expires_at: new Date(sub.expires_at).toLocaleDateString('id-ID')
+            }, fulfillmentContext);
+        });
+        console.log('[PANEL LIFECYCLE] Done', JSON.stringify(summary));
+        res.json({ success: true, ...summary });
+    } catch (error) {
+        console.error("Panel Lifecycle Error:", error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Bot Rental Lifecycle: reminders & deactivation of expired rentals
+app.get('/api/cron/bot-rentals', cronAuth, async (req, res) => {
+    try {
+        const summary = await botRentals.runLifecycle(supabase, async (event, rental) => {
+            console.log(`[BOT RENTALS] ${event.toUpperCase()} ${rental.target} (expires ${rental.expires_at})`);
+
+            const { data: order } = await supabase.from('orders').select('*').eq('id', rental.order_id).maybeSingle();
+            if (!order) return;
+            await notifications.notifyCustomer(`rental_${event}`, order, {
+                target: rental.target,
+                expires_at: new Date(rental.expires_at).toLocaleDateString('id-ID')
+            }, fulfillmentContext);
+        });
+        console.log('[BOT RENTALS] Done', JSON.stringify(summary));
+        res.json({ success: true, ...summary });
+    } catch (error) {
+        console.error("Bot Rentals Cron Error:", error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Pending Order Expiry: expire unpaid orders past expires_at, cancel them at the gateway,
+// release reserved stock / coupons and prune the legacy in-memory storage
+app.get('/api/cron/expire-orders', cronAuth, async (req, res) => {
+    try {
+        const now = new Date();
+        // Orders from before expires_at existed fall back to their checkout time
+        const legacyCutoff = new Date(now.getTime() - ORDER_EXPIRY_MINUTES * 60 * 1000);
+        const { data: stale, error } = await supabase.from('orders')
+            .select('*')
+            .eq('status', 'pending')
+            .or(`expires_at.lt.${now.toISOString()},and(expires_at.is.null,created_at.lt.${legacyCutoff.toISOString()})`)
+            .order('created_at', { ascending: true })
+            .limit(50);
+        if (error) throw error;
+
+        const summary = { checked: stale.length, expired: 0, paid: 0, skipped: 0 };
+        for (const order of stale) {
+            try {
+                // A payment may have landed right before the deadline: fulfill it instead of expiring
+                const transaction = await fetchPaymentStatus(order);
+                if (transaction.status === 'paid') {
+                    await settleFromGateway(order, 'cron:expiry');
+                    summary.paid++;
+                    continue;
+                }
+                await expireOrder(order, { note: 'Batas waktu pembayaran habis' });
+                summary.expired++;
+            } catch (e) {
+                // Gateway unreachable or the order moved on meanwhile: try again next run
+                summary.skipped++;
+                if (!(e instanceof OrderStateError)) console.error(`[ORDER EXPIRY] ${order.id} skipped:`, e.message);
+            }
+        }
+        summary.pruned = pruneLegacyStorage();
+
+        console.log('[ORDER EXPIRY] Done', JSON.stringify(summary));
+        res.json({ success: true, ...summary });
+    } catch (error) {
+        console.error("Order Expiry Cron Error:", error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// --- 7. ADMIN API ROUTES (PROTECTED) ---
+
+// LOGIN (username + password -> httpOnly session cookie)
+app.post('/api/admin/login', protect('admin_login'), async (req, res) => {
+    try {
+        const username = String(req.body?.username || '').trim().toLowerCase();
+        const password = String(req.body?.password || '');
+        if (!username || !password) return res.status(400).json({ success: false, error: 'Username dan password wajib diisi' });
+
+        const { data: admin } = await supabase.from('admin_users').select('*').eq('username', username).maybeSingle();
+        if (!admin || !admin.active || !adminAuthLib.verifyPassword(password, admin.password_hash)) {
+            console.warn(`[AUTH FAILED] Login attempt for "${username}" from ${req.ip}`);
+            await audit(req, 'auth.login_failed', username, { username });
+            return res.status(401).json({ success: false, error: 'Username atau password salah' });
+        }
+
+        const { token, expiresAt } = await adminAuthLib.createSession(supabase, admin, req);
+        adminAuthLib.setSessionCookie(res, token, expiresAt);
+
+        req.admin = { id: admin.id, username: admin.username, role: admin.role };
+        await audit(req, 'auth.login', admin.username);
+        res.json({ success: true, admin: req.admin });
+    } catch (e) {
+        console.error("Login Error:", e);
+        res.status(500).json({ success: false, error: 'Gagal login' });
+    }
+});
+
+// LOGOUT
+app.post('/api/admin/logout', requireAdmin('viewer'), async (req, res) => {
+    await adminAuthLib.destroySession(supabase, req.cookies[adminAuthLib.SESSION_COOKIE]);
+    adminAuthLib.clearSessionCookie(res);
+    await audit(req, 'auth.logout', req.admin.username);
+    res.json({ success: true });
+});
+
+// Current Admin
+app.get('/api/admin/me', requireAdmin('viewer'), (req, res) => {
+    res.json({ success: true, admin: req.admin });
+});
+
+// GET Admin Users (owner only)
+app.get('/api/admin/users', requireAdmin('owner'), async (req, res) => {
+    const { data, error } = await supabase.from('admin_users')
+        .select('id, username, role, active, last_login_at, created_at')
+        .order('created_at');
+    if (error) return res.status(500).json({ error: error.message });
+    res.json({ success: true, data });
+});
+
+// ADD / UPDATE Admin User (owner only)
+app.post('/api/admin/users', requireAdmin('owner'), async (req, res) => {
+    const { id, password, role, active } = req.body;
+    const username = req.body.username ? String(req.body.username).trim().toLowerCase() : undefined;
+
+    if (role && !adminAuthLib.ROLES.includes(role)) return res.status(400).json({ error: `Role tidak dikenal: ${role}` });
+    if (password && password.length < 8) return res.status(400).json({ error: 'Password minimal 8 karakter' });
+    if (id === req.admin.id && ((role && role !== 'owner') || active === false)) {
+        return res.status(400).json({ error: 'Tidak bisa menurunkan role atau menonaktifkan akun sendiri' });
+    }
+
+    const data = {};
+    if (username) data.username = username;
+    if (role) data.role = role;
+    if (typeof active === 'boolean') data.active = active;
+    if (password) data.password_hash = adminAuthLib.hashPassword(password);
+
+    if (id) {
+        const { error } = await supabase.from('admin_users').update(data).eq('id', id);
+        if (error) return res.status(500).json({ error: error.message });
+        // Changed credentials or disabled account: kick existing sessions
+        if (password || active === false) await supabase.from('admin_sessions').delete().eq('admin_id', id);
+    } else {
+        if (!username || !password) return res.status(400).json({ error: 'Username dan password wajib diisi' });
+        const { error } = await supabase.from('admin_users').insert(data);
+        if (error) return res.status(500).json({ error: error.message });
+    }
+
+    await audit(req, id ? 'admin_user.update' : 'admin_user.create', id || username, { username, role, active, password_changed: !!password });
+    res.json({ success: true });
+});
+
+// GET Audit Log (owner only)
+app.get('/api/admin/audit-logs', requireAdmin('owner'), async (req, res) => {
+    const { data, error } = await supabase.from('admin_audit_logs')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .limit(200);
+    if (error) return res.status(500).json({ error: error.message });
+    res.json({ success: true, data });
+});
+
+// Abuse Protection: violations on the public checkout endpoints (?kind=rate_limited)
+app.get('/api/admin/abuse-events', requireAdmin('staff'), async (req, res) => {
+    try {
+        const data = await abuse.listEvents(supabase, { kind: req.query.kind || null, limit: req.query.limit });
+        res.json({ success: true, data, kinds: abuse.EVENT_KINDS });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+app.get('/api/admin/blocklist', requireAdmin('staff'), async (req, res) => {
+    try {
+        res.json({ success: true, data: await abuse.listBlocks(supabase) });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Block an IP / username ({ type, value, reason, hours }; no hours = permanent)
+app.post('/api/admin/blocklist', requireAdmin('staff'), async (req, res) => {
+    try {
+        const entry = await abuse.addBlock(supabase, req.body || {}, req.admin.username);
+        await audit(req, 'blocklist.add', `${entry.type}:${entry.value}`, { reason: entry.reason, expires_at: entry.expires_at });
+        res.json({ success: true, data: entry });
+    } catch (e) {
+        if (e instanceof abuse.AbuseError) return res.status(e.status).json({ error: e.message });
+        res.status(500).json({ error: e.message });
+    }
+});
+
+app.delete('/api/admin/blocklist/:id', requireAdmin('staff'), async (req, res) => {
+    try {
+        const entry = await abuse.removeBlock(supabase, req.params.id);
+        if (!entry) return res.status(404).json({ error: 'Data blokir tidak ditemukan' });
+        await audit(req, 'blocklist.remove', `${entry.type}:${entry.value}`);
+        res.json({ success: true });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// GET Products
+app.get('/api/admin/products', requireAdmin('viewer'), async (req, res) => {
+    const { data, error } = await supabase.from('products').select('*').order('sort_order');
+    if (error) return res.status(500).json({ error: error.message });
+    try {
+        await attachStockCounts(data);
+    } catch (e) {
+        console.error("Stock Count Error:", e.message);
+    }
+    res.json({ success: true, data });
+});
+
+// GET Product Types (registered fulfillment handlers)
+app.get('/api/admin/product-types', requireAdmin('viewer'), (req, res) => {
+    res.json({ success: true, data: fulfillment.listTypes() });
+});
+
+// ADD Product
+app.post('/api/admin/products', requireAdmin('staff'), async (req, res) => {
+    try {
+        const id = req.body.id;
+        const data = catalog.pickFields(req.body);
+        // Blank storefront texts are stored as NULL (no category = default section of the type)
+        ['category', 'description'].forEach(key => {
+            if (typeof data[key] === 'string') data[key] = data[key].trim() || null;
+        });
+        if (data.type && !fulfillment.isSellable(data.type)) {
+            return res.status(400).json({ error: `Unknown product type: ${data.type}` });
+        }
+        const problems = [
+            ...(data.type && data.meta !== undefined ? fulfillment.validateMeta(data.type, data.meta) : []),
+            ...resellers.validatePrices(data.reseller_prices)
+        ];
+        if (problems.length) return res.status(400).json({ error: problems.join(', ') });
+        // Empty slug: derive one from the name (new products always get one)
+        if (data.slug !== undefined || !id) {
+            data.slug = String(data.slug || '').trim().toLowerCase();
+            if (data.slug && catalog.slugify(data.slug) !== data.slug) {
+                return res.status(400).json({ error: 'Slug hanya boleh huruf kecil, angka, dan tanda -' });
+            }
+            if (!data.slug) data.slug = await catalog.uniqueSlug(supabase, data.name, id);
+        }
+        const { error } = id
+            ? await supabase.from('products').update({ ...data, updated_at: new Date() }).eq('id', id) // Update existing
+            : await supabase.from('products').insert(data); // Insert new
+        if (error) {
+            if (error.code === '23505') return res.status(409).json({ error: `Slug ${data.slug} sudah dipakai produk lain` });
+            return res.status(500).json({ error: error.message });
+        }
+        await audit(req, id ? 'product.update' : 'product.create', id || data.name, data);
+        res.json({ success: true });
+    } catch (e) {
+        console.error("Save Product Error:", e.message);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// EXPORT Catalog (?format=json|csv), re-importable through /api/admin/products/import
+app.get('/api/admin/products/export', requireAdmin('viewer'), async (req, res) => {
+    try {
+        const products = await catalog.listProducts(supabase);
+        const date = new Date().toISOString().slice(0, 10);
+        if (req.query.format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="katalog-${date}.csv"`);
+            return res.send(catalog.toCsv(products));
+        }
+        res.setHeader('Content-Disposition', `attachment; filename="katalog-${date}.json"`);
+        res.json({ exported_at: new Date().toISOString(), products: products.map(catalog.toExportRow) });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// IMPORT Catalog (JSON / CSV upload, upsert by slug). dry_run=true only returns the plan.
+app.post('/api/admin/products/import', requireAdmin('staff'), upload.single('file'), async (req, res) => {
+    try {
+        const fileName = req.file?.originalname || '';
+        const text = req.file ? req.file.buffer.toString('utf8') : req.body.content;
+        const format = req.body.format || (/\.json$/i.test(fileName) ? 'json' : 'csv');
+        const plan = await catalog.planImport(supabase, catalog.parseFile(text, format));
+        const summary = { create: plan.create.length, update: plan.update.length, unchanged: plan.unchanged.length, errors: plan.errors.length };
+
+        if (String(req.body.dry_run) === 'true') return res.json({ success: true, dry_run: true, summary, plan });
+        if (plan.errors.length) return res.status(400).json({ error: `${plan.errors.length} baris tidak valid, tidak ada yang diimport`, summary, plan });
+
+        const result = await catalog.applyImport(supabase, plan);
+        await audit(req, 'product.import', fileName || format, { format, ...result });
+        res.json({ success: true, summary, plan, ...result });
+    } catch (e) {
+        if (e instanceof catalog.CatalogError) return res.status(e.status).json({ error: e.message });
+        console.error("Catalog Import Error:", e);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// REORDER Products ({ ids } in display order)
+app.post('/api/admin/products/reorder', requireAdmin('staff'), async (req, res) => {
+    try {
+        const result = await catalog.reorder(supabase, req.body.ids);
+        await audit(req, 'product.reorder', null, { count: req.body.ids.length, ...result });
+        res.json({ success: true, ...result });
+    } catch (e) {
+        if (e instanceof catalog.CatalogError) return res.status(e.status).json({ error: e.message });
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// BULK Product Actions: { ids, action: 'activate' | 'deactivate' | 'price', mode, value }
+app.post('/api/admin/products/bulk', requireAdmin('staff'), async (req, res) => {
+    const { ids, action } = req.body;
+    try {
+        let result;
+        if (action === 'activate' || action === 'deactivate') {
+            result = await catalog.setActive(supabase, ids, action === 'activate');
+        } else if (action === 'price') {
+            result = await catalog.changePrices(supabase, ids, req.body);
+        } else {
+            return res.status(400).json({ error: 'Aksi harus activate, deactivate, atau price' });
+        }
+        await audit(req, `product.bulk.${action}`, null, { ids, mode: req.body.mode, value: req.body.value, ...result });
+        res.json({ success: true, ...result });
+    } catch (e) {
+        if (e instanceof catalog.CatalogError) return res.status(e.status).json({ error: e.message });
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// DELETE Product
+app.delete('/api/admin/products/:id', requireAdmin('staff'), async (req, res) => {
+    const { error } = await supabase.from('products').delete().eq('id', req.params.id);
+    if (error) return res.status(500).json({ error: error.message });
+    await audit(req, 'product.delete', req.params.id);
+    res.json({ success: true });
+});
+
+// GET Stock Items of a stock-managed product
+app.get('/api/admin/products/:id/stock', requireAdmin('viewer'), async (req, res) => {
+    try {
+        const { data: items, error } = await supabase.from('stock_items')
+            .select('id, content, status, order_id, created_at, sold_at')
+            .eq('product_id', req.params.id)
+            .order('created_at', { ascending: false })
+            .limit(500);
+        if (error) throw error;
+
+        const counts = await stock.getCounts(supabase, [req.params.id]);
+        res.json({ success: true, data: items, counts: counts[req.params.id] || { available: 0, reserved: 0, sold: 0 } });
+    } catch (e) {
+        console.error("Stock List Error:", e.message);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// IMPORT Stock Items (pasted text, one item per line, or CSV upload)
+app.post('/api/admin/products/:id/stock', requireAdmin('staff'), upload.single('file'), async (req, res) => {
+    try {
+        const { data: product } = await supabase.from('products').select('id, name, type').eq('id', req.params.id).maybeSingle();
+        if (!product) return res.status(404).json({ error: 'Product not found' });
+        if (product.type !== 'stock') return res.status(400).json({ error: 'Produk ini bukan tipe stok' });
+
+        const text = req.file ? req.file.buffer.toString('utf8') : req.body.items;
+        const format = req.file || req.body.format === 'csv' ? 'csv' : 'lines';
+        const items = stock.parseImport(text, format);
+        if (!items.length) return res.status(400).json({ error: 'Tidak ada item untuk diimport' });
+
+        const result = await stock.importItems(supabase, product.id, items);
+        await audit(req, 'stock.import', product.id, { product: product.name, format, file: req.file?.originalname, ...result });
+        res.json({ success: true, ...result });
+    } catch (e) {
+        console.error("Stock Import Error:", e);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// GET Versions of a script product
+app.get('/api/admin/products/:id/versions', requireAdmin('viewer'), async (req, res) => {
+    try {
+        res.json({ success: true, data: await productVersions.listVersions(supabase, req.params.id) });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// ADD Version (draft: file uploaded through /api/admin/upload + changelog)
+app.post('/api/admin/products/:id/versions', requireAdmin('staff'), async (req, res) => {
+    try {
+        const { data: product } = await supabase.from('products').select('*').eq('id', req.params.id).maybeSingle();
+        if (!product) return res.status(404).json({ error: 'Product not found' });
+
+        const version = await productVersions.addVersion(supabase, product, req.body || {}, req.admin.username);
+        await audit(req, 'product.version.create', product.id, { product: product.name, version: version.version, file_path: version.file_path });
+        res.json({ success: true, data: version });
+    } catch (e) {
+        if (e instanceof productVersions.VersionError) return res.status(e.status).json({ error: e.message });
+        console.error("Version Create Error:", e);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// PUBLISH Version: buyers download it from now on, past buyers are notified ({ notify: false } to skip)
+app.post('/api/admin/products/:id/versions/:versionId/publish', requireAdmin('staff'), async (req, res) => {
+    try {
+        const { data: product } = await supabase.from('products').select('*').eq('id', req.params.id).maybeSingle();
+        if (!product) return res.status(404).json({ error: 'Product not found' });
+
+        const version = await productVersions.publishVersion(supabase, product, req.params.versionId);
+        let result = { buyers: 0, notified: 0 };
+        if (req.body?.notify !== false) {
+            const base = (process.env.PUBLIC_URL || '').replace(/\/+$/, '');
+            result = await productVersions.notifyBuyers(supabase, version, order => notifications.notifyCustomer('product_update', order, {
+                version: version.version,
+                changelog: version.changelog || '-',
+                lookup_url: `${base}/cek-pesanan?id=${encodeURIComponent(order.id)}`
+            }, fulfillmentContext));
+        }
+
+        await audit(req, 'product.version.publish', product.id, { product: product.name, version: version.version, ...result });
+        res.json({ success: true, data: version, ...result });
+    } catch (e) {
+        if (e instanceof productVersions.VersionError) return res.status(e.status).json({ error: e.message });
+        console.error("Version Publish Error:", e);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// DELETE Stock Item (only items that were never reserved or sold)
+app.delete('/api/admin/stock/:itemId', requireAdmin('staff'), async (req, res) => {
+    const { data, error } = await supabase.from('stock_items')
+        .delete()
+        .eq('id', req.params.itemId)
+        .eq('status', 'available')
+        .select('id, product_id');
+    if (error) return res.status(500).json({ error: error.message });
+    if (!data || !data.length) return res.status(409).json({ error: 'Item sudah direservasi / terjual, tidak bisa dihapus' });
+    await audit(req, 'stock.delete', req.params.itemId, { product_id: data[0].product_id });
+    res.json({ success: true });
+});
+
+// GET Coupons (with usage counters)
+app.get('/api/admin/coupons', requireAdmin('viewer'), async (req, res) => {
+    const { data, error } = await supabase.from('coupons')
+        .select('*, coupon_redemptions(status, discount_amount)')
+        .order('created_at', { ascending: false });
+    if (error) return res.status(500).json({ error: error.message });
+
+    const result = data.map(({ coupon_redemptions: redemptions = [], ...coupon }) => ({
+        ...coupon,
+        used: redemptions.filter(r => r.status === 'used').length,
+        reserved: redemptions.filter(r => r.status === 'reserved').length,
+        total_discount: redemptions.filter(r => r.status === 'used').reduce((sum, r) => sum + Number(r.discount_amount), 0)
+    }));
+    res.json({ success: true, data: result });
+});
+
+// ADD / UPDATE Coupon
+app.post('/api/admin/coupons', requireAdmin('staff'), async (req, res) => {
+    const { id, description, discount_type, active, starts_at, ends_at } = req.body;
+    const code = coupons.normalizeCode(req.body.code);
+    const value = Number(req.body.discount_value);
+
+    if (!code || !/^[A-Z0-9_-]{3,32}$/.test(code)) return res.status(400).json({ error: 'Kode kupon 3-32 karakter (huruf, angka, - atau _)' });
+    if (!coupons.DISCOUNT_TYPES.includes(discount_type)) return res.status(400).json({ error: `Tipe diskon tidak dikenal: ${discount_type}` });
+    if (!(value > 0) || (discount_type === 'percent' && value > 100)) return res.status(400).json({ error: 'Nilai diskon tidak valid' });
+
+    const optionalNumber = v => (v === '' || v === null || v === undefined ? null : Number(v));
+    const data = {
+        code,
+        description: description || null,
+        discount_type,
+        discount_value: value,
+        max_discount: optionalNumber(req.body.max_discount),
+        min_amount: optionalNumber(req.body.min_amount) || 0,
+        product_ids: Array.isArray(req.body.product_ids) ? req.body.product_ids : [],
+        max_uses: optionalNumber(req.body.max_uses),
+        per_user_limit: optionalNumber(req.body.per_user_limit),
+        starts_at: starts_at || null,
+        ends_at: ends_at || null,
+        active: active !== false
+    };
+
+    const { error } = id
+        ? await supabase.from('coupons').update(data).eq('id', id)
+        : await supabase.from('coupons').insert(data);
+    if (error) {
+        if (error.code === '23505') return res.status(409).json({ error: `Kode kupon ${code} sudah ada` });
+        return res.status(500).json({ error: error.message });
+    }
+
+    await audit(req, id ? 'coupon.update' : 'coupon.create', id || code, data);
+    res.json({ success: true });
+});
+
+// DELETE Coupon (orders keep their coupon_code & discount for reporting)
+app.delete('/api/admin/coupons/:id', requireAdmin('staff'), async (req, res) => {
+    const { error } = await supabase.from('coupons').delete().eq('id', req.params.id);
+    if (error) return res.status(500).json({ error: error.message });
+    await audit(req, 'coupon.delete', req.params.id);
+    res.json({ success: true });
+});
+
+// Bot Rentals
+app.get('/api/admin/rentals', requireAdmin('viewer'), async (req, res) => {
+    const { data, error } = await supabase.from('bot_rentals')
+        .select('*, products(name)')
+        .order('expires_at', { ascending: false })
+        .limit(200);
+    if (error) return res.status(500).json({ error: error.message });
+    res.json({ success: true, data });
+});
+
+// Activate (again): re-sends the bot control webhook, or confirms a manual activation
+app.post('/api/admin/rentals/:id/activate', requireAdmin('staff'), async (req, res) => {
+    const { data: rental } = await supabase.from('bot_rentals').select('*').eq('id', req.params.id).maybeSingle();
+    if (!rental) return res.status(404).json({ error: 'Sewa tidak ditemukan' });
+    if (new Date(rental.expires_at) <= new Date()) {
+        return res.status(409).json({ error: 'Masa sewa sudah habis, buat order perpanjangan' });
+    }
+
+    try {
+        const updated = await botRentals.activateRental(supabase, rental, { manual: true });
+        await audit(req, 'rental.activate', rental.id, { target: rental.target });
+        res.json({ success: true, data: updated });
+    } catch (e) {
+        await supabase.from('bot_rentals').update({ last_error: e.message }).eq('id', rental.id);
+        res.status(502).json({ error: e.message });
+    }
+});
+
+app.post('/api/admin/rentals/:id/deactivate', requireAdmin('staff'), async (req, res) => {
+    const { data: rental } = await supabase.from('bot_rentals').select('*').eq('id', req.params.id).maybeSingle();
+    if (!rental) return res.status(404).json({ error: 'Sewa tidak ditemukan' });
+    if (['cancelled', 'expired'].includes(rental.status)) {
+        return res.status(409).json({ error: `Sewa sudah berstatus ${rental.status}` });
+    }
+
+    try {
+        const updated = await botRentals.deactivateRental(supabase, rental, 'cancelled');
+        await audit(req, 'rental.deactivate', rental.id, { target: rental.target });
+        res.json({ success: true, data: updated });
+    } catch (e) {
+        await supabase.from('bot_rentals').update({ last_error: e.message }).eq('id', rental.id);
+        res.status(502).json({ error: e.message });
+    }
+});
+
+// GET Resellers (with their API keys) and the configured price tiers
+app.get('/api/admin/resellers', requireAdmin('viewer'), async (req, res) => {
+    const { data, error } = await supabase.from('resellers')
+        .select('*, reseller_api_keys(id, label, key_prefix, last_used_at, revoked_at, created_at)')
+        .order('created_at', { ascending: false });
+    if (error) return res.status(500).json({ error: error.message });
+    res.json({ success: true, data, tiers: resellers.listTiers() });
+});
+
+// ADD / UPDATE Reseller (the balance only moves through top-ups, orders & adjustments)
+app.post('/api/admin/resellers', requireAdmin('owner'), async (req, res) => {
+    const { id, name, tier, notes, active } = req.body || {};
+    if (!name || !String(name).trim()) return res.status(400).json({ error: 'Nama reseller wajib diisi' });
+    const tiers = resellers.listTiers();
+    if (!tiers.includes(tier)) return res.status(400).json({ error: `Level harus salah satu dari: ${tiers.join(', ')}` });
+    const contact = readBuyerContact(req.body);
+    if (contact.error) return res.status(400).json({ error: contact.error });
+
+    const data = {
+        name: String(name).trim(),
+        tier,
+        whatsapp: contact.whatsapp,
+        email: contact.email,
+        notes: notes ? String(notes).trim() : null,
+        active: active !== false,
+        updated_at: new Date()
+    };
+    const { data: saved, error } = id
+        ? await supabase.from('resellers').update(data).eq('id', id).select().single()
+        : await supabase.from('resellers').insert(data).select().single();
+    if (error) return res.status(500).json({ error: error.message });
+
+    await audit(req, id ? 'reseller.update' : 'reseller.create', saved.id, { name: saved.name, tier, active: saved.active });
+    res.json({ success: true, data: saved });
+});
+
+// ADJUST Reseller Balance ({ amount: +/- Rp, note }), e.g. a bank transfer received outside the gateway
+app.post('/api/admin/resellers/:id/balance', requireAdmin('owner'), async (req, res) => {
+    const amount = parseInt(req.body?.amount);
+    const note = req.body?.note ? String(req.body.note).trim().slice(0, 300) : null;
+    if (!amount) return res.status(400).json({ error: 'Nominal koreksi wajib diisi (negatif untuk mengurangi)' });
+    if (!note) return res.status(400).json({ error: 'Catatan koreksi wajib diisi' });
+
+    const { data: reseller } = await supabase.from('resellers').select('id, name').eq('id', req.params.id).maybeSingle();
+    if (!reseller) return res.status(404).json({ error: 'Reseller not found' });
+
+    try {
+        const transaction = await resellers.applyBalance(supabase, reseller.id, amount, {
+            type: 'adjustment', note, actor: `admin:${req.admin.username}`
+        });
+        await audit(req, 'reseller.balance', reseller.id, { name: reseller.name, amount, note, balance_after: transaction.balance_after });
+        res.json({ success: true, data: transaction });
+    } catch (e) {
+        if (e instanceof resellers.ResellerError) return res.status(e.status).json({ error: e.message });
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// GET Reseller Balance History (?limit=100)
+app.get('/api/admin/resellers/:id/transactions', requireAdmin('viewer'), async (req, res) => {
+    try {
+        res.json({ success: true, data: await resellers.listTransactions(supabase, req.params.id, { limit: req.query.limit }) });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// CREATE Reseller API Key (the plain key is only in this response)
+app.post('/api/admin/resellers/:id/keys', requireAdmin('owner'), async (req, res) => {
+    const { data: reseller } = await supabase.from('resellers').select('id, name').eq('id', req.params.id).maybeSingle();
+    if (!reseller) return res.status(404).json({ error: 'Reseller not found' });
+    try {
+        const key = await resellers.createApiKey(supabase, reseller.id, req.body?.label);
+        await audit(req, 'reseller.key.create', reseller.id, { name: reseller.name, key_prefix: key.key_prefix, label: key.label });
+        res.json({ success: true, data: key });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// REVOKE Reseller API Key
+app.delete('/api/admin/reseller-keys/:keyId', requireAdmin('owner'), async (req, res) => {
+    try {
+        const revoked = await resellers.revokeApiKey(supabase, req.params.keyId);
+        if (!revoked) return res.status(404).json({ error: 'API key tidak ditemukan atau sudah dicabut' });
+        await audit(req, 'reseller.key.revoke', revoked.reseller_id, { key_prefix: revoked.key_prefix });
+        res.json({ success: true });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// Pterodactyl Catalog (nests, eggs, locations & nodes for the panel product editor)
+const pteroCatalogRoute = (load) => async (req, res) => {
+    try {
+        res.json({ success: true, data: await load(req) });
+    } catch (e) {
+        console.error("Pterodactyl Catalog Error:", e.message);
+        res.status(502).json({ error: `Gagal mengambil data dari panel: ${e.response?.data?.errors?.[0]?.detail || e.message}` });
+    }
+};
+
+app.get('/api/admin/pterodactyl/nests', requireAdmin('staff'), pteroCatalogRoute(() => pterodactyl.listNests()));
+app.get('/api/admin/pterodactyl/nests/:nestId/eggs/:eggId', requireAdmin('staff'),
+    pteroCatalogRoute(req => pterodactyl.getEgg(req.params.nestId, req.params.eggId)));
+app.get('/api/admin/pterodactyl/locations', requireAdmin('staff'), pteroCatalogRoute(() => pterodactyl.listLocations()));
+app.get('/api/admin/pterodactyl/nodes', requireAdmin('staff'), pteroCatalogRoute(() => pterodactyl.listNodes()));
+
+// Notification channels status, mock outbox & test message (owner, like the settings they depend on)
+app.get('/api/admin/notifications', requireAdmin('owner'), (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            channels: notifications.listChannels(),
+            mock: notifications.isMock(),
+            outbox: notifications.isMock() ? notifications.getOutbox() : []
+        }
+    });
+});
+
+app.post('/api/admin/notifications/test', requireAdmin('owner'), async (req, res) => {
+    const { channel, to } = req.body || {};
+    if (!channel || !to) return res.status(400).json({ error: 'Channel dan tujuan wajib diisi' });
+    try {
+        await notifications.sendTest(channel, String(to).trim(), fulfillmentContext);
+        await audit(req, 'notification.test', channel, { to });
+        res.json({ success: true });
+    } catch (e) {
+        res.status(502).json({ error: `Gagal mengirim: ${e.response?.data?.description || e.message}` });
+    }
+});
+
+// GET Settings
+app.get('/api/admin/settings', requireAdmin('viewer'), async (req, res) => {
+    const { data, error } = await supabase.from('settings').select('*');
+    if (error) return res.status(500).json({ error: error.message });
+    res.json({ success: true, data });
+});
+
+// SAVE Settings
+app.post('/api/admin/settings', requireAdmin('owner'), async (req, res) => {
+    const { settings } = req.body || {}; // Expect array of {key, value}
+    if (!Array.isArray(settings) || settings.some(s => !s || !s.key)) {
+        return res.status(400).json({ error: 'settings harus berupa array { key, value }' });
+    }
+    try {
+        for (let s of settings) {
+            const { error } = await supabase.from('settings').upsert({ key: s.key, value: s.value });
+            if (error) throw error;
+        }
+        await audit(req, 'settings.update', null, { keys: settings.map(s => s.key) });
+        res.json({ success: true });
+    } catch (e) {
+        console.error("Save Settings Error:", e.message);
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// GET Orders
+app.get('/api/admin/orders', requireAdmin('viewer'), async (req, res) => {
+    const { data, error } = await supabase.from('orders')
+        .select('*, product_snapshot, deliveries(*), order_events(*), download_tokens(*), download_logs(*), resellers(name)')
+        .order('created_at', { ascending: false })
+        .limit(100);
+    if (error) return res.status(500).json({ error: error.message });
+    // Payment methods the "Order Manual" form offers
+    res.json({ success: true, data, manual_methods: payments.getProvider('manual').methods });
+});
+
+// GET Sales Report (?from=YYYY-MM-DD&to=YYYY-MM-DD&granularity=day|week|month&format=json|csv&table=series|products)
+app.get('/api/admin/reports', requireAdmin('viewer'), async (req, res) => {
+    let report;
+    try {
+        report = await reports.generateReport(supabase, req.query);
+    } catch (e) {
+        console.error("Report Error:", e.message);
+        return res.status(e.status || 500).json({ error: e.message });
+    }
+
+    if (req.query.format === 'csv') {
+        const table = req.query.table === 'products' ? 'products' : 'series';
+        const rows = table === 'products' ? report.top_products : report.series;
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="laporan-${table}-${report.range.from}-${report.range.to}.csv"`);
+        return res.send(csv.stringify(rows, reports.CSV_COLUMNS[table]));
+    }
+
+    res.json({ success: true, data: report });
+});
+
+// RETRY Fulfillment (re-runs the handler for the order's product_snapshot right away)
+app.post('/api/admin/orders/:id/retry', requireAdmin('staff'), async (req, res) => {
+    const { id } = req.params;
+    const username = req.body?.username ? String(req.body.username).trim().toLowerCase() : null;
+    if (username && !/^[a-z0-9]{3,20}$/.test(username)) {
+        return res.status(400).json({ error: 'Username tidak valid (huruf kecil & angka, 3-20 karakter)' });
+    }
+
+    const { data: order } = await supabase.from('orders').select('*').eq('id', id).maybeSingle();
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+    if (!['paid', 'paid_failed'].includes(order.status)) {
+        return res.status(409).json({ error: `Order berstatus ${order.status}, retry hanya untuk paid / paid_failed` });
+    }
+
+    try {
+        const delivery = await fulfillOrder(order, null, { actor: `admin:${req.admin.username}`, retry: true, username });
+        if (!delivery) return res.status(409).json({ error: 'Order sedang diproses oleh request lain' });
+        await audit(req, 'order.retry', id, { username, result: 'completed' });
+        res.json({ success: true, order_status: 'completed', delivery });
+    } catch (e) {
+        await audit(req, 'order.retry', id, { username, result: 'failed', error: e.message });
+        res.status(e.status || 500).json({ error: e.message, order_status: 'paid_failed' });
+    }
+});
+
+// CANCEL an order. For paid_failed orders (money returned outside the system) whatever the
+// failed fulfillment left behind, such as a half-made Pterodactyl user / server, is removed first.
+app.post('/api/admin/orders/:id/cancel', requireAdmin('staff'), async (req, res) => {
+    const { id } = req.params;
+    const reason = req.body?.reason ? String(req.body.reason).trim().slice(0, 500) : null;
+
+    const { data: order } = await supabase.from('orders').select('*').eq('id', id).maybeSingle();
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+    if (!['pending', 'paid_failed'].includes(order.status)) {
+        return res.status(409).json({ error: `Order berstatus ${order.status}, batal hanya untuk pending / paid_failed` });
+    }
+
+    try {
+        // Clean up before the status changes, so a failed cleanup can simply be retried
+        const cleanup = order.status === 'paid_failed' ? await fulfillment.abort(order, fulfillmentContext) : null;
+        await cancelOrder(order, { actor: `admin:${req.admin.username}`, note: reason || 'Dibatalkan admin' });
+        await audit(req, 'order.cancel', id, { from: order.status, reason, cleanup });
+        res.json({ success: true, order_status: 'cancelled', cleanup });
+    } catch (e) {
+        console.error("Cancel Order Error:", e.message);
+        res.status(e.status || 500).json({ error: `Gagal membatalkan order: ${e.message}` });
+    }
+});
+
+// REFUND a paid order. Body: { amount (default: everything paid), reason, revoke (default true) }.
+// The money itself goes back outside the system, except for reseller balance orders (lib/refunds).
+app.post('/api/admin/orders/:id/refund', requireAdmin('staff'), async (req, res) => {
+    const { id } = req.params;
+    const body = req.body || {};
+
+    const { data: order } = await supabase.from('orders').select('*').eq('id', id).maybeSingle();
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+
+    try {
+        const result = await refunds.refundOrder(order, {
+            amount: body.amount,
+            reason: body.reason,
+            revoke: body.revoke !== false,
+            actor: `admin:${req.admin.username}`
+        }, fulfillmentContext);
+        delete panelsStorage[id];
+        await audit(req, 'order.refund', id, {
+            from: order.status, amount: result.refund_amount, reason: result.order.refund_reason,
+            revoked: result.revoked, cleanup: result.cleanup
+        });
+        await notifications.notifyCustomer('refund', result.order, {
+            refund_amount: result.refund_amount.toLocaleString('id-ID'),
+            reason: result.order.refund_reason
+        }, fulfillmentContext);
+        res.json({ success: true, order_status: 'refunded', refund_amount: result.refund_amount, revoked: result.revoked, cleanup: result.cleanup });
+    } catch (e) {
+        if (e instanceof refunds.RefundError || e instanceof OrderStateError) return res.status(e.status || 409).json({ error: e.message });
+        console.error("Refund Order Error:", e.message);
+        res.status(e.status || 500).json({ error: `Gagal refund order: ${e.message}` });
+    }
+});
+
+// MANUAL order for a buyer who paid outside the gateways (bank transfer, cash, ...).
+// Body: { product_id, username, rental_target, amount (default: product price), payment_method,
+// payment_reference, whatsapp, email, note }. Fulfilled right away like a paid checkout.
+app.post('/api/admin/orders/manual', requireAdmin('staff'), async (req, res) => {
+    const body = req.body || {};
+    const actor = `admin:${req.admin.username}`;
+    try {
+        const { data: product } = await supabase.from('products').select('*').eq('id', body.product_id || null).maybeSingle();
+        if (!product || !fulfillment.isSellable(product.type)) return res.status(404).json({ error: 'Product not found' });
+
+        const username = body.username ? String(body.username).trim().toLowerCase() : null;
+        if (username && !/^[a-z0-9]{3,20}$/.test(username)) {
+            return res.status(400).json({ error: 'Username tidak valid (huruf kecil & angka, 3-20 karakter)' });
+        }
+        if (product.type === 'panel' && !username) return res.status(400).json({ error: 'Username wajib diisi untuk panel' });
+        if (product.type === 'sewa' && !botRentals.parseTarget(body.rental_target)) {
+            return res.status(400).json({ error: 'Isi link grup WhatsApp atau nomor WhatsApp untuk bot' });
+        }
+
+        const hasAmount = body.amount !== undefined && body.amount !== null && body.amount !== '';
+        const amount = hasAmount ? Number(body.amount) : parseInt(product.price);
+        if (!Number.isInteger(amount) || amount < 0) return res.status(400).json({ error: 'Jumlah bayar harus bilangan bulat >= 0' });
+
+        const provider = payments.getProvider('manual');
+        const method = provider.methods.find(m => m.code === (body.payment_method || provider.methods[0].code));
+        if (!method) return res.status(400).json({ error: `Metode ${body.payment_method} tidak tersedia di ${provider.label}` });
+
+        const contact = readBuyerContact(body);
+        if (contact.error) return res.status(400).json({ error: contact.error });
+
+        const note = body.note ? String(body.note).trim().slice(0, 500) : null;
+        const orderSecret = generateOrderSecret();
+        const { data: order, error: dbError } = await supabase.from('orders').insert({
+            id: generateOrderId(),
+            product_id: product.id,
+            product_snapshot: product,
+            amount,
+            original_amount: parseInt(product.price),
+            customer_username: username,
+            rental_target: product.type === 'sewa' ? body.rental_target : null,
+            access_secret_hash: hashOrderSecret(orderSecret),
+            customer_whatsapp: contact.whatsapp,
+            customer_email: contact.email,
+            payment_provider: provider.name,
+            payment_method: method.code,
+            payment_reference: body.payment_reference ? String(body.payment_reference).trim().slice(0, 100) : null,
+            created_by: actor,
+            notes: note,
+            expires_at: orderExpiry(),
+            status: 'pending'
+        }).select().single();
+        if (dbError) throw dbError;
+        await recordOrderEvent(supabase, order.id, null, 'pending', { actor, note: `Order manual (${method.label})${note ? `: ${note}` : ''}` });
+
+        try {
+            await fulfillment.reserve(order, product, fulfillmentContext);
+        } catch (holdError) {
+            await cancelOrder(order, { actor, note: holdError.message, gateway: false }).catch(() => {});
+            return res.status(holdError.status || 500).json({ error: holdError.message });
+        }
+
+        // A failed fulfillment leaves the order paid_failed for the usual retry / cancel / refund
+        let delivery = null;
+        let fulfillError = null;
+        try {
+            delivery = await fulfillOrder(order, null, { actor });
+        } catch (e) {
+            fulfillError = e.message;
+        }
+        await audit(req, 'order.manual', order.id, {
+            product: product.name, amount, method: method.code, result: fulfillError ? 'failed' : 'completed', error: fulfillError
+        });
+        res.status(fulfillError ? 502 : 200).json({
+            success: !fulfillError,
+            error: fulfillError ? `Order tercatat tetapi gagal diproses: ${fulfillError}` : undefined,
+            order_id: order.id,
+            order_status: fulfillError ? 'paid_failed' : 'completed',
+            order_secret: orderSecret, // Shown once, for the buyer's "Cek Pesanan" page
+            delivery
+        });
+    } catch (e) {
+        console.error("Manual Order Error:", e.message);
+        res.status(500).json({ error: `Gagal membuat order manual: ${e.message}` });
+    }
+});
+
+// UPLOAD File to Storage
+app.post('/api/admin/upload', requireAdmin('staff'), upload.single('file'), async (req, res) => {
+    try {
+        if(!req.file) return res.status(400).json({error: 'No file provided'});
+        
+        // Clean filename and add timestamp
+        const cleanName = req.file.originalname.replace(/[^a-zA-Z0-9.]/g, '_');
+        const fileName = `sc/${Date.now()}_${cleanName}`;
+        
+        const { data, error } = await supabase.storage
+            .from('digital-products')
+            .upload(fileName, req.file.buffer, {
+                contentType: req.file.mimetype,
+                upsert: true
+            });
+            
+        if (error) throw error;
+        
+        await audit(req, 'file.upload', fileName, { size: req.file.size });
+        res.json({ success: true, path: fileName });
+    } catch(e) {
+        console.error("Upload Error:", e);
+        res.status(500).json({ error: e.message });
+    }
+});
+
 // 8. Legacy Routes
 app.get('/health', (req, res) => {
   res.json({ status: 'OK', service: process.env.STORE_NAME });
 });
 
-app.get('/api/debug', (req, res) => {
-  const token = req.headers['x-admin-token'];
-  if (token === process.env.ADMIN_DEBUG_TOKEN) {
-      res.json({ storage: panelsStorage });
-  } else {
-      res.status(403).json({ error: 'Forbidden' });
-  }
+app.get('/api/debug', requireAdmin('owner'), (req, res) => {
+  res.json({ storage: panelsStorage });
 });
 
 // START SERVER
@@ -0,0 +1,257 @@
+/**
+ * ABUSE PROTECTION
+ * ================
+ * Guards the unauthenticated checkout endpoints (create-qris, check-payment,
+ * cancel-payment, panel upgrade) and the admin login:
+ *
+ * - rate limits per IP and per username, counted in memory per server
+ *   instance in fixed windows. RULES holds the defaults, each one can be
+ *   overridden as RATE_LIMIT_<RULE>_<IP|USERNAME>=<count>/<window> (10/10m)
+ * - at most MAX_PENDING_ORDERS unpaid orders per username (default 3, 0 = off)
+ * - the admin-managed `blocklist` of IPs and usernames, optionally temporary
+ * - violations are written to `abuse_events` for the admin panel, at most
+ *   once per kind and offender every EVENT_COOLDOWN_MS so a flood stays one row
+ */
+
+// Default limits: "<count>/<window>", window in s / m / h
+const RULES = {
+    checkout: { ip: '10/10m', username: '5/10m' },
+    check_payment: { ip: '120/1m' },
+    cancel: { ip: '20/10m' },
+    // Password guessing: per IP, and per admin account across IPs
+    admin_login: { ip: '10/10m', username: '5/10m' }
+};
+
+const BLOCK_TYPES = ['ip', 'username'];
+const EVENT_KINDS = ['rate_limited', 'pending_limit', 'bad_secret', 'blocked'];
+const EVENT_COOLDOWN_MS = 10 * 60 * 1000;
+const BLOCKLIST_CACHE_MS = 30 * 1000;
+// Counters are swept once the map grows past this many keys
+const MAX_COUNTERS = 10000;
+
+class AbuseError extends Error {
+    constructor(message, status = 429) {
+        super(message);
+        this.name = 'AbuseError';
+        this.status = status;
+    }
+}
+
+// --- RATE LIMITS ---
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+// "10/10m" -> { max: 10, windowMs: 600000 }; null when malformed
+function parseLimit(text) {
+    const match = String(text || '').trim().match(/^(\d+)\s*\/\s*(\d+)\s*([smh])$/i);
+    if (!match) return null;
+    return { max: parseInt(match[1]), windowMs: parseInt(match[2]) * UNITS[match[3].toLowerCase()] };
+}
+
+function getLimit(rule, scope) {
+    const override = process.env[`RATE_LIMIT_${rule.toUpperCase()}_${scope.toUpperCase()}`];
+    return parseLimit(override) || parseLimit(RULES[rule]?.[scope]);
+}
+
+// key -> { count, resetAt }
+const counters = new Map();
+
+function sweepCounters(now) {
+    counters.forEach((counter, key) => {
+        if (counter.resetAt <= now) counters.delete(key);
+    });
+}
+
+// Count one request; `retryAfter` is in seconds
+function hit(key, { max, windowMs }, now = Date.now()) {
+    let counter = counters.get(key);
+    if (!counter || counter.resetAt <= now) {
+        if (counters.size >= MAX_COUNTERS) sweepCounters(now);
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+    }
+    counter.count += 1;
+    return { allowed: counter.count <= max, retryAfter: Math.ceil((counter.resetAt - now) / 1000) };
+}
+
+function normalizeUsername(username) {
+    return String(username || '').trim().toLowerCase();
+}
+
+// --- BLOCKLIST ---
+
+let blockCache = { entries: null, loadedAt: 0 };
+
+function clearBlockCache() {
+    blockCache = { entries: null, loadedAt: 0 };
+}
+
+async function listBlocks(supabase) {
+    const { data, error } = await supabase.from('blocklist')
+        .select('*')
+        .order('created_at', { ascending: false });
+    if (error) throw error;
+    return data;
+}
+
+// Active entries, re-read from the database every BLOCKLIST_CACHE_MS
+async function activeBlocks(supabase) {
+    if (!blockCache.entries || Date.now() - blockCache.loadedAt > BLOCKLIST_CACHE_MS) {
+        blockCache = { entries: await listBlocks(supabase), loadedAt: Date.now() };
+    }
+    const now = new Date();
+    return blockCache.entries.filter(entry => !entry.expires_at || new Date(entry.expires_at) > now);
+}
+
+async function findBlock(supabase, { ip, username }) {
+    const name = normalizeUsername(username);
+    return (await activeBlocks(supabase)).find(entry =>
+        (entry.type === 'ip' && ip && entry.value === ip) ||
+        (entry.type === 'username' && name && entry.value === name)) || null;
+}
+
+async function addBlock(supabase, { type, value, reason, hours }, createdBy = null) {
+    if (!BLOCK_TYPES.includes(type)) throw new AbuseError(`Tipe blokir harus salah satu dari: ${BLOCK_TYPES.join(', ')}`, 400);
+    const target = type === 'username' ? normalizeUsername(value) : String(value || '').trim();
+    if (!target) throw new AbuseError(type === 'ip' ? 'Alamat IP wajib diisi' : 'Username wajib diisi', 400);
+
+    const duration = parseInt(hours);
+    if (hours !== undefined && hours !== null && hours !== '' && (!Number.isInteger(duration) || duration < 1)) {
+        throw new AbuseError('Durasi blokir harus bilangan bulat >= 1 jam (kosongkan untuk permanen)', 400);
+    }
+
+    const { data, error } = await supabase.from('blocklist').insert({
+        type,
+        value: target,
+        reason: String(reason || '').trim() || null,
+        expires_at: duration > 0 ? new Date(Date.now() + duration * 60 * 60 * 1000) : null,
+        created_by: createdBy
+    }).select().single();
+    if (error) {
+        if (error.code === '23505') throw new AbuseError(`${target} sudah ada di blocklist`, 409);
+        throw error;
+    }
+    clearBlockCache();
+    return data;
+}
+
+async function removeBlock(supabase, id) {
+    const { data, error } = await supabase.from('blocklist').delete().eq('id', id).select().maybeSingle();
+    if (error) throw error;
+    clearBlockCache();
+    return data;
+}
+
+// --- EVENTS ---
+
+// "kind:offender" -> last time it was written
+const reported = new Map();
+
+/**
+ * Write a violation to abuse_events unless the same kind was already written
+ * for this IP / username within EVENT_COOLDOWN_MS. Never throws.
+ */
+async function report(supabase, kind, { endpoint = null, ip = null, username = null, orderId = null, details = null }) {
+    const key = `${kind}:${normalizeUsername(username) || ip}`;
+    const now = Date.now();
+    if (reported.get(key) > now - EVENT_COOLDOWN_MS) return;
+    if (reported.size >= MAX_COUNTERS) reported.clear();
+    reported.set(key, now);
+
+    console.warn(`[ABUSE] ${kind} on ${endpoint} from ${ip}${username ? ` (${username})` : ''}`);
+    const { error } = await supabase.from('abuse_events').insert({
+        kind, endpoint, ip, username: username || null, order_id: orderId, details
+    });
+    if (error) console.error('[ABUSE] Failed to record event:', error.message);
+}
+
+async function listEvents(supabase, { kind = null, limit = 200 } = {}) {
+    let query = supabase.from('abuse_events')
+        .select('*')
+        .order('created_at', { ascending: false })
+        .limit(Math.min(Math.max(parseInt(limit) || 200, 1), 1000));
+    if (kind) query = query.eq('kind', kind);
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+}
+
+// --- GUARDS ---
+
+function maxPendingOrders() {
+    const value = parseInt(process.env.MAX_PENDING_ORDERS);
+    return Number.isInteger(value) && value >= 0 ? value : 3;
+}
+
+/**
+ * Refuse a new order while `username` already has MAX_PENDING_ORDERS unpaid
+ * orders that have not expired yet. Throws AbuseError (429) and reports it.
+ */
+async function checkPendingOrders(supabase, username, { ip = null, endpoint = 'checkout' } = {}) {
+    const max = maxPendingOrders();
+    if (!username || !max) return;
+
+    const { count, error } = await supabase.from('orders')
+        .select('id', { count: 'exact', head: true })
+        .eq('customer_username', username)
+        .eq('status', 'pending')
+        .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`);
+    if (error) throw error;
+    if (count >= max) {
+        await report(supabase, 'pending_limit', { endpoint, ip, username, details: { pending: count, max } });
+        throw new AbuseError(`Masih ada ${count} pesanan yang belum dibayar. Bayar atau batalkan dulu sebelum membuat pesanan baru.`);
+    }
+}
+
+/**
+ * Build `protect(rule)` bound to a Supabase client: 403 for blocklisted IPs /
+ * usernames, 429 with Retry-After over the rule's limits. The username is
+ * read from the JSON body.
+ */
+function createAbuseGuard(supabase) {
+    return rule => async (req, res, next) => {
+        const ip = req.ip;
+        const username = normalizeUsername(req.body?.username);
+        try {
+            const block = await findBlock(supabase, { ip, username });
+            if (block) {
+                await report(supabase, 'blocked', { endpoint: rule, ip, username, details: { type: block.type, value: block.value } });
+                return res.status(403).json({ success: false, error: 'Akses diblokir. Hubungi admin jika menurut Anda ini keliru.' });
+            }
+
+            for (const [scope, key] of [['ip', ip], ['username', username]]) {
+                const limit = getLimit(rule, scope);
+                if (!limit || !key) continue;
+                const result = hit(`${rule}:${scope}:${key}`, limit);
+                if (!result.allowed) {
+                    await report(supabase, 'rate_limited', { endpoint: rule, ip, username, details: { scope, limit: `${limit.max}/${limit.windowMs / 1000}s` } });
+                    res.set('Retry-After', String(result.retryAfter));
+                    return res.status(429).json({ success: false, error: `Terlalu banyak permintaan, coba lagi dalam ${result.retryAfter} detik` });
+                }
+            }
+        } catch (e) {
+            // A broken blocklist lookup must not take checkout down with it
+            console.error('Abuse Guard Error:', e.message);
+        }
+        next();
+    };
+}
+
+module.exports = {
+    RULES,
+    BLOCK_TYPES,
+    EVENT_KINDS,
+    AbuseError,
+    parseLimit,
+    getLimit,
+    hit,
+    listBlocks,
+    findBlock,
+    addBlock,
+    removeBlock,
+    report,
+    listEvents,
+    maxPendingOrders,
+    checkPendingOrders,
+    createAbuseGuard
+};
@@ -0,0 +1,148 @@
+/**
+ * ADMIN AUTHENTICATION
+ * ====================
+ * Admin accounts (`admin_users`) with scrypt password hashes, cookie sessions
+ * (`admin_sessions`, only the SHA-256 of the token is stored), role checks and
+ * the audit log (`admin_audit_logs`).
+ *
+ * Roles are ordered: viewer < staff < owner. A route guarded with
+ * requireAdmin('staff') accepts staff and owner.
+ */
+
+const crypto = require('crypto');
+
+const SESSION_COOKIE = 'ipin_admin_session';
+const SESSION_HOURS = parseInt(process.env.ADMIN_SESSION_HOURS || '12');
+const ROLES = ['viewer', 'staff', 'owner'];
+
+// --- PASSWORDS ---
+
+// Format: scrypt$<salt hex>$<hash hex>
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(password, salt, 64);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+function verifyPassword(password, stored) {
+    const [scheme, saltHex, hashHex] = String(stored || '').split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = crypto.scryptSync(password, Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function hasRole(admin, minRole) {
+    return ROLES.indexOf(admin?.role) >= ROLES.indexOf(minRole);
+}
+
+// --- SESSIONS ---
+
+async function createSession(supabase, admin, req) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + SESSION_HOURS * 60 * 60 * 1000);
+
+    const { error } = await supabase.from('admin_sessions').insert({
+        admin_id: admin.id,
+        token_hash: hashToken(token),
+        expires_at: expiresAt.toISOString(),
+        ip: req.ip,
+        user_agent: req.headers['user-agent'] || null
+    });
+    if (error) throw error;
+
+    await supabase.from('admin_users').update({ last_login_at: new Date() }).eq('id', admin.id);
+    return { token, expiresAt };
+}
+
+async function findSessionAdmin(supabase, token) {
+    if (!token) return null;
+
+    const { data: session } = await supabase.from('admin_sessions')
+        .select('*, admin_users(*)')
+        .eq('token_hash', hashToken(token))
+        .maybeSingle();
+
+    if (!session || new Date(session.expires_at) < new Date()) return null;
+    const admin = session.admin_users;
+    if (!admin || !admin.active) return null;
+
+    return { id: admin.id, username: admin.username, role: admin.role };
+}
+
+async function destroySession(supabase, token) {
+    if (!token) return;
+    await supabase.from('admin_sessions').delete().eq('token_hash', hashToken(token));
+}
+
+function setSessionCookie(res, token, expiresAt) {
+    res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'strict',
+        secure: process.env.NODE_ENV === 'production',
+        expires: expiresAt,
+        path: '/'
+    });
+}
+
+function clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
+
+// --- MIDDLEWARE ---
+
+// Build `requireAdmin(minRole)` bound to a Supabase client; sets req.admin on success
+function createAdminGuard(supabase) {
+    return (minRole = 'viewer') => async (req, res, next) => {
+        try {
+            const admin = await findSessionAdmin(supabase, req.cookies?.[SESSION_COOKIE]);
+            if (!admin) {
+                console.warn(`[AUTH FAILED] Attempt to access admin from ${req.ip}`);
+                return res.status(401).json({ success: false, error: "Sesi admin tidak valid, silakan login." });
+            }
+            if (!hasRole(admin, minRole)) {
+                console.warn(`[AUTH DENIED] ${admin.username} (${admin.role}) tried ${req.method} ${req.path}`);
+                return res.status(403).json({ success: false, error: `Akses ditolak. Butuh role ${minRole}.` });
+            }
+            req.admin = admin;
+            next();
+        } catch (e) {
+            console.error("Admin Auth Error:", e.message);
+            res.status(500).json({ success: false, error: 'Gagal memverifikasi sesi admin' });
+        }
+    };
+}
+
+// --- AUDIT LOG ---
+
+// Record an admin action; auditing must never break the action itself
+async function logAdminAction(supabase, req, action, target = null, details = null) {
+    const { error } = await supabase.from('admin_audit_logs').insert({
+        admin_id: req.admin?.id || null,
+        admin_username: req.admin?.username || details?.username || null,
+        action,
+        target,
+        details,
+        ip: req.ip
+    });
+    if (error) console.error(`[AUDIT] Failed to record ${action}:`, error.message);
+}
+
+module.exports = {
+    SESSION_COOKIE,
+    ROLES,
+    hashPassword,
+    verifyPassword,
+    hasRole,
+    createSession,
+    destroySession,
+    setSessionCookie,
+    clearSessionCookie,
+    createAdminGuard,
+    logAdminAction
+};
@@ -0,0 +1,59 @@
+/**
+ * BOT CONTROL WEBHOOK
+ * ===================
+ * Tells the WhatsApp bot to start, extend or stop serving a rental.
+ *
+ *   POST BOT_CONTROL_URL
+ *   { action: 'activate' | 'extend' | 'deactivate', rental_id, order_id,
+ *     target_type: 'group' | 'number', target, expires_at }
+ *   X-Signature: hex HMAC-SHA256 of the raw body with BOT_CONTROL_SECRET
+ *
+ * Any 2xx answer counts as done unless the body says { success: false }.
+ * Without BOT_CONTROL_URL rentals are activated by the admin by hand.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+
+const ACTIONS = ['activate', 'extend', 'deactivate'];
+
+function isConfigured() {
+    return !!process.env.BOT_CONTROL_URL;
+}
+
+function sign(body) {
+    return crypto.createHmac('sha256', process.env.BOT_CONTROL_SECRET || '').update(body).digest('hex');
+}
+
+async function callBotControl(action, rental) {
+    if (!ACTIONS.includes(action)) throw new Error(`Aksi bot "${action}" tidak dikenal`);
+
+    const body = JSON.stringify({
+        action,
+        rental_id: rental.id,
+        order_id: rental.order_id,
+        target_type: rental.target_type,
+        target: rental.target,
+        expires_at: rental.expires_at
+    });
+
+    let res;
+    try {
+        res = await axios.post(process.env.BOT_CONTROL_URL, body, {
+            headers: { 'Content-Type': 'application/json', 'X-Signature': sign(body) },
+            timeout: 20000
+        });
+    } catch (e) {
+        throw new Error(`Bot control gagal (${action}): ${e.response?.data?.error || e.message}`);
+    }
+    if (res.data?.success === false) {
+        throw new Error(`Bot menolak perintah ${action}: ${res.data.error || 'tanpa keterangan'}`);
+    }
+    return res.data;
+}
+
+module.exports = {
+    ACTIONS,
+    isConfigured,
+    callBotControl
+};
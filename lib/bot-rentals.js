@@ -0,0 +1,181 @@
+/**
+ * BOT RENTALS
+ * ===========
+ * Tracks every rented bot (target group / number + rental period) and
+ * enforces the lifecycle from the cron route:
+ *   pending (paid, bot not told yet) -> active -> (reminder) -> expired
+ *   active -> cancelled (admin / refund)
+ * Extension orders (`order.renewal_of` = rental ID) push expires_at forward
+ * and bring an expired rental back.
+ */
+
+const botControl = require('./bot-control');
+const { normalizeNumber } = require('./notifications/whatsapp');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REMINDER_DAYS = parseInt(process.env.RENTAL_REMINDER_DAYS || '2');
+const GROUP_LINK = /^https:\/\/chat\.whatsapp\.com\/[A-Za-z0-9]{10,}/;
+
+// Rental length of a sewa product
+function getDurationDays(product) {
+    return parseInt(product?.meta?.duration_days) || 30;
+}
+
+// Buyer input -> { target_type, target }, null when it is neither a group invite nor a number
+function parseTarget(value) {
+    const str = String(value || '').trim();
+    const group = GROUP_LINK.exec(str);
+    if (group) return { target_type: 'group', target: group[0] };
+    const number = normalizeNumber(str);
+    return number ? { target_type: 'number', target: number } : null;
+}
+
+async function updateRental(supabase, id, changes) {
+    const { data, error } = await supabase.from('bot_rentals')
+        .update({ ...changes, updated_at: new Date() })
+        .eq('id', id)
+        .select()
+        .single();
+    if (error) throw error;
+    return data;
+}
+
+// Rental row for a paid order (a retried order reuses the one an earlier attempt saved)
+async function recordRental(supabase, order, product) {
+    const { data: existing } = await supabase.from('bot_rentals').select('*').eq('order_id', order.id).maybeSingle();
+    if (existing) return existing;
+
+    const target = parseTarget(order.rental_target);
+    if (!target) throw new Error('Target sewa bot (link grup / nomor WhatsApp) tidak valid.');
+
+    const now = Date.now();
+    const { data, error } = await supabase.from('bot_rentals').insert({
+        order_id: order.id,
+        product_id: product.id || null,
+        username: order.customer_username,
+        ...target,
+        starts_at: new Date(now).toISOString(),
+        expires_at: new Date(now + getDurationDays(product) * DAY_MS).toISOString(),
+        status: 'pending'
+    }).select().single();
+
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * Tell the bot to serve the rental and mark it active. Without a bot control
+ * URL the rental still becomes active but `activated_at` stays empty until
+ * the admin confirms the manual activation (`manual: true`).
+ */
+async function activateRental(supabase, rental, { manual = false } = {}) {
+    let activatedAt = rental.activated_at || null;
+    if (botControl.isConfigured()) {
+        await botControl.callBotControl('activate', rental);
+        activatedAt = new Date();
+    } else if (manual) {
+        activatedAt = new Date();
+    }
+    return updateRental(supabase, rental.id, { status: 'active', activated_at: activatedAt, deactivated_at: null, last_error: null });
+}
+
+// Stop the bot for the rental; `status` is 'expired' (cron) or 'cancelled' (admin / refund)
+async function deactivateRental(supabase, rental, status = 'expired') {
+    if (botControl.isConfigured() && rental.status === 'active') {
+        await botControl.callBotControl('deactivate', rental);
+    }
+    return updateRental(supabase, rental.id, { status, deactivated_at: new Date() });
+}
+
+// Extension purchase: extend from the current expiry when still running, otherwise from now
+async function extendRental(supabase, rentalId, product) {
+    const { data: rental, error } = await supabase.from('bot_rentals').select('*').eq('id', rentalId).single();
+    if (error || !rental) throw new Error(`Sewa bot ${rentalId} tidak ditemukan.`);
+    if (rental.status === 'cancelled') throw new Error('Sewa bot ini sudah dibatalkan, tidak bisa diperpanjang.');
+
+    const base = Math.max(new Date(rental.expires_at).getTime(), Date.now());
+    const extended = { ...rental, expires_at: new Date(base + getDurationDays(product) * DAY_MS).toISOString() };
+
+    // An expired bot already left the target, it has to be activated again
+    const action = rental.status === 'active' ? 'extend' : 'activate';
+    if (botControl.isConfigured()) await botControl.callBotControl(action, extended);
+
+    return updateRental(supabase, rental.id, {
+        expires_at: extended.expires_at,
+        status: 'active',
+        reminded_at: null,
+        deactivated_at: null,
+        activated_at: action === 'activate' && botControl.isConfigured() ? new Date() : rental.activated_at
+    });
+}
+
+// Latest rental for a group link / number that can still be extended
+async function findRenewable(supabase, value) {
+    const target = parseTarget(value);
+    if (!target) return null;
+    const { data } = await supabase.from('bot_rentals')
+        .select('*')
+        .eq('target', target.target)
+        .in('status', ['active', 'expired'])
+        .order('expires_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+    return data;
+}
+
+/**
+ * Cron entry point. `notify(event, rental)` is called for reminders and
+ * expiries so the caller decides how buyers are told.
+ */
+async function runLifecycle(supabase, notify = async () => {}) {
+    const now = Date.now();
+    const summary = { reminded: 0, expired: 0, errors: [] };
+
+    // 1. Reminders for rentals ending soon
+    const { data: expiring } = await supabase.from('bot_rentals')
+        .select('*')
+        .eq('status', 'active')
+        .is('reminded_at', null)
+        .gt('expires_at', new Date(now).toISOString())
+        .lte('expires_at', new Date(now + REMINDER_DAYS * DAY_MS).toISOString());
+
+    for (const rental of expiring || []) {
+        try {
+            await notify('reminder', rental);
+            await updateRental(supabase, rental.id, { reminded_at: new Date() });
+            summary.reminded++;
+        } catch (e) {
+            summary.errors.push({ id: rental.id, step: 'reminder', error: e.message });
+        }
+    }
+
+    // 2. Deactivate expired rentals
+    const { data: expired } = await supabase.from('bot_rentals')
+        .select('*')
+        .eq('status', 'active')
+        .lte('expires_at', new Date(now).toISOString());
+
+    for (const rental of expired || []) {
+        try {
+            await deactivateRental(supabase, rental, 'expired');
+            await notify('expired', rental);
+            summary.expired++;
+        } catch (e) {
+            await updateRental(supabase, rental.id, { last_error: e.message }).catch(() => {});
+            summary.errors.push({ id: rental.id, step: 'expire', error: e.message });
+        }
+    }
+
+    return summary;
+}
+
+module.exports = {
+    getDurationDays,
+    parseTarget,
+    recordRental,
+    activateRental,
+    deactivateRental,
+    extendRental,
+    findRenewable,
+    runLifecycle
+};
@@ -0,0 +1,332 @@
+/**
+ * PRODUCT CATALOG
+ * ===============
+ * Bulk management of `products` for the admin panel:
+ * - export the whole catalog as JSON or CSV
+ * - import it back, matched by `slug` so an edited export updates the same
+ *   products instead of duplicating them
+ * - reorder (`sort_order`) and bulk activate / deactivate / price changes
+ *
+ * Import is two-step. planImport() checks every row (type-specific meta
+ * through the fulfillment registry) and diffs it against the catalog without
+ * writing anything; the admin panel shows that plan as a dry run.
+ * applyImport() writes a plan that has no errors. Products missing from the
+ * file are left alone.
+ */
+
+const csv = require('./csv');
+const fulfillment = require('./fulfillment');
+const resellers = require('./resellers');
+
+// Columns of an export, in order. Updates only touch the columns a file contains.
+const FIELDS = ['slug', 'type', 'name', 'price', 'badge', 'category', 'description', 'active', 'sort_order', 'features', 'meta', 'reseller_prices'];
+const CSV_COLUMNS = FIELDS.map(key => ({ key }));
+// Features share one CSV cell
+const FEATURE_SEPARATOR = ' | ';
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+// Rows written in parallel by applyImport() / reorder()
+const WRITE_BATCH_SIZE = 20;
+
+class CatalogError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'CatalogError';
+        this.status = status;
+    }
+}
+
+function slugify(name) {
+    return String(name || '')
+        .toLowerCase()
+        .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 80);
+}
+
+// Slug for a product saved from the admin form: `base`, or base-2, base-3, ... when taken
+async function uniqueSlug(supabase, name, excludeId = null) {
+    const base = slugify(name) || 'produk';
+    const { data, error } = await supabase.from('products').select('id, slug').like('slug', `${base}%`);
+    if (error) throw error;
+    const taken = new Set(data.filter(p => p.id !== excludeId).map(p => p.slug));
+    let slug = base;
+    for (let i = 2; taken.has(slug); i++) slug = `${base}-${i}`;
+    return slug;
+}
+
+async function runInBatches(items, fn) {
+    for (let i = 0; i < items.length; i += WRITE_BATCH_SIZE) {
+        await Promise.all(items.slice(i, i + WRITE_BATCH_SIZE).map(fn));
+    }
+}
+
+// --- Export ---
+
+async function listProducts(supabase) {
+    const { data, error } = await supabase.from('products').select('*').order('sort_order').order('name');
+    if (error) throw error;
+    return data;
+}
+
+// Product columns present in a request body (the admin form also sends helper fields)
+function pickFields(body) {
+    return Object.fromEntries(FIELDS.filter(key => body[key] !== undefined).map(key => [key, body[key]]));
+}
+
+function toExportRow(product) {
+    return Object.fromEntries(FIELDS.map(key => [key, product[key] ?? null]));
+}
+
+function toCsv(products) {
+    return csv.stringify(products.map(p => ({
+        ...toExportRow(p),
+        features: (p.features || []).join(FEATURE_SEPARATOR),
+        meta: JSON.stringify(p.meta || {}),
+        reseller_prices: JSON.stringify(p.reseller_prices || {})
+    })), CSV_COLUMNS);
+}
+
+// --- Import ---
+
+// File contents -> plain objects, one per product. JSON may be an array or an export ({ products: [...] }).
+function parseFile(text, format) {
+    if (format === 'json') {
+        let data;
+        try {
+            data = JSON.parse(String(text || '').replace(/^﻿/, ''));
+        } catch (e) {
+            throw new CatalogError(`File JSON tidak valid: ${e.message}`);
+        }
+        const rows = Array.isArray(data) ? data : data?.products;
+        if (!Array.isArray(rows)) throw new CatalogError('File JSON harus berisi array produk');
+        return rows;
+    }
+
+    const [header, ...lines] = csv.parse(text);
+    if (!header) return [];
+    const keys = header.map(h => h.trim().toLowerCase());
+    if (!keys.includes('name') || !keys.includes('type')) throw new CatalogError('Header CSV minimal harus memiliki kolom type dan name');
+    return lines.map(cells => {
+        const row = {};
+        keys.forEach((key, i) => {
+            if (FIELDS.includes(key)) row[key] = cells[i] ?? '';
+        });
+        return row;
+    });
+}
+
+// JSON column of an imported row (CSV cells hold it as text); undefined when unreadable
+function readObject(raw, key, errors) {
+    const value = raw[key];
+    if (typeof value !== 'string') return value ?? {};
+    try {
+        return value.trim() ? JSON.parse(value) : {};
+    } catch (e) {
+        errors.push(`${key} bukan JSON yang valid: ${e.message}`);
+        return undefined;
+    }
+}
+
+function readBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    const text = String(value).trim().toLowerCase();
+    if (['true', '1', 'ya', 'yes', 'aktif'].includes(text)) return true;
+    if (['false', '0', 'tidak', 'no', 'nonaktif'].includes(text)) return false;
+    return null;
+}
+
+/**
+ * One imported row -> { data, errors }. `data` holds only the columns the
+ * row had (CSV cells are strings, JSON values may already be typed).
+ */
+function normalizeRow(raw) {
+    const errors = [];
+    const data = {};
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return { data, errors: ['Baris harus berupa object'] };
+    const has = key => raw[key] !== undefined;
+
+    data.type = String(raw.type || '').trim();
+    data.name = String(raw.name || '').trim();
+    if (!data.type) errors.push('type wajib diisi');
+    else if (!fulfillment.isSellable(data.type)) errors.push(`Tipe produk "${data.type}" tidak dikenal`);
+    if (!data.name) errors.push('name wajib diisi');
+
+    data.slug = String(raw.slug || '').trim().toLowerCase() || slugify(data.name);
+    if (!SLUG_PATTERN.test(data.slug)) errors.push(`slug "${data.slug}" hanya boleh huruf kecil, angka, dan tanda -`);
+
+    if (has('price')) {
+        data.price = Number(String(raw.price).trim());
+        if (raw.price === '' || !Number.isFinite(data.price) || data.price < 0) errors.push('price harus angka >= 0');
+    } else {
+        errors.push('price wajib diisi');
+    }
+
+    if (has('badge')) data.badge = String(raw.badge || '').trim() || null;
+    if (has('category')) data.category = String(raw.category || '').trim() || null;
+    if (has('description')) data.description = String(raw.description || '').trim() || null;
+
+    if (has('active') && raw.active !== '') {
+        data.active = readBoolean(raw.active);
+        if (data.active === null) errors.push('active harus true / false');
+    }
+
+    if (has('sort_order') && raw.sort_order !== '') {
+        data.sort_order = Number(raw.sort_order);
+        if (!Number.isInteger(data.sort_order)) errors.push('sort_order harus bilangan bulat');
+    }
+
+    if (has('features')) {
+        const list = Array.isArray(raw.features) ? raw.features : String(raw.features || '').split('|');
+        data.features = list.map(f => String(f).trim()).filter(Boolean);
+    }
+
+    // Without a meta column an update keeps the stored meta; planImport() checks new products against {}
+    if (has('meta')) {
+        data.meta = readObject(raw, 'meta', errors);
+        if (data.meta !== undefined && fulfillment.isSellable(data.type)) errors.push(...fulfillment.validateMeta(data.type, data.meta));
+    }
+
+    if (has('reseller_prices')) {
+        data.reseller_prices = readObject(raw, 'reseller_prices', errors);
+        if (data.reseller_prices !== undefined) errors.push(...resellers.validatePrices(data.reseller_prices));
+    }
+
+    return { data, errors };
+}
+
+// JSON with sorted keys: jsonb does not keep the key order of the file
+function canonical(value) {
+    if (Array.isArray(value)) return value.map(canonical);
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonical(value[key])]));
+    }
+    return value ?? null;
+}
+
+function sameValue(a, b) {
+    if (typeof a === 'number' || typeof b === 'number') return Number(a) === Number(b);
+    return JSON.stringify(canonical(a)) === JSON.stringify(canonical(b));
+}
+
+/**
+ * Dry run: what an import would do, without writing.
+ * { create: [{ slug, name, data }], update: [{ id, slug, name, changes, data }],
+ *   unchanged: [slug], errors: [{ row, slug, errors }] }
+ * `row` is 1-based (the line below the header in a CSV).
+ */
+async function planImport(supabase, rows) {
+    if (!rows.length) throw new CatalogError('Tidak ada produk untuk diimport');
+    const existing = new Map((await listProducts(supabase)).filter(p => p.slug).map(p => [p.slug, p]));
+    const plan = { create: [], update: [], unchanged: [], errors: [] };
+    const seen = new Set();
+
+    rows.forEach((raw, i) => {
+        const { data, errors } = normalizeRow(raw);
+        const current = existing.get(data.slug);
+        if (!current && !errors.length && data.meta === undefined) errors.push(...fulfillment.validateMeta(data.type, {}));
+        if (seen.has(data.slug)) errors.push(`slug "${data.slug}" muncul lebih dari sekali di file`);
+        seen.add(data.slug);
+        if (errors.length) return plan.errors.push({ row: i + 1, slug: data.slug || null, errors });
+
+        if (!current) return plan.create.push({ slug: data.slug, name: data.name, data });
+
+        const changes = {};
+        Object.keys(data).forEach(key => {
+            if (!sameValue(current[key], data[key])) changes[key] = { from: current[key] ?? null, to: data[key] };
+        });
+        if (!Object.keys(changes).length) return plan.unchanged.push(data.slug);
+        plan.update.push({ id: current.id, slug: data.slug, name: data.name, changes, data });
+    });
+
+    return plan;
+}
+
+async function applyImport(supabase, plan) {
+    if (plan.errors.length) throw new CatalogError(`${plan.errors.length} baris tidak valid, perbaiki file lalu import ulang`);
+
+    if (plan.create.length) {
+        const { error } = await supabase.from('products').insert(plan.create.map(p => ({ meta: {}, ...p.data })));
+        if (error) throw error;
+    }
+    await runInBatches(plan.update, async p => {
+        const { error } = await supabase.from('products').update({ ...p.data, updated_at: new Date() }).eq('id', p.id);
+        if (error) throw error;
+    });
+    return { created: plan.create.length, updated: plan.update.length, unchanged: plan.unchanged.length };
+}
+
+// --- Reorder & bulk actions ---
+
+// `ids` in display order; sort_order becomes 1, 2, 3, ... (only changed rows are written)
+async function reorder(supabase, ids) {
+    if (!Array.isArray(ids) || !ids.length) throw new CatalogError('Urutan produk kosong');
+    const { data, error } = await supabase.from('products').select('id, sort_order').in('id', ids);
+    if (error) throw error;
+    if (data.length !== new Set(ids).size) throw new CatalogError('Sebagian produk tidak ditemukan, muat ulang halaman');
+
+    const current = new Map(data.map(p => [p.id, p.sort_order]));
+    const changed = ids.map((id, i) => ({ id, sort_order: i + 1 })).filter(p => current.get(p.id) !== p.sort_order);
+    await runInBatches(changed, async p => {
+        const { error: updateError } = await supabase.from('products').update({ sort_order: p.sort_order }).eq('id', p.id);
+        if (updateError) throw updateError;
+    });
+    return { updated: changed.length };
+}
+
+async function setActive(supabase, ids, active) {
+    if (!Array.isArray(ids) || !ids.length) throw new CatalogError('Pilih minimal satu produk');
+    const { data, error } = await supabase.from('products')
+        .update({ active, updated_at: new Date() })
+        .in('id', ids)
+        .select('id');
+    if (error) throw error;
+    return { updated: data.length };
+}
+
+/**
+ * Change prices of many products at once.
+ *   mode 'set'     -> every product costs `value`
+ *   mode 'percent' -> price * (1 + value / 100), e.g. -10 for a 10% cut
+ *   mode 'amount'  -> price + value
+ * Results are rounded to whole rupiah and never go below 0.
+ */
+async function changePrices(supabase, ids, { mode, value }) {
+    if (!Array.isArray(ids) || !ids.length) throw new CatalogError('Pilih minimal satu produk');
+    if (!['set', 'percent', 'amount'].includes(mode)) throw new CatalogError('Mode harga harus set, percent, atau amount');
+    const amount = Number(value);
+    if (!Number.isFinite(amount)) throw new CatalogError('Nilai harga harus berupa angka');
+
+    const { data, error } = await supabase.from('products').select('id, name, price').in('id', ids);
+    if (error) throw error;
+
+    const changes = data.map(p => {
+        const price = Number(p.price);
+        const next = mode === 'set' ? amount : mode === 'percent' ? price * (1 + amount / 100) : price + amount;
+        return { id: p.id, name: p.name, from: price, to: Math.max(0, Math.round(next)) };
+    }).filter(c => c.from !== c.to);
+
+    await runInBatches(changes, async c => {
+        const { error: updateError } = await supabase.from('products').update({ price: c.to, updated_at: new Date() }).eq('id', c.id);
+        if (updateError) throw updateError;
+    });
+    return { updated: changes.length, changes };
+}
+
+module.exports = {
+    CatalogError,
+    FIELDS,
+    slugify,
+    uniqueSlug,
+    listProducts,
+    pickFields,
+    toExportRow,
+    toCsv,
+    parseFile,
+    normalizeRow,
+    planImport,
+    applyImport,
+    reorder,
+    setActive,
+    changePrices
+};
@@ -0,0 +1,126 @@
+/**
+ * COUPONS
+ * =======
+ * Admin-managed discount codes applied at checkout. Validation happens
+ * server-side only; the client never decides the final amount.
+ *
+ * Every use is a row in `coupon_redemptions`:
+ *   reserved (checkout) -> used (order paid)
+ *   reserved -> released (order cancelled / expired, frees the quota again)
+ *
+ * Usage limits are enforced inside the `redeem_coupon` RPC, which locks the
+ * coupon row so concurrent checkouts cannot exceed `max_uses`.
+ */
+
+const DISCOUNT_TYPES = ['percent', 'fixed'];
+
+class CouponError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CouponError';
+        this.status = 400;
+    }
+}
+
+function normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+}
+
+// Discount in rupiah for `amount`; never lets the total reach Rp 0 (QRIS cannot charge nothing)
+function calculateDiscount(coupon, amount) {
+    const value = Number(coupon.discount_value);
+    let discount = coupon.discount_type === 'percent' ? Math.floor(amount * value / 100) : value;
+    if (coupon.max_discount) discount = Math.min(discount, Number(coupon.max_discount));
+    return Math.max(0, Math.min(discount, amount - 1));
+}
+
+async function countRedemptions(supabase, couponId, username = null) {
+    let query = supabase.from('coupon_redemptions')
+        .select('id', { count: 'exact', head: true })
+        .eq('coupon_id', couponId)
+        .neq('status', 'released');
+    if (username) query = query.eq('username', username);
+
+    const { count, error } = await query;
+    if (error) throw error;
+    return count || 0;
+}
+
+/**
+ * Check `code` against `product` / `username` and price it.
+ * Returns { coupon, discount, final_amount } or throws CouponError.
+ */
+async function validateCoupon(supabase, { code, product, username, amount }) {
+    const normalized = normalizeCode(code);
+    if (!normalized) throw new CouponError('Kode kupon wajib diisi');
+
+    const { data: coupon, error } = await supabase.from('coupons').select('*').eq('code', normalized).maybeSingle();
+    if (error) throw error;
+    if (!coupon || !coupon.active) throw new CouponError('Kode kupon tidak valid');
+
+    const now = new Date();
+    if (coupon.starts_at && new Date(coupon.starts_at) > now) throw new CouponError('Kupon belum berlaku');
+    if (coupon.ends_at && new Date(coupon.ends_at) < now) throw new CouponError('Kupon sudah kedaluwarsa');
+
+    const productIds = Array.isArray(coupon.product_ids) ? coupon.product_ids : [];
+    if (productIds.length && !productIds.includes(product.id)) {
+        throw new CouponError('Kupon tidak berlaku untuk produk ini');
+    }
+    if (coupon.min_amount && amount < Number(coupon.min_amount)) {
+        throw new CouponError(`Kupon hanya untuk pembelian minimal Rp ${Number(coupon.min_amount).toLocaleString('id-ID')}`);
+    }
+
+    if (coupon.max_uses && await countRedemptions(supabase, coupon.id) >= coupon.max_uses) {
+        throw new CouponError('Kuota kupon sudah habis');
+    }
+    const user = username ? String(username).toLowerCase() : null;
+    if (coupon.per_user_limit && user && await countRedemptions(supabase, coupon.id, user) >= coupon.per_user_limit) {
+        throw new CouponError('Kamu sudah mencapai batas pemakaian kupon ini');
+    }
+
+    const discount = calculateDiscount(coupon, amount);
+    if (discount <= 0) throw new CouponError('Kupon tidak memberi potongan untuk produk ini');
+
+    return { coupon, discount, final_amount: amount - discount };
+}
+
+// Claim a use of the coupon for a freshly created order (limits re-checked under lock)
+async function redeemCoupon(supabase, coupon, order, discount) {
+    const { data, error } = await supabase.rpc('redeem_coupon', {
+        p_coupon_id: coupon.id,
+        p_order_id: order.id,
+        p_username: order.customer_username ? String(order.customer_username).toLowerCase() : null,
+        p_discount: discount
+    });
+    if (error) throw error;
+
+    const redemption = Array.isArray(data) ? data[0] : data;
+    if (!redemption) throw new CouponError('Kuota kupon sudah habis');
+    return redemption;
+}
+
+// Order paid: the use becomes permanent (also revives a released use if money landed late)
+async function markUsed(supabase, orderId) {
+    const { error } = await supabase.from('coupon_redemptions').update({ status: 'used' }).eq('order_id', orderId);
+    if (error) throw error;
+}
+
+// Order cancelled / expired: give the quota back
+async function releaseRedemption(supabase, orderId) {
+    const { error } = await supabase.from('coupon_redemptions')
+        .update({ status: 'released' })
+        .eq('order_id', orderId)
+        .eq('status', 'reserved');
+    if (error) throw error;
+}
+
+module.exports = {
+    DISCOUNT_TYPES,
+    CouponError,
+    normalizeCode,
+    calculateDiscount,
+    validateCoupon,
+    redeemCoupon,
+    markUsed,
+    releaseRedemption
+};
@@ -0,0 +1,73 @@
+/**
+ * CSV HELPERS
+ * ===========
+ * Small RFC 4180 parser / writer used for admin imports and report exports
+ * (quoted fields, escaped quotes, CRLF line endings). Kept dependency-free
+ * on purpose.
+ */
+
+// Parse CSV text into an array of rows (arrays of strings). Blank lines are skipped.
+function parse(text, { delimiter = ',' } = {}) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = String(text || '').replace(/^﻿/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const ch = input[i];
+
+        if (inQuotes) {
+            if (ch === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+            continue;
+        }
+
+        if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            if (row.some(f => f.trim() !== '')) rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+
+    row.push(field);
+    if (row.some(f => f.trim() !== '')) rows.push(row);
+    return rows;
+}
+
+// Cells starting with these are treated as formulas by spreadsheet apps
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeField(value) {
+    if (value === null || value === undefined) return '';
+    let str = String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(str)) str = `'${str}`;
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+// Rows of objects -> CSV text. `columns` is [{ key, label }] and fixes the column order.
+function stringify(rows, columns) {
+    const lines = [columns.map(c => escapeField(c.label || c.key)).join(',')];
+    rows.forEach(row => lines.push(columns.map(c => escapeField(row[c.key])).join(',')));
+    return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    parse,
+    stringify
+};
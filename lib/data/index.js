@@ -0,0 +1,51 @@
+/**
+ * DATA BACKEND
+ * ============
+ * Routes and lib modules reach the database through one Supabase-style
+ * client, passed around as `supabase`: `from(table)` queries, `rpc(fn, args)`
+ * and `storage.from(bucket)`. DATA_BACKEND picks what sits behind it:
+ *
+ *   supabase (default)  @supabase/supabase-js with SUPABASE_URL + SUPABASE_SERVICE_ROLE_KEY.
+ *                       A local Postgres works too: point SUPABASE_URL at `supabase start`
+ *   local               SQLite file + folder on disk (./local), for offline development.
+ *                       Schema comes from supabase.sql, nothing to set up. Without
+ *                       PT_DOMAIN, panels go to an in-memory Pterodactyl (lib/pterodactyl-mock.js)
+ *
+ * There is no plain Postgres backend: the app needs PostgREST, RPCs and
+ * storage, which is what the Supabase stack provides. Postgres without
+ * Supabase is out of scope.
+ *
+ * Code that needs a new query feature or RPC on the local backend adds it in
+ * ./local rather than branching on the backend.
+ */
+
+const { createClient } = require('@supabase/supabase-js');
+
+const BACKENDS = ['supabase', 'local'];
+
+function getBackend() {
+    const backend = String(process.env.DATA_BACKEND || 'supabase').trim().toLowerCase();
+    if (!BACKENDS.includes(backend)) {
+        throw new Error(`DATA_BACKEND "${backend}" tidak dikenal (pilih: ${BACKENDS.join(', ')})`);
+    }
+    return backend;
+}
+
+function createDatabase() {
+    if (getBackend() === 'local') {
+        // Required lazily: node:sqlite only exists on newer Node.js versions
+        const { createLocalClient } = require('./local');
+        return createLocalClient({
+            file: process.env.LOCAL_DB_FILE || '.data/local.db',
+            storageDir: process.env.LOCAL_STORAGE_DIR || '.data/storage'
+        });
+    }
+    return createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+}
+
+module.exports = {
+    BACKENDS,
+    LOCAL_STORAGE_ROUTE: require('./local/storage').ROUTE,
+    getBackend,
+    createDatabase
+};
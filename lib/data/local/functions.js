@@ -0,0 +1,83 @@
+/**
+ * LOCAL VIEWS & RPC FUNCTIONS
+ * ===========================
+ * JavaScript versions of the view and the Postgres functions in supabase.sql
+ * that the app calls. Each RPC runs inside one SQLite transaction on a single
+ * connection, which gives the same "one winner" guarantee as the row locks
+ * of the originals. Keep them in step with the SQL when either changes.
+ */
+
+const { compare } = require('./query');
+
+const same = (a, b) => a !== null && a !== undefined && b !== null && b !== undefined && compare(a, b) === 0;
+
+const VIEWS = {
+    product_stock(db) {
+        const summary = new Map();
+        db.rows('stock_items').forEach(item => {
+            if (!summary.has(item.product_id)) {
+                summary.set(item.product_id, { product_id: item.product_id, available: 0, reserved: 0, sold: 0 });
+            }
+            const row = summary.get(item.product_id);
+            if (item.status in row) row[item.status] += 1;
+        });
+        return [...summary.values()];
+    }
+};
+
+const FUNCTIONS = {
+    // Oldest available item, or one still held by a cancelled / expired order
+    reserve_stock_item(db, { p_product_id, p_order_id }) {
+        const orders = db.rows('orders');
+        const item = db.rows('stock_items')
+            .filter(s => same(s.product_id, p_product_id))
+            .filter(s => s.status === 'available' || (s.status === 'reserved' &&
+                ['cancelled', 'expired'].includes(orders.find(o => same(o.id, s.order_id))?.status)))
+            .sort((a, b) => compare(a.created_at, b.created_at))[0];
+        if (!item) return [];
+        return [db.update('stock_items', item, { status: 'reserved', order_id: p_order_id, reserved_at: new Date() })];
+    },
+
+    redeem_coupon(db, { p_coupon_id, p_order_id, p_username, p_discount }) {
+        const coupon = db.rows('coupons').find(c => same(c.id, p_coupon_id));
+        if (!coupon) return [];
+
+        const held = db.rows('coupon_redemptions').filter(r => same(r.coupon_id, coupon.id) && r.status !== 'released');
+        if (coupon.max_uses !== null && held.length >= coupon.max_uses) return [];
+        if (coupon.per_user_limit !== null && p_username !== null && p_username !== undefined &&
+            held.filter(r => r.username === p_username).length >= coupon.per_user_limit) return [];
+
+        return [db.insert('coupon_redemptions', {
+            coupon_id: coupon.id, order_id: p_order_id, username: p_username, discount_amount: p_discount
+        })];
+    },
+
+    consume_download_token(db, { p_token }) {
+        const token = db.rows('download_tokens').find(t => t.token === p_token);
+        if (!token || token.revoked_at !== null || new Date(token.expires_at) <= new Date() ||
+            token.download_count >= token.max_downloads) return [];
+        return [db.update('download_tokens', token, { download_count: token.download_count + 1 })];
+    },
+
+    reseller_apply_balance(db, { p_reseller_id, p_amount, p_type, p_order_id, p_note, p_actor }) {
+        const amount = Number(p_amount);
+        const reseller = db.rows('resellers').find(r => same(r.id, p_reseller_id));
+        if (!reseller || reseller.balance + amount < 0 || (!reseller.active && amount < 0)) return [];
+
+        const updated = db.update('resellers', reseller, { balance: reseller.balance + amount, updated_at: new Date() });
+        return [db.insert('reseller_transactions', {
+            reseller_id: reseller.id,
+            type: p_type,
+            amount,
+            balance_after: updated.balance,
+            order_id: p_order_id,
+            note: p_note,
+            actor: p_actor
+        })];
+    }
+};
+
+module.exports = {
+    VIEWS,
+    FUNCTIONS
+};
@@ -0,0 +1,510 @@
+/**
+ * LOCAL DATA BACKEND
+ * ==================
+ * Offline stand-in for the Supabase client (DATA_BACKEND=local): the same
+ * `from(table)` query builder, `rpc(fn, args)` and `storage.from(bucket)`
+ * the app already uses, backed by one SQLite file (node:sqlite, Node.js 22.13+)
+ * and a folder on disk. No Supabase project or network needed.
+ *
+ * - every table is stored as JSON rows; columns, defaults, NOT NULL,
+ *   unique constraints and foreign keys come from supabase.sql (./schema.js)
+ * - filtering, ordering and embedding ("*, deliveries(*)") happen in
+ *   JavaScript (./query.js), which is plenty for a development data set
+ * - errors carry the Postgres / PostgREST codes the app checks
+ *   (23505 duplicate key, PGRST116 from .single())
+ * - each query and RPC runs in its own SQLite transaction; the rows are
+ *   cached in memory and reloaded when another process (npm run
+ *   admin:create) writes to the file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { loadSchema } = require('./schema');
+const { VIEWS, FUNCTIONS } = require('./functions');
+const { createLocalStorage } = require('./storage');
+const { readPath, baseColumn, parseSelect, compare, OPERATORS, parseLogic, sortRows } = require('./query');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+class LocalDataError extends Error {
+    constructor(code, message, details = null) {
+        super(message);
+        this.name = 'LocalDataError';
+        this.code = code;
+        this.details = details;
+        this.hint = null;
+    }
+}
+
+function loadSqlite() {
+    try {
+        return require('node:sqlite');
+    } catch (e) {
+        throw new Error(`DATA_BACKEND=local butuh Node.js 22.13+ (node:sqlite), versi sekarang ${process.version}`);
+    }
+}
+
+// Value as Postgres would store it in a column of this type
+function coerce(column, value) {
+    if (value === null || value === undefined) return value;
+    if (value instanceof Date) value = value.toISOString();
+    const invalid = () => new LocalDataError('22P02', `invalid input syntax for type ${column.type}: "${value}"`);
+
+    switch (column.type) {
+        case 'number': {
+            const number = typeof value === 'number' ? value : (String(value).trim() === '' ? NaN : Number(value));
+            if (!Number.isFinite(number)) throw invalid();
+            return number;
+        }
+        case 'boolean':
+            if (typeof value === 'boolean') return value;
+            if (['true', 't', '1'].includes(String(value).toLowerCase())) return true;
+            if (['false', 'f', '0'].includes(String(value).toLowerCase())) return false;
+            throw invalid();
+        case 'timestamp': {
+            const date = new Date(value);
+            if (isNaN(date)) throw new LocalDataError('22007', `invalid input syntax for type timestamp with time zone: "${value}"`);
+            return date.toISOString();
+        }
+        case 'uuid':
+            if (!UUID_PATTERN.test(String(value))) throw invalid();
+            return String(value).toLowerCase();
+        case 'json':
+            return JSON.parse(JSON.stringify(value));
+        default:
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+}
+
+/**
+ * Row storage: one SQLite table per schema table holding (seq, pk, doc JSON),
+ * with an in-memory copy per table.
+ */
+class LocalDatabase {
+    constructor(file) {
+        const { DatabaseSync } = loadSqlite();
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        this.sqlite = new DatabaseSync(file);
+        this.sqlite.exec('PRAGMA journal_mode = WAL; PRAGMA busy_timeout = 5000');
+        this.schema = loadSchema();
+        this.cache = new Map();
+        this.statements = new Map();
+        this.dataVersion = null;
+        this.depth = 0;
+
+        Object.keys(this.schema.tables).forEach(name => {
+            this.sqlite.exec(`CREATE TABLE IF NOT EXISTS "${name}" (seq INTEGER PRIMARY KEY AUTOINCREMENT, pk TEXT NOT NULL UNIQUE, doc TEXT NOT NULL)`);
+        });
+        // Seed rows are "ON CONFLICT DO NOTHING" inserts
+        this.transaction(() => this.schema.seeds.forEach(({ table, row }) => {
+            const key = this.table(table).primaryKey;
+            if (!this.rows(table).some(r => compare(r[key], row[key]) === 0)) this.insert(table, row);
+        }));
+    }
+
+    statement(sql) {
+        if (!this.statements.has(sql)) this.statements.set(sql, this.sqlite.prepare(sql));
+        return this.statements.get(sql);
+    }
+
+    table(name) {
+        const table = this.schema.tables[name];
+        if (!table) throw new LocalDataError('42P01', `relation "public.${name}" does not exist`);
+        return table;
+    }
+
+    column(table, name) {
+        const column = table.columns[name];
+        if (!column) throw new LocalDataError('42703', `column ${table.name}.${name} does not exist`);
+        return column;
+    }
+
+    // Drop the cache when another connection committed since we last looked
+    refresh() {
+        const { data_version: version } = this.statement('PRAGMA data_version').get();
+        if (version !== this.dataVersion) this.cache.clear();
+        this.dataVersion = version;
+    }
+
+    transaction(fn) {
+        if (this.depth > 0) return fn();
+        this.refresh();
+        this.sqlite.exec('BEGIN IMMEDIATE');
+        this.depth++;
+        try {
+            const result = fn();
+            this.sqlite.exec('COMMIT');
+            return result;
+        } catch (e) {
+            this.sqlite.exec('ROLLBACK');
+            this.cache.clear();
+            throw e;
+        } finally {
+            this.depth--;
+        }
+    }
+
+    // Current rows of a table or view, in insertion order. Treat as read-only.
+    rows(name) {
+        if (VIEWS[name]) return VIEWS[name](this);
+        this.table(name);
+        if (!this.cache.has(name)) {
+            const docs = this.statement(`SELECT doc FROM "${name}" ORDER BY seq`).all();
+            this.cache.set(name, docs.map(r => JSON.parse(r.doc)));
+        }
+        return this.cache.get(name);
+    }
+
+    // Coerced column values; unknown columns fail like PostgREST does
+    values(table, input) {
+        const result = {};
+        Object.entries(input).forEach(([name, value]) => {
+            if (value === undefined) return;
+            if (!table.columns[name]) {
+                throw new LocalDataError('PGRST204', `Could not find the '${name}' column of '${table.name}' in the schema cache`);
+            }
+            result[name] = coerce(table.columns[name], value);
+        });
+        return result;
+    }
+
+    checkRow(table, row, previous = null) {
+        Object.values(table.columns).forEach(column => {
+            if (column.notNull && (row[column.name] === null || row[column.name] === undefined)) {
+                throw new LocalDataError('23502', `null value in column "${column.name}" of relation "${table.name}" violates not-null constraint`);
+            }
+        });
+        this.foreignKeys(table.name).forEach(fk => {
+            const value = row[fk.column];
+            if (value !== null && !this.rows(fk.refTable).some(r => compare(r[fk.refColumn], value) === 0)) {
+                throw new LocalDataError('23503', `insert or update on table "${table.name}" violates foreign key constraint "${table.name}_${fk.column}_fkey"`,
+                    `Key (${fk.column})=(${value}) is not present in table "${fk.refTable}".`);
+            }
+        });
+
+        const key = table.primaryKey;
+        [[key], ...table.unique].forEach(columns => {
+            if (columns.some(c => row[c] === null || row[c] === undefined)) return;
+            const clash = this.rows(table.name).find(other =>
+                (!previous || compare(other[key], previous[key]) !== 0) &&
+                columns.every(c => other[c] !== null && compare(other[c], row[c]) === 0));
+            if (clash) {
+                const name = columns[0] === key && columns.length === 1 ? `${table.name}_pkey` : `${table.name}_${columns.join('_')}_key`;
+                throw new LocalDataError('23505', `duplicate key value violates unique constraint "${name}"`,
+                    `Key (${columns.join(', ')})=(${columns.map(c => row[c]).join(', ')}) already exists.`);
+            }
+        });
+    }
+
+    foreignKeys(name) {
+        return this.schema.foreignKeys.filter(fk => fk.table === name);
+    }
+
+    insert(name, input) {
+        const table = this.table(name);
+        const row = {};
+        Object.values(table.columns).forEach(column => {
+            const value = input[column.name];
+            if (value !== undefined || !column.default) row[column.name] = value === undefined ? null : value;
+            else if (column.default.kind === 'now') row[column.name] = new Date();
+            else if (column.default.kind === 'uuid') row[column.name] = crypto.randomUUID();
+            else row[column.name] = column.default.value;
+        });
+        const values = this.values(table, { ...row, ...input });
+        Object.keys(table.columns).forEach(c => { if (values[c] === undefined) values[c] = null; });
+
+        this.checkRow(table, values);
+        this.statement(`INSERT INTO "${name}" (pk, doc) VALUES (?, ?)`).run(String(values[table.primaryKey]), JSON.stringify(values));
+        this.rows(name).push(values);
+        return values;
+    }
+
+    update(name, row, patch) {
+        const table = this.table(name);
+        const next = { ...row, ...this.values(table, patch) };
+        this.checkRow(table, next, row);
+
+        const key = table.primaryKey;
+        this.statement(`UPDATE "${name}" SET pk = ?, doc = ? WHERE pk = ?`).run(String(next[key]), JSON.stringify(next), String(row[key]));
+        const rows = this.rows(name);
+        rows[rows.indexOf(row)] = next;
+        return next;
+    }
+
+    // Delete a row and apply ON DELETE CASCADE / SET NULL of the tables pointing at it
+    remove(name, row) {
+        const table = this.table(name);
+        this.schema.foreignKeys.filter(fk => fk.refTable === name).forEach(fk => {
+            const children = this.rows(fk.table).filter(child => child[fk.column] !== null && compare(child[fk.column], row[fk.refColumn]) === 0);
+            if (!children.length) return;
+            if (fk.onDelete === 'CASCADE') children.forEach(child => this.remove(fk.table, child));
+            else if (fk.onDelete === 'SET NULL') children.forEach(child => this.update(fk.table, child, { [fk.column]: null }));
+            else {
+                throw new LocalDataError('23503', `update or delete on table "${name}" violates foreign key constraint "${fk.table}_${fk.column}_fkey" on table "${fk.table}"`);
+            }
+        });
+
+        this.statement(`DELETE FROM "${name}" WHERE pk = ?`).run(String(row[table.primaryKey]));
+        const rows = this.rows(name);
+        rows.splice(rows.indexOf(row), 1);
+    }
+
+    // Shape one row like a PostgREST select list, embedding related tables
+    project(name, row, fields) {
+        const result = {};
+        fields.forEach(field => {
+            if (field.kind === 'all') Object.assign(result, row);
+            else if (field.kind === 'column') {
+                if (!VIEWS[name]) this.column(this.table(name), baseColumn(field.path));
+                result[field.alias] = readPath(row, field.path);
+            } else {
+                result[field.alias] = this.embed(name, row, field);
+            }
+        });
+        return result;
+    }
+
+    embed(name, row, field) {
+        // Many-to-one: this row points at the embedded table
+        const parent = this.foreignKeys(name).find(fk => fk.refTable === field.table);
+        if (parent) {
+            const value = row[parent.column];
+            const target = value === null ? null : this.rows(field.table).find(r => compare(r[parent.refColumn], value) === 0);
+            return target ? this.project(field.table, target, field.fields) : null;
+        }
+
+        // One-to-many (one-to-one when the pointing column is unique)
+        const child = this.foreignKeys(field.table).find(fk => fk.refTable === name);
+        if (!child) {
+            throw new LocalDataError('PGRST200', `Could not find a relationship between '${name}' and '${field.table}' in the schema cache`);
+        }
+        const matches = this.rows(field.table)
+            .filter(r => r[child.column] !== null && compare(r[child.column], row[child.refColumn]) === 0)
+            .map(r => this.project(field.table, r, field.fields));
+        const oneToOne = this.table(field.table).unique.some(u => u.length === 1 && u[0] === child.column);
+        return oneToOne ? (matches[0] || null) : matches;
+    }
+}
+
+/**
+ * Thenable query builder with the supabase-js surface the app uses:
+ * select / insert / upsert / update / delete, filters, order, limit, range,
+ * single and maybeSingle. Resolves to { data, error, count, status }.
+ */
+class LocalQuery {
+    constructor(db, table) {
+        this.db = db;
+        this.tableName = table;
+        this.action = 'select';
+        this.fields = null;
+        this.conditions = [];
+        this.orders = [];
+        this.window = null;
+        this.countRows = false;
+        this.headOnly = false;
+        this.expect = null;
+    }
+
+    select(columns = '*', { count = null, head = false } = {}) {
+        this.fields = parseSelect(columns);
+        this.countRows = count !== null;
+        this.headOnly = head;
+        return this;
+    }
+
+    insert(values) {
+        this.action = 'insert';
+        this.payload = values;
+        return this;
+    }
+
+    upsert(values, { onConflict = null, ignoreDuplicates = false } = {}) {
+        this.action = 'upsert';
+        this.payload = values;
+        this.conflictColumns = onConflict ? onConflict.split(',').map(c => c.trim()) : null;
+        this.ignoreDuplicates = ignoreDuplicates;
+        return this;
+    }
+
+    update(values) {
+        this.action = 'update';
+        this.payload = values;
+        return this;
+    }
+
+    delete() {
+        this.action = 'delete';
+        return this;
+    }
+
+    filter(column, operator, value) {
+        this.conditions.push({ column, operator, value, negate: false });
+        return this;
+    }
+
+    not(column, operator, value) {
+        this.conditions.push({ column, operator, value, negate: true });
+        return this;
+    }
+
+    or(text) {
+        this.conditions.push(parseLogic(text));
+        return this;
+    }
+
+    match(query) {
+        Object.entries(query).forEach(([column, value]) => this.filter(column, 'eq', value));
+        return this;
+    }
+
+    eq(column, value) { return this.filter(column, 'eq', value); }
+    neq(column, value) { return this.filter(column, 'neq', value); }
+    gt(column, value) { return this.filter(column, 'gt', value); }
+    gte(column, value) { return this.filter(column, 'gte', value); }
+    lt(column, value) { return this.filter(column, 'lt', value); }
+    lte(column, value) { return this.filter(column, 'lte', value); }
+    like(column, value) { return this.filter(column, 'like', value); }
+    ilike(column, value) { return this.filter(column, 'ilike', value); }
+    is(column, value) { return this.filter(column, 'is', value); }
+    in(column, values) { return this.filter(column, 'in', values); }
+
+    order(column, { ascending = true, nullsFirst } = {}) {
+        this.orders.push({ column, ascending, nullsFirst });
+        return this;
+    }
+
+    limit(count) {
+        this.window = { from: this.window?.from || 0, count };
+        return this;
+    }
+
+    range(from, to) {
+        this.window = { from, count: to - from + 1 };
+        return this;
+    }
+
+    single() {
+        this.expect = 'single';
+        return this;
+    }
+
+    maybeSingle() {
+        this.expect = 'maybe';
+        return this;
+    }
+
+    then(resolve, reject) {
+        return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+    }
+
+    // Filter values compared in the column's type (dates as ISO text, '5' as 5)
+    value(column, value) {
+        const definition = !VIEWS[this.tableName] && column.indexOf('->') === -1 && this.db.table(this.tableName).columns[column];
+        if (!definition) return value;
+        try {
+            return Array.isArray(value) ? value.map(v => coerce(definition, v)) : coerce(definition, value);
+        } catch (e) {
+            return value;
+        }
+    }
+
+    matches(row, condition) {
+        if (condition.any) return condition.any.some(c => this.matches(row, c));
+        if (condition.all) return condition.all.every(c => this.matches(row, c));
+
+        const test = OPERATORS[condition.operator];
+        if (!test) throw new LocalDataError('PGRST100', `"${condition.operator}" is not a supported operator`);
+        if (!VIEWS[this.tableName]) this.db.column(this.db.table(this.tableName), baseColumn(condition.column));
+        const result = test(readPath(row, condition.column), this.value(condition.column, condition.value));
+        return condition.negate ? !result : result;
+    }
+
+    targets() {
+        return this.db.rows(this.tableName).filter(row => this.conditions.every(c => this.matches(row, c)));
+    }
+
+    run() {
+        const db = this.db;
+        const list = Array.isArray(this.payload) ? this.payload : [this.payload];
+        let rows;
+
+        if (this.action === 'select') {
+            rows = sortRows(this.targets(), this.orders);
+        } else if (this.action === 'insert') {
+            rows = list.map(values => db.insert(this.tableName, values));
+        } else if (this.action === 'upsert') {
+            const columns = this.conflictColumns || [db.table(this.tableName).primaryKey];
+            rows = [];
+            list.forEach(values => {
+                const coerced = db.values(db.table(this.tableName), values);
+                const existing = db.rows(this.tableName).find(row =>
+                    columns.every(c => row[c] !== null && coerced[c] !== undefined && compare(row[c], coerced[c]) === 0));
+                if (!existing) rows.push(db.insert(this.tableName, values));
+                else if (!this.ignoreDuplicates) rows.push(db.update(this.tableName, existing, values));
+            });
+        } else if (this.action === 'update') {
+            rows = this.targets().map(row => db.update(this.tableName, row, this.payload));
+        } else {
+            rows = this.targets();
+            rows.forEach(row => db.remove(this.tableName, row));
+        }
+
+        const count = this.countRows ? rows.length : null;
+        if (this.window) rows = rows.slice(this.window.from, this.window.from + this.window.count);
+
+        // Writes only return rows when .select() was chained
+        const returning = this.action === 'select' || this.fields;
+        let data = this.headOnly || !returning ? null
+            : rows.map(row => this.db.project(this.tableName, row, this.fields || parseSelect('*')));
+
+        if (this.expect && data) {
+            if (data.length > 1 || (data.length === 0 && this.expect === 'single')) {
+                throw Object.assign(
+                    new LocalDataError('PGRST116', 'JSON object requested, multiple (or no) rows returned', `The result contains ${data.length} rows`),
+                    { status: 406 }
+                );
+            }
+            data = data[0] || null;
+        }
+        return { data: data === null ? null : structuredClone(data), count };
+    }
+
+    execute() {
+        try {
+            const { data, count } = this.db.transaction(() => this.run());
+            return { data, error: null, count, status: 200, statusText: 'OK' };
+        } catch (e) {
+            if (!(e instanceof LocalDataError)) throw e;
+            return { data: null, error: e, count: null, status: e.status || 400, statusText: 'Bad Request' };
+        }
+    }
+}
+
+// Supabase-compatible client over a local SQLite file and storage folder
+function createLocalClient({ file, storageDir }) {
+    const db = new LocalDatabase(path.resolve(file));
+    return {
+        backend: 'local',
+        from: table => new LocalQuery(db, table),
+        async rpc(name, args = {}) {
+            const fn = FUNCTIONS[name];
+            if (!fn) {
+                return { data: null, error: new LocalDataError('PGRST202', `Could not find the function public.${name} in the schema cache`), status: 404 };
+            }
+            try {
+                return { data: structuredClone(db.transaction(() => fn(db, args))), error: null, status: 200 };
+            } catch (e) {
+                if (!(e instanceof LocalDataError)) throw e;
+                return { data: null, error: e, status: 400 };
+            }
+        },
+        storage: createLocalStorage(storageDir)
+    };
+}
+
+module.exports = {
+    LocalDataError,
+    LocalDatabase,
+    createLocalClient
+};
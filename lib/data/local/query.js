@@ -0,0 +1,143 @@
+/**
+ * LOCAL QUERY HELPERS
+ * ===================
+ * The PostgREST pieces the app's queries use, evaluated in JavaScript:
+ * select lists ("*, deliveries(*)", "alias:col->>key"), filter operators,
+ * `.or()` strings and ordering with Postgres NULL placement.
+ */
+
+// Split on commas outside parentheses
+function splitList(text) {
+    const parts = [];
+    let depth = 0, current = '';
+    for (const char of String(text)) {
+        if (char === '(') depth++;
+        if (char === ')') depth--;
+        if (depth === 0 && char === ',') {
+            parts.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+}
+
+// "meta->ptero->>egg_id" -> value; "->>" yields text like Postgres
+function readPath(row, column) {
+    const parts = column.split(/(->>?)/);
+    let value = row[parts[0]];
+    for (let i = 1; i < parts.length; i += 2) {
+        if (value === null || value === undefined || typeof value !== 'object') return null;
+        value = value[parts[i + 1]];
+        if (parts[i] === '->>' && value !== null && value !== undefined) {
+            value = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        }
+    }
+    return value === undefined ? null : value;
+}
+
+function baseColumn(column) {
+    return column.split(/->>?/)[0];
+}
+
+/**
+ * "*, deliveries(*), product_name:product_snapshot->>name" ->
+ * [{ kind: 'all' }, { kind: 'embed', alias, table, fields }, { kind: 'column', alias, path }]
+ */
+function parseSelect(text = '*') {
+    return splitList(text || '*').map(item => {
+        if (item === '*') return { kind: 'all' };
+        const embed = item.match(/^(?:(\w+):)?(\w+)(?:!\w+)?\((.*)\)$/);
+        if (embed) return { kind: 'embed', alias: embed[1] || embed[2], table: embed[2], fields: parseSelect(embed[3]) };
+
+        const [, alias, expression] = item.match(/^(?:(\w+):)?(.+)$/);
+        const columnPath = expression.replace(/::\w+$/, '').trim();
+        return { kind: 'column', alias: alias || columnPath.split(/->>?/).pop(), path: columnPath };
+    });
+}
+
+// Postgres-like comparison of a stored value with a filter value
+function compare(a, b) {
+    if (typeof a === 'number' || typeof b === 'number') return Number(a) - Number(b);
+    const left = String(a), right = String(b);
+    return left < right ? -1 : left > right ? 1 : 0;
+}
+
+function likePattern(pattern, flags) {
+    const source = String(pattern)
+        .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/%/g, '.*')
+        .replace(/_/g, '.')
+        .replace(/\*/g, '.*');
+    return new RegExp(`^${source}$`, flags);
+}
+
+// NULL never matches a comparison, only `is null`
+const OPERATORS = {
+    eq: (value, x) => value !== null && compare(value, x) === 0,
+    neq: (value, x) => value !== null && compare(value, x) !== 0,
+    gt: (value, x) => value !== null && compare(value, x) > 0,
+    gte: (value, x) => value !== null && compare(value, x) >= 0,
+    lt: (value, x) => value !== null && compare(value, x) < 0,
+    lte: (value, x) => value !== null && compare(value, x) <= 0,
+    like: (value, x) => value !== null && likePattern(x, '').test(String(value)),
+    ilike: (value, x) => value !== null && likePattern(x, 'i').test(String(value)),
+    is: (value, x) => (x === null ? value === null : value === x),
+    in: (value, list) => value !== null && list.some(x => compare(value, x) === 0)
+};
+
+// Values written inside filter strings: "null", "true", "(a,b)"
+function parseLiteral(operator, text) {
+    if (operator === 'in') return splitList(text.replace(/^\(|\)$/g, '')).map(v => v.replace(/^"|"$/g, ''));
+    if (operator === 'is') return text === 'null' ? null : text === 'true';
+    return text.replace(/^"|"$/g, '');
+}
+
+/**
+ * Compile an `.or()` / `and()` string into conditions
+ * [{ column, operator, value, negate }] or { any: [...] } / { all: [...] }.
+ */
+function parseLogic(text, mode = 'any') {
+    const conditions = splitList(text).map(item => {
+        const group = item.match(/^(and|or)\((.*)\)$/);
+        if (group) return parseLogic(group[2], group[1] === 'and' ? 'all' : 'any');
+
+        const [column, ...rest] = item.split('.');
+        let operator = rest.shift();
+        const negate = operator === 'not';
+        if (negate) operator = rest.shift();
+        return { column, operator, value: parseLiteral(operator, rest.join('.')), negate };
+    });
+    return { [mode]: conditions };
+}
+
+// Ascending puts NULLs last, descending first (Postgres defaults)
+function sortRows(rows, orders) {
+    if (!orders.length) return rows;
+    return [...rows].sort((a, b) => {
+        for (const { column, ascending, nullsFirst } of orders) {
+            const left = readPath(a, column), right = readPath(b, column);
+            if (left === null && right === null) continue;
+            if (left === null || right === null) {
+                const first = nullsFirst === undefined ? !ascending : nullsFirst;
+                return (left === null) === first ? -1 : 1;
+            }
+            const result = compare(left, right);
+            if (result !== 0) return ascending ? result : -result;
+        }
+        return 0;
+    });
+}
+
+module.exports = {
+    splitList,
+    readPath,
+    baseColumn,
+    parseSelect,
+    compare,
+    OPERATORS,
+    parseLogic,
+    sortRows
+};
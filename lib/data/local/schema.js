@@ -0,0 +1,158 @@
+/**
+ * LOCAL SCHEMA
+ * ============
+ * The local backend does not keep its own copy of the schema: tables,
+ * columns, defaults, NOT NULL, unique constraints, foreign keys and the seed
+ * settings are read from supabase.sql, so a migration added there works
+ * offline as well. Only the statements this file uses are understood:
+ *
+ *   CREATE TABLE IF NOT EXISTS public.x (...)
+ *   ALTER TABLE public.x ADD COLUMN IF NOT EXISTS ...
+ *   CREATE UNIQUE INDEX IF NOT EXISTS ... ON public.x (a, b) [WHERE ...]
+ *   INSERT INTO public.x (...) VALUES (...), (...) ON CONFLICT ...
+ *
+ * CHECK constraints, views, functions and RLS are not parsed; the view and
+ * the RPCs the app uses are implemented in ./functions.js.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SQL_FILE = path.join(__dirname, '..', '..', '..', 'supabase.sql');
+
+// Drop "-- comment" tails, keeping "--" inside quoted strings
+function stripComment(line) {
+    let quoted = false;
+    for (let i = 0; i < line.length; i++) {
+        if (line[i] === "'") quoted = !quoted;
+        else if (!quoted && line[i] === '-' && line[i + 1] === '-') return line.slice(0, i);
+    }
+    return line;
+}
+
+// Split on commas outside parentheses and quotes
+function splitTopLevel(text) {
+    const parts = [];
+    let depth = 0, quoted = false, current = '';
+    for (const char of text) {
+        if (char === "'") quoted = !quoted;
+        if (!quoted && char === '(') depth++;
+        if (!quoted && char === ')') depth--;
+        if (!quoted && depth === 0 && char === ',') {
+            parts.push(current.trim());
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+}
+
+function columnType(sqlType) {
+    const type = sqlType.toUpperCase();
+    if (type === 'NUMERIC' || type === 'INTEGER' || type === 'BIGINT') return 'number';
+    if (type === 'BOOLEAN') return 'boolean';
+    if (type === 'JSONB' || type === 'JSON') return 'json';
+    if (type === 'TIMESTAMP') return 'timestamp';
+    if (type === 'UUID') return 'uuid';
+    return 'text';
+}
+
+// DEFAULT clause -> { kind: 'now' | 'uuid' | 'value', value }
+function parseDefault(rest) {
+    const match = rest.match(/DEFAULT\s+(.+?)(?:\s+(?:NOT NULL|PRIMARY KEY|UNIQUE|CHECK|REFERENCES)\b|$)/i);
+    if (!match) return null;
+    const expr = match[1].trim();
+    if (/now\(\)/i.test(expr)) return { kind: 'now' };
+    if (/uuid_generate_v4\(\)|gen_random_uuid\(\)/i.test(expr)) return { kind: 'uuid' };
+    const literal = expr.match(/^'((?:[^']|'')*)'(?:::(\w+))?$/);
+    if (literal) {
+        const text = literal[1].replace(/''/g, "'");
+        return { kind: 'value', value: /^jsonb?$/i.test(literal[2] || '') ? JSON.parse(text) : text };
+    }
+    if (/^(true|false)$/i.test(expr)) return { kind: 'value', value: expr.toLowerCase() === 'true' };
+    if (/^-?\d+(\.\d+)?$/.test(expr)) return { kind: 'value', value: Number(expr) };
+    return null;
+}
+
+function addColumn(table, name, rest, schema) {
+    const column = {
+        name,
+        type: columnType(rest.split(/\s+/)[0]),
+        notNull: /\bNOT NULL\b|\bPRIMARY KEY\b/i.test(rest),
+        default: parseDefault(rest)
+    };
+    table.columns[name] = column;
+    if (/\bPRIMARY KEY\b/i.test(rest)) table.primaryKey = name;
+    if (/\bUNIQUE\b/i.test(rest)) table.unique.push([name]);
+
+    const ref = rest.match(/REFERENCES\s+public\.(\w+)\((\w+)\)(?:\s+ON DELETE\s+(CASCADE|SET NULL))?/i);
+    if (ref) {
+        schema.foreignKeys.push({
+            table: table.name,
+            column: name,
+            refTable: ref[1],
+            refColumn: ref[2],
+            onDelete: (ref[3] || 'NO ACTION').toUpperCase()
+        });
+    }
+}
+
+// VALUES ('a', 'b'), ('c', 'd') -> [['a', 'b'], ['c', 'd']] (string literals only)
+function parseValues(text) {
+    return splitTopLevel(text).map(tuple =>
+        splitTopLevel(tuple.replace(/^\(|\)$/g, '')).map(value => {
+            const literal = value.match(/^'((?:[^']|'')*)'$/);
+            if (literal) return literal[1].replace(/''/g, "'");
+            return /^null$/i.test(value) ? null : value;
+        })
+    );
+}
+
+function parseSchema(sql) {
+    const schema = { tables: {}, foreignKeys: [], seeds: [] };
+    const statements = sql.split('\n').map(stripComment).join('\n').split(/;\s*\n/);
+
+    for (const raw of statements) {
+        const statement = raw.trim().replace(/\s+/g, ' ');
+        let match;
+
+        if ((match = statement.match(/^CREATE TABLE IF NOT EXISTS public\.(\w+) \((.*)\)$/i))) {
+            const table = { name: match[1], columns: {}, primaryKey: null, unique: [] };
+            schema.tables[table.name] = table;
+            for (const definition of splitTopLevel(match[2])) {
+                const constraint = definition.match(/^UNIQUE \(([^)]+)\)$/i);
+                if (constraint) table.unique.push(constraint[1].split(',').map(c => c.trim()));
+                else if (!/^(CHECK|CONSTRAINT|PRIMARY KEY|FOREIGN KEY)\b/i.test(definition)) {
+                    const [, name, rest] = definition.match(/^(\w+) (.*)$/);
+                    addColumn(table, name, rest, schema);
+                }
+            }
+        } else if ((match = statement.match(/^ALTER TABLE public\.(\w+) ADD COLUMN IF NOT EXISTS (\w+) (.*)$/i))) {
+            if (schema.tables[match[1]]) addColumn(schema.tables[match[1]], match[2], match[3], schema);
+        } else if ((match = statement.match(/^CREATE UNIQUE INDEX IF NOT EXISTS \w+ ON public\.(\w+) \(([^)]+)\)/i))) {
+            // Unique indexes never compare NULLs, so a "WHERE x IS NOT NULL" partial index behaves the same
+            if (schema.tables[match[1]]) schema.tables[match[1]].unique.push(match[2].split(',').map(c => c.trim()));
+        } else if ((match = statement.match(/^INSERT INTO public\.(\w+) \(([^)]+)\) VALUES (.*?)(?: ON CONFLICT .*)?$/i))) {
+            const columns = match[2].split(',').map(c => c.trim());
+            parseValues(match[3]).forEach(values => {
+                schema.seeds.push({ table: match[1], row: Object.fromEntries(columns.map((c, i) => [c, values[i]])) });
+            });
+        }
+    }
+    return schema;
+}
+
+let cached = null;
+
+function loadSchema() {
+    if (!cached) cached = parseSchema(fs.readFileSync(SQL_FILE, 'utf8'));
+    return cached;
+}
+
+module.exports = {
+    SQL_FILE,
+    parseSchema,
+    loadSchema
+};
@@ -0,0 +1,124 @@
+/**
+ * LOCAL FILE STORAGE
+ * ==================
+ * Supabase Storage stand-in for the local backend: bucket "digital-products"
+ * becomes the folder <LOCAL_STORAGE_DIR>/digital-products. Signed URLs point
+ * at ROUTE (mounted by app.js) and carry an HMAC of path + expiry; the key is
+ * random per process, so links die with a restart like they die after their TTL.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROUTE = '/local-storage';
+
+class LocalStorageError extends Error {
+    constructor(message, statusCode = '400') {
+        super(message);
+        this.name = 'StorageError';
+        this.statusCode = statusCode;
+    }
+}
+
+async function toBuffer(body) {
+    if (Buffer.isBuffer(body)) return body;
+    if (body instanceof ArrayBuffer || ArrayBuffer.isView(body)) return Buffer.from(body.buffer || body, body.byteOffset, body.byteLength);
+    if (typeof Blob !== 'undefined' && body instanceof Blob) return Buffer.from(await body.arrayBuffer());
+    return Buffer.from(String(body));
+}
+
+function createLocalStorage(dir) {
+    const root = path.resolve(dir);
+    const secret = crypto.randomBytes(32);
+
+    // Absolute path inside the bucket folder; ".." never leaves it
+    function locate(bucket, filePath) {
+        const folder = path.join(root, bucket);
+        const target = path.resolve(folder, String(filePath || ''));
+        if (!/^[\w.-]+$/.test(bucket) || !target.startsWith(folder + path.sep)) {
+            throw new LocalStorageError(`Invalid path: ${filePath}`);
+        }
+        return target;
+    }
+
+    function sign(bucket, filePath, expires) {
+        return crypto.createHmac('sha256', secret).update(`${bucket}/${filePath}:${expires}`).digest('hex');
+    }
+
+    // Wrap calls the way supabase-js does: { data, error }, never a rejection
+    const attempt = fn => async (...args) => {
+        try {
+            return { data: await fn(...args), error: null };
+        } catch (e) {
+            const error = e instanceof LocalStorageError ? e
+                : new LocalStorageError(e.code === 'ENOENT' ? 'Object not found' : e.message, e.code === 'ENOENT' ? '404' : '500');
+            return { data: null, error };
+        }
+    };
+
+    function from(bucket) {
+        return {
+            upload: attempt(async (filePath, body, { upsert = false } = {}) => {
+                const target = locate(bucket, filePath);
+                if (!upsert && fs.existsSync(target)) throw new LocalStorageError('The resource already exists', '409');
+                await fs.promises.mkdir(path.dirname(target), { recursive: true });
+                await fs.promises.writeFile(target, await toBuffer(body));
+                return { path: filePath, fullPath: `${bucket}/${filePath}` };
+            }),
+
+            download: attempt(async filePath => new Blob([await fs.promises.readFile(locate(bucket, filePath))])),
+
+            createSignedUrl: attempt(async (filePath, expiresIn, { download } = {}) => {
+                await fs.promises.access(locate(bucket, filePath));
+                const expires = Math.floor(Date.now() / 1000) + Number(expiresIn);
+                const query = new URLSearchParams({ expires: String(expires), token: sign(bucket, filePath, expires) });
+                if (download) query.set('download', download === true ? path.basename(filePath) : download);
+                return { signedUrl: `${ROUTE}/${bucket}/${filePath.split('/').map(encodeURIComponent).join('/')}?${query}` };
+            }),
+
+            remove: attempt(async paths => {
+                const removed = [];
+                for (const filePath of paths) {
+                    const target = locate(bucket, filePath);
+                    if (fs.existsSync(target)) {
+                        await fs.promises.unlink(target);
+                        removed.push({ name: filePath });
+                    }
+                }
+                return removed;
+            })
+        };
+    }
+
+    // Express handler for GET ROUTE/:bucket/* (the signed URLs above)
+    function serve(req, res) {
+        const { bucket } = req.params;
+        const filePath = req.params[0];
+        const expires = parseInt(req.query.expires);
+        const expected = Buffer.from(sign(bucket, filePath, expires));
+        const given = Buffer.from(String(req.query.token || ''));
+
+        if (!expires || expires * 1000 < Date.now() || given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+            return res.status(403).json({ error: 'Link tidak valid atau sudah kedaluwarsa' });
+        }
+
+        let target;
+        try {
+            target = locate(bucket, filePath);
+        } catch (e) {
+            return res.status(400).json({ error: e.message });
+        }
+        if (!fs.existsSync(target)) return res.status(404).json({ error: 'File tidak ditemukan' });
+        if (req.query.download) return res.download(target, String(req.query.download));
+        res.sendFile(target);
+    }
+
+    return { root, from, serve };
+}
+
+module.exports = {
+    ROUTE,
+    LocalStorageError,
+    createLocalStorage
+};
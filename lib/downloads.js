@@ -0,0 +1,203 @@
+/**
+ * SCRIPT DOWNLOADS
+ * ================
+ * Script (sc) deliveries link to /download/:token instead of a storage URL,
+ * so every download goes through the backend:
+ * - a token belongs to one order and has an expiry and a download budget
+ * - each download is logged with the buyer's IP in `download_logs`
+ * - a new link from the order lookup revokes the old token and carries over
+ *   only the remaining budget, so regenerating never adds downloads
+ * - zip files can be watermarked per buyer (product meta `watermark`): a
+ *   license file with the order ID and username is added before streaming
+ *
+ * Limits come from product meta (`max_downloads`, `download_ttl_hours`) with
+ * DOWNLOAD_MAX_COUNT / DOWNLOAD_TTL_HOURS as the store-wide defaults.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const AdmZip = require('adm-zip');
+
+const BUCKET = 'digital-products';
+// Signed storage URL behind an unwatermarked download: only needs to survive the redirect
+const REDIRECT_TTL_SECONDS = 60;
+
+class DownloadError extends Error {
+    constructor(message, status = 410) {
+        super(message);
+        this.name = 'DownloadError';
+        this.status = status;
+    }
+}
+
+function getLimits(product) {
+    const meta = product?.meta || {};
+    return {
+        max_downloads: parseInt(meta.max_downloads) || parseInt(process.env.DOWNLOAD_MAX_COUNT) || 5,
+        ttl_hours: parseInt(meta.download_ttl_hours) || parseInt(process.env.DOWNLOAD_TTL_HOURS) || 72,
+        watermark: meta.watermark === true
+    };
+}
+
+// Absolute when PUBLIC_URL is set (links in WhatsApp / email), relative otherwise
+function downloadUrl(token) {
+    return `${(process.env.PUBLIC_URL || '').replace(/\/+$/, '')}/download/${token}`;
+}
+
+// Delivery payload fields describing a token
+function describeToken(row) {
+    const left = Math.max(0, row.max_downloads - row.download_count);
+    const usable = !row.revoked_at && left > 0 && new Date(row.expires_at) > new Date();
+    return {
+        download_url: usable ? downloadUrl(row.token) : null,
+        downloads_left: left,
+        link_expires_at: row.expires_at
+    };
+}
+
+async function issueToken(supabase, order, { filePath, maxDownloads, ttlHours }) {
+    const { data, error } = await supabase.from('download_tokens').insert({
+        token: crypto.randomBytes(24).toString('hex'),
+        order_id: order.id,
+        file_path: filePath,
+        max_downloads: maxDownloads,
+        expires_at: new Date(Date.now() + ttlHours * 60 * 60 * 1000)
+    }).select().single();
+    if (error) throw error;
+    return data;
+}
+
+// Newest token of the order that was not replaced by a regeneration
+async function getCurrentToken(supabase, orderId) {
+    const { data, error } = await supabase.from('download_tokens')
+        .select('*')
+        .eq('order_id', orderId)
+        .is('revoked_at', null)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+    if (error) throw error;
+    return data;
+}
+
+/**
+ * New link for an order (order lookup "Buat Link Baru"). The old token is
+ * revoked and the new one gets a fresh expiry but only the downloads left.
+ */
+async function regenerateToken(supabase, order) {
+    const current = await getCurrentToken(supabase, order.id);
+    if (!current) throw new DownloadError('Order ini tidak memiliki file untuk didownload', 404);
+
+    const left = current.max_downloads - current.download_count;
+    if (left <= 0) throw new DownloadError('Batas download untuk order ini sudah habis, hubungi admin');
+
+    const { data: revoked } = await supabase.from('download_tokens')
+        .update({ revoked_at: new Date() })
+        .eq('id', current.id)
+        .is('revoked_at', null)
+        .select('id');
+    // Two regenerations at once: only the one that revoked the token issues a new one
+    if (!revoked || !revoked.length) throw new DownloadError('Link sedang dibuat ulang, coba lagi', 409);
+
+    return issueToken(supabase, order, {
+        filePath: current.file_path,
+        maxDownloads: left,
+        ttlHours: getLimits(order.product_snapshot).ttl_hours
+    });
+}
+
+// Token row that can still be downloaded, without counting it; throws DownloadError when the link is dead
+async function findToken(supabase, token) {
+    const { data: existing, error } = await supabase.from('download_tokens').select('*').eq('token', token).maybeSingle();
+    if (error) throw error;
+    if (!existing) throw new DownloadError('Link download tidak ditemukan', 404);
+    if (existing.revoked_at) throw new DownloadError('Link download sudah diganti atau dicabut. Buat link baru dari halaman Cek Pesanan.');
+    if (new Date(existing.expires_at) <= new Date()) throw new DownloadError('Link download sudah kedaluwarsa. Buat link baru dari halaman Cek Pesanan.');
+    if (existing.download_count >= existing.max_downloads) throw new DownloadError('Batas download untuk link ini sudah habis');
+    return existing;
+}
+
+// Count one download atomically (consume_download_token RPC); throws DownloadError when the link is dead.
+// Called once the file is ready to send, so a failed download never uses one up.
+async function consumeToken(supabase, token) {
+    const { data, error } = await supabase.rpc('consume_download_token', { p_token: token });
+    if (error) throw error;
+    const row = Array.isArray(data) ? data[0] : data;
+    if (row) return row;
+
+    // Work out why, for a helpful message
+    await findToken(supabase, token);
+    // Used up by a download running at the same time
+    throw new DownloadError('Batas download untuk link ini sudah habis');
+}
+
+// Download history must never block the download itself
+async function logDownload(supabase, tokenRow, { ip, userAgent }) {
+    const { error } = await supabase.from('download_logs').insert({
+        token_id: tokenRow.id,
+        order_id: tokenRow.order_id,
+        ip,
+        user_agent: userAgent ? String(userAgent).slice(0, 300) : null
+    });
+    if (error) console.error(`[DOWNLOAD] Failed to log download for ${tokenRow.order_id}:`, error.message);
+}
+
+async function revokeOrderTokens(supabase, orderId) {
+    const { error } = await supabase.from('download_tokens')
+        .update({ revoked_at: new Date() })
+        .eq('order_id', orderId)
+        .is('revoked_at', null);
+    if (error) throw error;
+}
+
+async function createRedirectUrl(supabase, filePath) {
+    const { data, error } = await supabase.storage.from(BUCKET)
+        .createSignedUrl(filePath, REDIRECT_TTL_SECONDS, { download: path.basename(filePath) });
+    if (error || !data) throw new Error(`File tidak ditemukan di storage: ${error?.message || filePath}`);
+    return data.signedUrl;
+}
+
+async function readFile(supabase, filePath) {
+    const { data, error } = await supabase.storage.from(BUCKET).download(filePath);
+    if (error || !data) throw new Error(`File tidak ditemukan di storage: ${error?.message || filePath}`);
+    return Buffer.from(await data.arrayBuffer());
+}
+
+// Add a license file naming the buyer to a zip archive
+function watermarkZip(buffer, order, storeName) {
+    const zip = new AdmZip(buffer);
+    const license = [
+        `${storeName} - LISENSI PEMBELI`,
+        '--------------------------------',
+        `Order ID : ${order.id}`,
+        `Pembeli  : ${order.customer_username || '-'}`,
+        `Produk   : ${order.product_snapshot?.name || '-'}`,
+        `Dibeli   : ${new Date(order.paid_at || order.created_at).toISOString()}`,
+        '--------------------------------',
+        'File ini terdaftar atas nama pembeli di atas. Dilarang menyebarkan ulang.'
+    ].join('\n');
+    zip.addFile(`LICENSE-${order.id}.txt`, Buffer.from(license, 'utf8'));
+    return zip.toBuffer();
+}
+
+function isZip(filePath) {
+    return path.extname(filePath || '').toLowerCase() === '.zip';
+}
+
+module.exports = {
+    DownloadError,
+    getLimits,
+    downloadUrl,
+    describeToken,
+    issueToken,
+    getCurrentToken,
+    regenerateToken,
+    findToken,
+    consumeToken,
+    logDownload,
+    revokeOrderTokens,
+    createRedirectUrl,
+    readFile,
+    watermarkZip,
+    isZip
+};
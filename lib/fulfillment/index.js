@@ -0,0 +1,116 @@
+/**
+ * FULFILLMENT REGISTRY
+ * ====================
+ * Maps `products.type` to a handler module. Every handler exports:
+ * - type:  product type it serves
+ * - label: human readable name for the admin panel
+ * - fulfill(order, product, ctx) -> { delivery_type, payload }
+ * - revoke(order, delivery, ctx)
+ * - refresh(order, delivery, ctx) -> payload   (optional, re-issues expiring
+ *   parts of a delivery such as download links when the buyer looks it up)
+ * - reserve(order, product, ctx) / release(order, ctx)   (optional, for
+ *   finite stock: hold an item at checkout, hand it back on cancel / expiry)
+ * - abort(order, ctx)   (optional, undoes a fulfill() that failed halfway
+ *   before the order is cancelled or refunded)
+ * - validateMeta(meta) -> [problem, ...]   (optional, checks the type-specific
+ *   `products.meta` on save and catalog import; helpers in ./meta.js)
+ * - internal: true   (optional, orders the system creates itself such as
+ *   reseller top-ups; never offered as a catalog product type)
+ *
+ * `ctx` carries the dependencies ({ supabase, getSettings }) so handlers
+ * can be exercised against a stub client.
+ */
+
+const handlers = new Map();
+
+function registerHandler(handler) {
+    if (!handler || !handler.type || typeof handler.fulfill !== 'function' || typeof handler.revoke !== 'function') {
+        throw new Error('Fulfillment handler must provide type, fulfill() and revoke()');
+    }
+    handlers.set(handler.type, handler);
+}
+
+function getHandler(type) {
+    return handlers.get(type) || null;
+}
+
+// Product types the catalog may use
+function listTypes() {
+    return Array.from(handlers.values())
+        .filter(h => !h.internal)
+        .map(h => ({ type: h.type, label: h.label || h.type }));
+}
+
+function isSellable(type) {
+    const handler = getHandler(type);
+    return !!handler && !handler.internal;
+}
+
+// Run the handler registered for the product's type
+async function fulfill(order, product, ctx) {
+    const handler = getHandler(product?.type);
+    if (!handler) throw new Error(`Tipe produk "${product?.type}" tidak memiliki handler fulfillment.`);
+    return handler.fulfill(order, product, ctx);
+}
+
+async function revoke(order, delivery, ctx) {
+    const handler = getHandler(order.product_snapshot?.type);
+    if (!handler) throw new Error(`Tipe produk "${order.product_snapshot?.type}" tidak memiliki handler fulfillment.`);
+    return handler.revoke(order, delivery, ctx);
+}
+
+// Hold whatever the order needs before payment (no-op for unlimited product types)
+async function reserve(order, product, ctx) {
+    const handler = getHandler(product?.type);
+    if (!handler || typeof handler.reserve !== 'function') return null;
+    return handler.reserve(order, product, ctx);
+}
+
+async function release(order, ctx) {
+    const handler = getHandler(order.product_snapshot?.type);
+    if (!handler || typeof handler.release !== 'function') return null;
+    return handler.release(order, ctx);
+}
+
+// Clean up after a failed fulfillment; resolves to null when there was nothing to undo
+async function abort(order, ctx) {
+    const handler = getHandler(order.product_snapshot?.type);
+    if (!handler || typeof handler.abort !== 'function') return null;
+    return handler.abort(order, ctx);
+}
+
+// Problems with a product's meta for its type; empty when it can be saved
+function validateMeta(type, meta) {
+    const handler = getHandler(type);
+    if (!handler || handler.internal) return [`Tipe produk "${type}" tidak dikenal`];
+    if (meta === null || typeof meta !== 'object' || Array.isArray(meta)) return ['meta harus berupa object'];
+    return typeof handler.validateMeta === 'function' ? handler.validateMeta(meta) : [];
+}
+
+// Give the buyer an up-to-date copy of a saved delivery
+async function refresh(order, delivery, ctx) {
+    const handler = getHandler(order.product_snapshot?.type);
+    if (!handler || typeof handler.refresh !== 'function') return delivery.payload;
+    return handler.refresh(order, delivery, ctx);
+}
+
+// Built-in product types
+registerHandler(require('./panel'));
+registerHandler(require('./sc'));
+registerHandler(require('./sewa'));
+registerHandler(require('./stock'));
+registerHandler(require('./reseller-topup'));
+
+module.exports = {
+    registerHandler,
+    getHandler,
+    listTypes,
+    isSellable,
+    fulfill,
+    revoke,
+    refresh,
+    reserve,
+    release,
+    abort,
+    validateMeta
+};
@@ -0,0 +1,50 @@
+/**
+ * PRODUCT META CHECKS
+ * ===================
+ * Small helpers for the handlers' validateMeta(meta). Every check pushes a
+ * readable problem into `errors` instead of throwing, so a catalog import
+ * can list everything wrong with a row at once.
+ */
+
+function isBlank(value) {
+    return value === undefined || value === null || value === '';
+}
+
+// Whole number >= min; blank is only a problem when required.
+// `prefix` names nested objects in messages (meta.ptero.egg_id).
+function integer(errors, meta, key, { min = 0, required = false, prefix = 'meta' } = {}) {
+    const value = meta[key];
+    if (isBlank(value)) {
+        if (required) errors.push(`${prefix}.${key} wajib diisi`);
+        return;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < min) errors.push(`${prefix}.${key} harus bilangan bulat >= ${min}`);
+}
+
+function string(errors, meta, key, { required = false, prefix = 'meta' } = {}) {
+    const value = meta[key];
+    if (isBlank(value)) {
+        if (required) errors.push(`${prefix}.${key} wajib diisi`);
+        return;
+    }
+    if (typeof value !== 'string') errors.push(`${prefix}.${key} harus berupa teks`);
+}
+
+function boolean(errors, meta, key, { prefix = 'meta' } = {}) {
+    const value = meta[key];
+    if (!isBlank(value) && typeof value !== 'boolean') errors.push(`${prefix}.${key} harus true / false`);
+}
+
+function object(errors, meta, key, { prefix = 'meta' } = {}) {
+    const value = meta[key];
+    if (!isBlank(value) && (typeof value !== 'object' || Array.isArray(value))) errors.push(`${prefix}.${key} harus berupa object`);
+}
+
+module.exports = {
+    isBlank,
+    integer,
+    string,
+    boolean,
+    object
+};
@@ -0,0 +1,137 @@
+/**
+ * FULFILLMENT HANDLER: PANEL
+ * Creates a Pterodactyl user + server and delivers the login credentials.
+ * Renewal orders (`order.renewal_of`) extend the existing subscription instead,
+ * upgrade orders (`order.upgrade_of`) resize its server to the bigger package.
+ * Progress is saved to `orders.provisioning` so retries resume and an admin
+ * cancel can remove a half-made panel.
+ */
+
+const { createRealPterodactylPanel, deletePterodactylPanel, rollbackPanel, panelUrl } = require('../pterodactyl');
+const subscriptions = require('../panel-subscriptions');
+const check = require('./meta');
+
+// Resource fields and the word that also means "no limit" (0 works too)
+const RESOURCES = { ram: 'UNLIMITED', disk: 'UNLIMITED', cpu: 'MAX' };
+
+function formatExpiry(date) {
+    return new Date(date).toLocaleDateString('id-ID');
+}
+
+async function saveProvisioning(supabase, orderId, state) {
+    const { error } = await supabase.from('orders').update({ provisioning: state }).eq('id', orderId);
+    if (error) throw error;
+}
+
+module.exports = {
+    type: 'panel',
+    label: 'Panel Pterodactyl',
+
+    validateMeta(meta) {
+        const errors = [];
+        Object.entries(RESOURCES).forEach(([key, unlimited]) => {
+            if (meta[key] !== unlimited) check.integer(errors, meta, key);
+        });
+        check.integer(errors, meta, 'duration_days', { min: 1 });
+
+        // Server config (see lib/pterodactyl.js for the fields)
+        const ptero = meta.ptero;
+        if (check.isBlank(ptero)) return errors;
+        if (typeof ptero !== 'object' || Array.isArray(ptero)) return [...errors, 'meta.ptero harus berupa object'];
+        const nested = { prefix: 'meta.ptero' };
+        ['nest_id', 'egg_id', 'io', 'swap'].forEach(key => check.integer(errors, ptero, key, nested));
+        ['docker_image', 'startup'].forEach(key => check.string(errors, ptero, key, nested));
+        ['environment', 'feature_limits'].forEach(key => check.object(errors, ptero, key, nested));
+        return errors;
+    },
+
+    async fulfill(order, product, ctx) {
+        // === RENEWAL: extend the existing server ===
+        if (order.renewal_of) {
+            const sub = await subscriptions.renewSubscription(ctx.supabase, order.renewal_of, product);
+            return {
+                delivery_type: 'panel_renewal',
+                payload: {
+                    username: sub.username,
+                    panel_url: panelUrl(),
+                    subscription_id: sub.id,
+                    expiry_date: formatExpiry(sub.expires_at),
+                    renewed: true
+                }
+            };
+        }
+
+        // === UPGRADE: bigger limits for the existing server ===
+        if (order.upgrade_of) {
+            const { sub, previous } = await subscriptions.upgradeSubscription(
+                ctx.supabase, order.upgrade_of, product, order.product_snapshot?.upgrade_from?.id
+            );
+            return {
+                delivery_type: 'panel_upgrade',
+                payload: {
+                    username: sub.username,
+                    panel_url: panelUrl(),
+                    subscription_id: sub.id,
+                    package: product.name,
+                    expiry_date: formatExpiry(sub.expires_at),
+                    previous
+                }
+            };
+        }
+
+        const pData = await createRealPterodactylPanel({
+            order_id: order.id,
+            username: order.customer_username,
+            product_name: product.name,
+            product_meta: product.meta,
+            provisioning: order.provisioning
+        }, state => saveProvisioning(ctx.supabase, order.id, state));
+
+        const sub = await subscriptions.recordSubscription(ctx.supabase, order, product, pData);
+        pData.subscription_id = sub.id;
+        pData.expiry_date = formatExpiry(sub.expires_at);
+
+        return { delivery_type: 'panel_credentials', payload: pData };
+    },
+
+    async revoke(order, delivery, ctx) {
+        // Revoking a renewal keeps the server, only the original purchase owns it
+        if (delivery?.delivery_type === 'panel_renewal') return;
+        // Revoking an upgrade shrinks the server back to the old package
+        if (delivery?.delivery_type === 'panel_upgrade') {
+            const { subscription_id, previous } = delivery.payload || {};
+            if (subscription_id && previous) await subscriptions.revertUpgrade(ctx.supabase, subscription_id, previous);
+            return;
+        }
+
+        const payload = delivery?.payload || {};
+        if (!payload.server_id && !payload.user_id) {
+            throw new Error(`Delivery for order ${order.id} has no Pterodactyl IDs, delete the panel manually.`);
+        }
+        await deletePterodactylPanel(payload);
+
+        if (payload.subscription_id) {
+            await ctx.supabase.from('panel_subscriptions').update({ status: 'deleted', deleted_at: new Date() }).eq('id', payload.subscription_id);
+        }
+    },
+
+    // Remove whatever a failed provisioning attempt created (order never completed)
+    async abort(order, ctx) {
+        if (order.renewal_of || order.upgrade_of) return null;
+
+        const state = order.provisioning || {};
+        const removed = await rollbackPanel({ order_id: order.id, user_id: state.user_id, server_id: state.server_id });
+        if (!removed.user_id && !removed.server_id) return null;
+
+        await saveProvisioning(ctx.supabase, order.id, {
+            ...state,
+            step: 'rolled_back',
+            updated_at: new Date().toISOString()
+        });
+        await ctx.supabase.from('panel_subscriptions')
+            .update({ status: 'deleted', deleted_at: new Date() })
+            .eq('order_id', order.id)
+            .neq('status', 'deleted');
+        return removed;
+    }
+};
@@ -0,0 +1,32 @@
+/**
+ * FULFILLMENT HANDLER: RESELLER TOP-UP
+ * Credits a paid top-up order to the reseller's balance (lib/resellers.js).
+ * Internal type: top-ups are opened by POST /api/reseller/topups and never
+ * sold as a catalog product.
+ */
+
+const resellers = require('../resellers');
+
+module.exports = {
+    type: resellers.TOPUP_TYPE,
+    label: 'Top Up Saldo Reseller',
+    internal: true,
+
+    async fulfill(order, product, ctx) {
+        if (!order.reseller_id) throw new Error(`Order top up ${order.id} tidak memiliki reseller`);
+        const transaction = await resellers.creditTopup(ctx.supabase, order);
+        return {
+            delivery_type: 'balance_topup',
+            payload: {
+                reseller_id: order.reseller_id,
+                amount: Number(order.amount),
+                balance: Number(transaction.balance_after)
+            }
+        };
+    },
+
+    // Refunding a top-up takes the credit back (fails if the reseller already spent it)
+    async revoke(order, delivery, ctx) {
+        await resellers.reverseTopup(ctx.supabase, order);
+    }
+};
@@ -0,0 +1,74 @@
+/**
+ * FULFILLMENT HANDLER: SCRIPT (SC)
+ * Delivers a /download/:token link with a download budget and expiry
+ * (see lib/downloads.js). The buyer can get a new link from the order lookup.
+ * The link always serves the latest published version (lib/product-versions.js).
+ */
+
+const path = require('path');
+const downloads = require('../downloads');
+const versions = require('../product-versions');
+const check = require('./meta');
+
+// File name & version the buyer currently gets
+async function currentFile(order, ctx) {
+    const latest = order.product_id ? await versions.getLatestVersion(ctx.supabase, order.product_id) : null;
+    const filePath = latest ? latest.file_path : order.product_snapshot?.meta?.file_path;
+    return { file_name: path.basename(filePath || ''), version: latest ? latest.version : null };
+}
+
+async function issueLink(order, product, ctx) {
+    const limits = downloads.getLimits(product);
+    return downloads.issueToken(ctx.supabase, order, {
+        filePath: product.meta.file_path,
+        maxDownloads: limits.max_downloads,
+        ttlHours: limits.ttl_hours
+    });
+}
+
+module.exports = {
+    type: 'sc',
+    label: 'Source Code (File)',
+
+    // file_path may stay empty until the first upload; fulfill() refuses to sell it until then
+    validateMeta(meta) {
+        const errors = [];
+        check.string(errors, meta, 'file_path');
+        check.integer(errors, meta, 'max_downloads', { min: 1 });
+        check.integer(errors, meta, 'download_ttl_hours', { min: 1 });
+        check.boolean(errors, meta, 'watermark');
+        return errors;
+    },
+
+    async fulfill(order, product, ctx) {
+        const fileName = product.meta?.file_path;
+        if (!fileName) throw new Error(`Produk ${product.name} belum memiliki file script`);
+
+        const token = await issueLink(order, product, ctx);
+        const settings = await ctx.getSettings();
+        return {
+            delivery_type: 'download_link',
+            payload: {
+                ...downloads.describeToken(token),
+                ...await currentFile(order, ctx),
+                group_link: settings.store_group_link,
+                username: order.customer_username
+            }
+        };
+    },
+
+    // Order lookup: show the current budget; orders from before download tokens get their first token here
+    async refresh(order, delivery, ctx) {
+        let token = await downloads.getCurrentToken(ctx.supabase, order.id);
+        if (!token) {
+            const product = order.product_snapshot;
+            if (!product?.meta?.file_path) return delivery.payload;
+            token = await issueLink(order, product, ctx);
+        }
+        return { ...delivery.payload, ...downloads.describeToken(token), ...await currentFile(order, ctx) };
+    },
+
+    async revoke(order, delivery, ctx) {
+        await downloads.revokeOrderTokens(ctx.supabase, order.id);
+    }
+};
@@ -0,0 +1,88 @@
+/**
+ * FULFILLMENT HANDLER: SEWA BOT
+ * Records a bot rental for the buyer's group / number and activates it through
+ * the bot control webhook. Without a webhook (BOT_CONTROL_URL) the buyer is
+ * sent to the admin on WhatsApp, like before, and the admin activates by hand.
+ * Extension orders (`order.renewal_of`) extend the existing rental instead.
+ */
+
+const rentals = require('../bot-rentals');
+const check = require('./meta');
+
+function formatExpiry(date) {
+    return new Date(date).toLocaleDateString('id-ID');
+}
+
+function rentalPayload(rental, order) {
+    return {
+        rental_id: rental.id,
+        target: rental.target,
+        target_type: rental.target_type,
+        expiry_date: formatExpiry(rental.expires_at),
+        username: order.customer_username
+    };
+}
+
+module.exports = {
+    type: 'sewa',
+    label: 'Sewa Bot',
+
+    validateMeta(meta) {
+        const errors = [];
+        check.integer(errors, meta, 'duration_days', { min: 1, required: true });
+        return errors;
+    },
+
+    async fulfill(order, product, ctx) {
+        const settings = await ctx.getSettings();
+
+        // === EXTENSION: push the existing rental forward ===
+        if (order.renewal_of) {
+            const rental = await rentals.extendRental(ctx.supabase, order.renewal_of, product);
+            return {
+                delivery_type: 'bot_rental',
+                payload: {
+                    ...rentalPayload(rental, order),
+                    instructions: `Sewa bot diperpanjang s/d ${formatExpiry(rental.expires_at)}.`,
+                    renewed: true
+                }
+            };
+        }
+
+        let rental = await rentals.recordRental(ctx.supabase, order, product);
+        if (rental.status === 'pending') rental = await rentals.activateRental(ctx.supabase, rental);
+
+        const payload = rentalPayload(rental, order);
+        if (rental.activated_at) {
+            payload.instructions = `Bot aktif untuk ${rental.target_type === 'group' ? 'grup' : 'nomor'} kamu s/d ${payload.expiry_date}.`;
+        } else {
+            // Manual activation: the admin still needs a nudge with the order details
+            const duration = rentals.getDurationDays(product);
+            const text = `Halo Admin, saya sudah bayar Order ID: ${order.id}.\nUsername: ${order.customer_username}.\nPaket: ${product.name} (${duration} Hari).\nTarget: ${rental.target}.\nMohon segera diproses.`;
+            payload.instructions = `Pembayaran Lunas. Silakan klik tombol di bawah untuk aktivasi bot (${duration} Hari) ke Admin.`;
+            payload.wa_link = `${settings.contact_admin}?text=${encodeURIComponent(text)}`;
+        }
+        payload.group_link = settings.bot_group_link;
+
+        return { delivery_type: 'bot_rental', payload };
+    },
+
+    async revoke(order, delivery, ctx) {
+        // Legacy deliveries were manual handoffs, the admin deactivates those from the bot itself
+        if (delivery?.delivery_type !== 'bot_rental' || delivery.payload?.renewed) return;
+
+        const { data: rental } = await ctx.supabase.from('bot_rentals').select('*').eq('id', delivery.payload.rental_id).maybeSingle();
+        if (rental && !['cancelled', 'expired'].includes(rental.status)) {
+            await rentals.deactivateRental(ctx.supabase, rental, 'cancelled');
+        }
+    },
+
+    // Failed activation: drop the rental row so it never shows up as running
+    async abort(order, ctx) {
+        if (order.renewal_of) return null;
+        const { data: rental } = await ctx.supabase.from('bot_rentals').select('*').eq('order_id', order.id).maybeSingle();
+        if (!rental || rental.status !== 'pending') return null;
+        await ctx.supabase.from('bot_rentals').update({ status: 'cancelled', updated_at: new Date() }).eq('id', rental.id);
+        return { rental_id: rental.id };
+    }
+};
@@ -0,0 +1,49 @@
+/**
+ * FULFILLMENT HANDLER: STOCK
+ * Delivers one pre-made item (license key, voucher code, account) from the
+ * product's pool in `stock_items`. The item is reserved at checkout and
+ * marked sold here.
+ */
+
+const stock = require('../stock');
+const check = require('./meta');
+
+module.exports = {
+    type: 'stock',
+    label: 'Stok (Lisensi / Voucher / Akun)',
+
+    validateMeta(meta) {
+        const errors = [];
+        check.string(errors, meta, 'instructions');
+        return errors;
+    },
+
+    async reserve(order, product, ctx) {
+        return stock.reserveItem(ctx.supabase, product.id, order.id);
+    },
+
+    async release(order, ctx) {
+        return stock.releaseItems(ctx.supabase, order.id);
+    },
+
+    async fulfill(order, product, ctx) {
+        // Paid after the reservation was released (cancelled / expired order): take a fresh item
+        let item = await stock.findOrderItem(ctx.supabase, order.id);
+        if (!item) item = await stock.reserveItem(ctx.supabase, product.id, order.id);
+        item = await stock.markSold(ctx.supabase, item);
+
+        return {
+            delivery_type: 'stock_item',
+            payload: {
+                items: [item.content],
+                product_name: product.name,
+                instructions: product.meta?.instructions || null,
+                username: order.customer_username
+            }
+        };
+    },
+
+    async revoke() {
+        // A delivered code cannot be taken back; the item stays sold so it is never resold
+    }
+};
@@ -0,0 +1,41 @@
+/**
+ * NOTIFICATION CHANNEL: EMAIL
+ * Plain-text mail over SMTP (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_FROM).
+ */
+
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+function getTransporter() {
+    if (!transporter) {
+        const port = parseInt(process.env.SMTP_PORT || '587');
+        transporter = nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port,
+            secure: port === 465,
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+        });
+    }
+    return transporter;
+}
+
+module.exports = {
+    name: 'email',
+    label: 'Email',
+    orderField: 'customer_email',
+    adminSetting: 'notify_admin_email',
+
+    isConfigured() {
+        return !!process.env.SMTP_HOST;
+    },
+
+    async send(to, { subject, text }) {
+        await getTransporter().sendMail({
+            from: process.env.SMTP_FROM || process.env.SMTP_USER,
+            to,
+            subject,
+            text
+        });
+    }
+};
@@ -0,0 +1,129 @@
+/**
+ * NOTIFICATIONS
+ * =============
+ * Sends buyers their delivery and alerts the admin, over pluggable channels.
+ * Every channel exports:
+ * - name / label
+ * - orderField:   orders column with the buyer's address on this channel
+ * - adminSetting: settings key with the admin's address
+ * - isConfigured() -> boolean   (credentials present in .env)
+ * - send(to, { subject, text })
+ *
+ * A message goes out on every configured channel the recipient has an
+ * address for. Failures are logged and never break the caller (payment and
+ * fulfillment must not depend on a WhatsApp gateway being up).
+ *
+ * NOTIFY_TRANSPORT=mock sends everything to the in-memory mock outbox
+ * instead (see mock.js).
+ */
+
+const templates = require('./templates');
+const mock = require('./mock');
+
+const channels = new Map();
+
+function registerChannel(channel) {
+    if (!channel || !channel.name || typeof channel.send !== 'function' || typeof channel.isConfigured !== 'function') {
+        throw new Error('Notification channel must provide name, send() and isConfigured()');
+    }
+    channels.set(channel.name, channel);
+}
+
+function getChannel(name) {
+    return channels.get(name) || null;
+}
+
+function isMock() {
+    return process.env.NOTIFY_TRANSPORT === 'mock';
+}
+
+function listChannels() {
+    return Array.from(channels.values()).map(c => ({
+        name: c.name,
+        label: c.label || c.name,
+        configured: c.isConfigured(),
+        admin_setting: c.adminSetting
+    }));
+}
+
+function deliver(channel, to, message) {
+    return isMock() ? mock.send(channel.name, to, message) : channel.send(to, message);
+}
+
+// `recipients` maps channel name -> address; resolves to [{ channel, ok, error }]
+async function dispatch(recipients, message, label) {
+    const jobs = Array.from(channels.values())
+        .filter(channel => recipients[channel.name] && (isMock() || channel.isConfigured()))
+        .map(channel => deliver(channel, recipients[channel.name], message).then(
+            () => ({ channel: channel.name, ok: true }),
+            e => ({ channel: channel.name, ok: false, error: e.response?.data?.description || e.message })
+        ));
+
+    const results = await Promise.all(jobs);
+    results.filter(r => !r.ok).forEach(r => console.error(`[NOTIFY] ${label} via ${r.channel} failed:`, r.error));
+    return results;
+}
+
+/**
+ * Message the buyer of `order` for `event` (see templates.js).
+ * `only` limits the channels, e.g. ['telegram'] right after linking a chat.
+ */
+async function notifyCustomer(event, order, vars, ctx, { only = null } = {}) {
+    try {
+        const settings = await ctx.getSettings();
+        const message = templates.render(event, settings, templates.orderVars(order, settings, vars));
+        const recipients = {};
+        channels.forEach(channel => {
+            if (!only || only.includes(channel.name)) recipients[channel.name] = order[channel.orderField];
+        });
+        return await dispatch(recipients, message, `${event} ${order.id}`);
+    } catch (e) {
+        console.error(`[NOTIFY] ${event} ${order.id} failed:`, e.message);
+        return [];
+    }
+}
+
+// Message the admin addresses from settings (notify_admin_*)
+async function notifyAdmin(event, order, vars, ctx) {
+    try {
+        const settings = await ctx.getSettings();
+        const message = templates.render(event, settings, templates.orderVars(order, settings, vars));
+        const recipients = {};
+        channels.forEach(channel => { recipients[channel.name] = settings[channel.adminSetting]; });
+        return await dispatch(recipients, message, `${event} ${order.id}`);
+    } catch (e) {
+        console.error(`[NOTIFY] ${event} ${order.id} failed:`, e.message);
+        return [];
+    }
+}
+
+// Admin "send test" button: unlike the above this throws, so the admin sees why it failed
+async function sendTest(channelName, to, ctx) {
+    const channel = getChannel(channelName);
+    if (!channel) throw new Error(`Channel "${channelName}" tidak dikenal`);
+    if (!isMock() && !channel.isConfigured()) throw new Error(`Channel ${channel.label} belum dikonfigurasi di .env`);
+
+    const settings = await ctx.getSettings();
+    const message = {
+        subject: `[${settings.store_name}] Tes notifikasi`,
+        text: `Tes notifikasi ${channel.label} dari ${settings.store_name} berhasil.`
+    };
+    await deliver(channel, to, message);
+}
+
+// Built-in channels
+registerChannel(require('./whatsapp'));
+registerChannel(require('./telegram'));
+registerChannel(require('./email'));
+
+module.exports = {
+    registerChannel,
+    getChannel,
+    listChannels,
+    isMock,
+    getOutbox: mock.getOutbox,
+    formatDelivery: templates.formatDelivery,
+    notifyCustomer,
+    notifyAdmin,
+    sendTest
+};
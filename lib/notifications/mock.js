@@ -0,0 +1,26 @@
+/**
+ * NOTIFICATION TRANSPORT: MOCK
+ * Local testing (NOTIFY_TRANSPORT=mock): messages are printed and kept in
+ * memory instead of going out through WhatsApp / Telegram / SMTP. The admin
+ * Settings view shows the outbox.
+ */
+
+const MAX_OUTBOX = 50;
+const outbox = [];
+
+async function send(channel, to, { subject, text }) {
+    const entry = { channel, to: String(to), subject, text, sent_at: new Date().toISOString() };
+    outbox.unshift(entry);
+    outbox.length = Math.min(outbox.length, MAX_OUTBOX);
+    console.log(`[NOTIFY:MOCK] ${channel} -> ${to}\n${text}`);
+    return entry;
+}
+
+function getOutbox() {
+    return outbox.slice();
+}
+
+module.exports = {
+    send,
+    getOutbox
+};
@@ -0,0 +1,43 @@
+/**
+ * NOTIFICATION CHANNEL: TELEGRAM
+ * Uses the store bot (the `telegram_link` setting, token in TELEGRAM_BOT_TOKEN).
+ * Bots cannot message people first, so buyers link their chat by opening
+ *   https://t.me/<bot>?start=<order id>_<order secret>
+ * which hits /api/webhooks/telegram and stores the chat ID on the order.
+ */
+
+const axios = require('axios');
+
+function apiUrl(method) {
+    return `https://api.telegram.org/bot${process.env.TELEGRAM_BOT_TOKEN}/${method}`;
+}
+
+// "/start TRX-..._<secret>" -> { orderId, secret }, null for anything else
+function parseStartPayload(text) {
+    const match = /^\/start\s+(\S+)$/.exec(String(text || '').trim());
+    if (!match) return null;
+    const split = match[1].lastIndexOf('_');
+    if (split <= 0) return null;
+    return { orderId: match[1].slice(0, split), secret: match[1].slice(split + 1) };
+}
+
+module.exports = {
+    name: 'telegram',
+    label: 'Telegram',
+    orderField: 'customer_telegram_chat_id',
+    adminSetting: 'notify_admin_telegram',
+    parseStartPayload,
+
+    isConfigured() {
+        return !!process.env.TELEGRAM_BOT_TOKEN;
+    },
+
+    async send(to, { text }) {
+        const res = await axios.post(apiUrl('sendMessage'), {
+            chat_id: to,
+            text,
+            disable_web_page_preview: true
+        }, { timeout: 15000 });
+        if (!res.data?.ok) throw new Error(res.data?.description || 'Telegram menolak pesan');
+    }
+};
@@ -0,0 +1,130 @@
+/**
+ * NOTIFICATION TEMPLATES
+ * Default texts per event. The admin can override each one from the Settings
+ * view (`notify_tpl_<event>`), an empty setting falls back to the default.
+ *
+ * Placeholders: {{store_name}} {{order_id}} {{product_name}} {{amount}}
+ * {{username}} {{contact}} {{delivery}} {{error}} {{expires_at}} {{target}}
+ * {{version}} {{changelog}} {{lookup_url}} {{refund_amount}} {{reason}}
+ */
+
+const DEFAULT_TEMPLATES = {
+    delivery: {
+        subject: '[{{store_name}}] Pesanan {{order_id}} sudah dikirim',
+        text: 'Halo {{username}}, terima kasih sudah belanja di {{store_name}}!\n\nOrder ID: {{order_id}}\nProduk: {{product_name}}\nTotal: Rp {{amount}}\n\n{{delivery}}\n\nSimpan pesan ini. Data pesanan juga bisa dilihat lagi di menu Cek Pesanan.'
+    },
+    admin_paid: {
+        subject: '[{{store_name}}] Order baru dibayar: {{order_id}}',
+        text: 'Order baru sudah dibayar.\n\nOrder ID: {{order_id}}\nProduk: {{product_name}}\nTotal: Rp {{amount}}\nUsername: {{username}}\nKontak: {{contact}}'
+    },
+    admin_failed: {
+        subject: '[{{store_name}}] Fulfillment gagal: {{order_id}}',
+        text: 'Fulfillment order GAGAL, cek menu Transaksi untuk retry.\n\nOrder ID: {{order_id}}\nProduk: {{product_name}}\nUsername: {{username}}\nKontak: {{contact}}\nError: {{error}}'
+    },
+    panel_reminder: {
+        subject: '[{{store_name}}] Panel {{username}} segera berakhir',
+        text: 'Halo {{username}}, panel kamu akan berakhir pada {{expires_at}}.\nPerpanjang sekarang di {{store_name}} supaya server tidak disuspend.'
+    },
+    panel_suspended: {
+        subject: '[{{store_name}}] Panel {{username}} disuspend',
+        text: 'Halo {{username}}, masa aktif panel kamu sudah habis ({{expires_at}}) dan server disuspend.\nPerpanjang sebelum masa tenggang berakhir agar data tidak dihapus.'
+    },
+    panel_deleted: {
+        subject: '[{{store_name}}] Panel {{username}} dihapus',
+        text: 'Halo {{username}}, panel kamu sudah dihapus karena tidak diperpanjang setelah masa tenggang.'
+    },
+    rental_reminder: {
+        subject: '[{{store_name}}] Sewa bot segera berakhir',
+        text: 'Halo {{username}}, sewa bot untuk {{target}} akan berakhir pada {{expires_at}}.\nPerpanjang di {{store_name}} (menu Sewa Bot) supaya bot tidak keluar.'
+    },
+    rental_expired: {
+        subject: '[{{store_name}}] Sewa bot berakhir',
+        text: 'Halo {{username}}, sewa bot untuk {{target}} sudah berakhir ({{expires_at}}) dan bot dinonaktifkan.\nPerpanjang kapan saja di menu Sewa Bot untuk mengaktifkannya lagi.'
+    },
+    product_update: {
+        subject: '[{{store_name}}] Update {{product_name}} versi {{version}}',
+        text: 'Halo {{username}}, {{product_name}} versi {{version}} sudah rilis!\n\nPerubahan:\n{{changelog}}\n\nDownload versi terbaru lewat Cek Pesanan (Order ID {{order_id}}):\n{{lookup_url}}'
+    },
+    refund: {
+        subject: '[{{store_name}}] Refund pesanan {{order_id}}',
+        text: 'Halo {{username}}, pesanan kamu di {{store_name}} sudah direfund.\n\nOrder ID: {{order_id}}\nProduk: {{product_name}}\nTotal: Rp {{amount}}\nRefund: Rp {{refund_amount}}\nAlasan: {{reason}}\n\nHubungi admin jika ada pertanyaan.'
+    }
+};
+
+const EVENTS = Object.keys(DEFAULT_TEMPLATES);
+
+function settingKey(event) {
+    return `notify_tpl_${event}`;
+}
+
+// Replace {{placeholders}}; unknown ones become empty so a typo never leaks braces to buyers
+function fill(template, vars) {
+    return String(template || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (vars[key] ?? '').toString());
+}
+
+function render(event, settings, vars) {
+    const defaults = DEFAULT_TEMPLATES[event];
+    if (!defaults) throw new Error(`Template notifikasi "${event}" tidak dikenal`);
+    return {
+        subject: fill(defaults.subject, vars),
+        text: fill(settings[settingKey(event)] || defaults.text, vars)
+    };
+}
+
+// Plain-text version of a delivery payload, per delivery_type
+function formatDelivery(delivery) {
+    const p = delivery?.payload || {};
+    switch (delivery?.delivery_type) {
+        case 'panel_credentials':
+            return `Login Panel\nURL: ${p.panel_url}\nUsername: ${p.username}\nPassword: ${p.password}` +
+                (p.expiry_date ? `\nAktif s/d: ${p.expiry_date}` : '');
+        case 'panel_renewal':
+            return `Panel ${p.username} sudah diperpanjang s/d ${p.expiry_date}.\nURL: ${p.panel_url}`;
+        case 'panel_upgrade':
+            return `Panel ${p.username} sudah di-upgrade ke paket ${p.package}.\nAktif s/d: ${p.expiry_date}\nURL: ${p.panel_url}`;
+        case 'download_link':
+            return `Link download${p.version ? ` (versi ${p.version})` : ''}:\n${p.download_url}` +
+                (p.downloads_left !== undefined ? `\nSisa download: ${p.downloads_left}` : '') +
+                (p.link_expires_at ? `\nBerlaku s/d: ${new Date(p.link_expires_at).toLocaleString('id-ID')}` : '') +
+                (p.group_link ? `\n\nGrup update: ${p.group_link}` : '');
+        case 'instructions':
+            return [p.instructions, p.wa_link && `Aktivasi: ${p.wa_link}`, p.group_link && `Grup: ${p.group_link}`]
+                .filter(Boolean).join('\n');
+        case 'bot_rental':
+            return [p.instructions, `Target: ${p.target}`, `Aktif s/d: ${p.expiry_date}`,
+                p.wa_link && `Aktivasi: ${p.wa_link}`, p.group_link && `Grup: ${p.group_link}`]
+                .filter(Boolean).join('\n');
+        case 'balance_topup':
+            return `Saldo reseller bertambah Rp ${Number(p.amount).toLocaleString('id-ID')}.\nSaldo sekarang: Rp ${Number(p.balance).toLocaleString('id-ID')}`;
+        case 'stock_item':
+            return (p.items || []).map((item, i) => `Item ${i + 1}: ${item}`).join('\n') +
+                (p.instructions ? `\n\n${p.instructions}` : '');
+        default:
+            return JSON.stringify(p, null, 2);
+    }
+}
+
+// Placeholder values shared by every order-related event
+function orderVars(order, settings, extra = {}) {
+    const contact = [order.customer_whatsapp, order.customer_email, order.customer_telegram_chat_id && `telegram:${order.customer_telegram_chat_id}`]
+        .filter(Boolean).join(', ');
+    return {
+        store_name: settings.store_name,
+        order_id: order.id,
+        product_name: order.product_snapshot?.name || '-',
+        amount: Number(order.amount || 0).toLocaleString('id-ID'),
+        username: order.customer_username || '-',
+        contact: contact || '-',
+        ...extra
+    };
+}
+
+module.exports = {
+    DEFAULT_TEMPLATES,
+    EVENTS,
+    settingKey,
+    fill,
+    render,
+    formatDelivery,
+    orderVars
+};
@@ -0,0 +1,39 @@
+/**
+ * NOTIFICATION CHANNEL: WHATSAPP
+ * Sends through an HTTP WhatsApp gateway (Fonnte-style API):
+ *   POST WA_GATEWAY_URL  { target, message }   Authorization: WA_GATEWAY_TOKEN
+ */
+
+const axios = require('axios');
+
+// 08xx / +628xx / 628xx -> 628xx (null when it does not look like a phone number)
+function normalizeNumber(value) {
+    let digits = String(value || '').replace(/[^\d]/g, '');
+    if (digits.startsWith('0')) digits = `62${digits.slice(1)}`;
+    return /^\d{9,15}$/.test(digits) ? digits : null;
+}
+
+module.exports = {
+    name: 'whatsapp',
+    label: 'WhatsApp',
+    orderField: 'customer_whatsapp',
+    adminSetting: 'notify_admin_whatsapp',
+    normalizeNumber,
+
+    isConfigured() {
+        return !!process.env.WA_GATEWAY_URL;
+    },
+
+    async send(to, { text }) {
+        const target = normalizeNumber(to);
+        if (!target) throw new Error(`Nomor WhatsApp tidak valid: ${to}`);
+
+        const res = await axios.post(
+            process.env.WA_GATEWAY_URL,
+            { target, message: text },
+            { headers: { 'Authorization': process.env.WA_GATEWAY_TOKEN || '' }, timeout: 15000 }
+        );
+        // Gateways answer 200 with { status: false } when the message was rejected
+        if (res.data?.status === false) throw new Error(res.data.reason || res.data.message || 'Gateway menolak pesan');
+    }
+};
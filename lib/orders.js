@@ -0,0 +1,130 @@
+/**
+ * ORDER STATE MACHINE
+ * ===================
+ * Single place where order status changes happen. Every move is checked
+ * against TRANSITIONS, applied with an optimistic `status = from` guard so
+ * concurrent requests cannot both win, and written to `order_events`.
+ *
+ *   pending -> paid -> fulfilling -> completed
+ *                                 -> paid_failed -> (retry) -> paid / fulfilling
+ *   pending -> cancelled | expired
+ *   paid_failed -> cancelled   (admin gave up, money returned outside the system)
+ *   paid / paid_failed / completed -> refunded
+ */
+
+const crypto = require('crypto');
+
+const TRANSITIONS = {
+    pending: ['paid', 'cancelled', 'expired'],
+    paid: ['fulfilling', 'refunded'],
+    fulfilling: ['completed', 'paid_failed'],
+    paid_failed: ['paid', 'fulfilling', 'cancelled', 'refunded'],
+    completed: ['refunded'],
+    // Money can still land after the buyer cancelled or the QRIS expired
+    // (fulfillOrder ignores cancelled orders that were already paid once)
+    cancelled: ['paid'],
+    expired: ['paid'],
+    refunded: []
+};
+
+const ORDER_STATUSES = Object.keys(TRANSITIONS);
+
+class OrderStateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'OrderStateError';
+        this.status = 409;
+    }
+}
+
+// Server-minted order ID (never trust the client for this)
+function generateOrderId() {
+    return `TRX-${Date.now()}-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+}
+
+// Per-order secret handed to the buyer at checkout; only its SHA-256 is stored
+function generateOrderSecret() {
+    return crypto.randomBytes(16).toString('hex');
+}
+
+function hashOrderSecret(secret) {
+    return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+function verifyOrderSecret(order, secret) {
+    if (!order?.access_secret_hash || !secret) return false;
+    const expected = Buffer.from(order.access_secret_hash, 'hex');
+    const actual = Buffer.from(hashOrderSecret(secret), 'hex');
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Orders created before per-order secrets have no hash, and the checkout page
+ * their buyer still has open polls by order ID only. check-payment and cancel
+ * accept them without a secret while they are pending or for
+ * LEGACY_ACCESS_HOURS after checkout; after that only an admin can help.
+ */
+const LEGACY_ACCESS_HOURS = 24;
+
+function isLegacyOrder(order, now = Date.now()) {
+    if (!order || order.access_secret_hash) return false;
+    return order.status === 'pending' || now - new Date(order.created_at).getTime() < LEGACY_ACCESS_HOURS * 60 * 60 * 1000;
+}
+
+function canTransition(from, to) {
+    return (TRANSITIONS[from] || []).includes(to);
+}
+
+// Append a row to the order history; history must never break the main flow
+async function recordOrderEvent(supabase, orderId, fromStatus, toStatus, { actor = 'system', note = null } = {}) {
+    const { error } = await supabase.from('order_events').insert({
+        order_id: orderId,
+        from_status: fromStatus,
+        to_status: toStatus,
+        actor,
+        note
+    });
+    if (error) console.error(`[ORDER EVENT] Failed to record ${orderId} ${fromStatus} -> ${toStatus}:`, error.message);
+}
+
+/**
+ * Move `order` to `to`. `patch` holds extra columns written in the same update.
+ * Throws OrderStateError on an illegal move or when another request got there first.
+ */
+async function transitionOrder(supabase, order, to, { actor = 'system', note = null, patch = {} } = {}) {
+    const from = order.status;
+    if (!canTransition(from, to)) {
+        throw new OrderStateError(`Order ${order.id} tidak bisa berubah dari ${from} ke ${to}`);
+    }
+
+    const changes = { ...patch, status: to };
+    if (to === 'paid' && !order.paid_at) changes.paid_at = new Date();
+    if (to === 'completed') changes.fulfilled_at = new Date();
+
+    const { data: updated, error } = await supabase.from('orders')
+        .update(changes)
+        .eq('id', order.id)
+        .eq('status', from)
+        .select()
+        .maybeSingle();
+
+    if (error) throw error;
+    if (!updated) throw new OrderStateError(`Order ${order.id} sudah tidak berstatus ${from}`);
+
+    await recordOrderEvent(supabase, order.id, from, to, { actor, note });
+    return updated;
+}
+
+module.exports = {
+    ORDER_STATUSES,
+    TRANSITIONS,
+    OrderStateError,
+    generateOrderId,
+    generateOrderSecret,
+    hashOrderSecret,
+    verifyOrderSecret,
+    isLegacyOrder,
+    canTransition,
+    recordOrderEvent,
+    transitionOrder
+};
@@ -0,0 +1,343 @@
+/**
+ * PANEL SUBSCRIPTIONS
+ * ===================
+ * Tracks every provisioned panel (Pterodactyl user/server IDs + expiry) and
+ * enforces the lifecycle from the cron route:
+ *   active -> (reminder) -> suspended after expiry -> deleted after grace period
+ * Renewals extend the existing server instead of creating a new user.
+ *
+ * The customer panel area (order ID + secret) works on the subscription of
+ * the order: status & limits, password reset, and upgrades to a bigger panel
+ * package. An upgrade is an order for the bigger product with `upgrade_of`
+ * set; the buyer pays the price difference and the server is resized in place,
+ * keeping its expiry date.
+ */
+
+const {
+    deletePterodactylPanel,
+    setPterodactylSuspension,
+    productLimits,
+    getServer,
+    resetUserPassword,
+    updateServerLimits,
+    panelUrl
+} = require('./pterodactyl');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REMINDER_DAYS = parseInt(process.env.PANEL_REMINDER_DAYS || '3');
+const GRACE_DAYS = parseInt(process.env.PANEL_GRACE_DAYS || '3');
+
+class PanelError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'PanelError';
+        this.status = status;
+    }
+}
+
+// Subscription length of a panel product
+function getDurationDays(product) {
+    return parseInt(product?.meta?.duration_days) || 30;
+}
+
+// Save a freshly provisioned panel (a retried order reuses the row an earlier attempt saved)
+async function recordSubscription(supabase, order, product, panel) {
+    const { data: existing } = await supabase.from('panel_subscriptions')
+        .select('*')
+        .eq('order_id', order.id)
+        .eq('ptero_server_id', panel.server_id)
+        .maybeSingle();
+    if (existing) return existing;
+
+    const expiresAt = new Date(Date.now() + getDurationDays(product) * DAY_MS);
+
+    const { data, error } = await supabase.from('panel_subscriptions').insert({
+        order_id: order.id,
+        product_id: product.id || null,
+        username: panel.username,
+        ptero_user_id: panel.user_id,
+        ptero_server_id: panel.server_id,
+        expires_at: expiresAt.toISOString(),
+        status: 'active'
+    }).select().single();
+
+    if (error) throw error;
+    return data;
+}
+
+// Extend an existing subscription, reactivating the server if it was suspended
+async function renewSubscription(supabase, subscriptionId, product) {
+    const { data: sub, error } = await supabase.from('panel_subscriptions').select('*').eq('id', subscriptionId).single();
+    if (error || !sub) throw new Error(`Langganan panel ${subscriptionId} tidak ditemukan.`);
+    if (sub.status === 'deleted') throw new Error(`Panel ${sub.username} sudah dihapus, tidak bisa diperpanjang.`);
+
+    if (sub.status === 'suspended') {
+        await setPterodactylSuspension(sub.ptero_server_id, false);
+    }
+
+    // Extend from the current expiry when still running, otherwise from now
+    const base = Math.max(new Date(sub.expires_at).getTime(), Date.now());
+    const expiresAt = new Date(base + getDurationDays(product) * DAY_MS);
+
+    const { data: updated, error: updateError } = await supabase.from('panel_subscriptions').update({
+        expires_at: expiresAt.toISOString(),
+        status: 'active',
+        reminded_at: null,
+        suspended_at: null,
+        updated_at: new Date()
+    }).eq('id', sub.id).select().single();
+
+    if (updateError) throw updateError;
+    return updated;
+}
+
+// Find the renewable subscription for a panel username
+async function findRenewable(supabase, username) {
+    const { data } = await supabase.from('panel_subscriptions')
+        .select('*')
+        .eq('username', username)
+        .in('status', ['active', 'suspended'])
+        .order('expires_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+    return data;
+}
+
+// --- CUSTOMER PANEL AREA ---
+
+/**
+ * Subscription an order gives access to: the panel it bought, or upgraded from
+ * the panel area of that purchase. Renewals never do: anyone can open one for
+ * any username found through /api/panels/renewal.
+ */
+async function findForOrder(supabase, order) {
+    if (order.product_snapshot?.type !== 'panel' || order.status !== 'completed' || order.renewal_of) return null;
+    const query = supabase.from('panel_subscriptions').select('*');
+    const { data, error } = await (order.upgrade_of ? query.eq('id', order.upgrade_of) : query.eq('order_id', order.id))
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+    if (error) throw error;
+    return data && data.status !== 'deleted' ? data : null;
+}
+
+// Status, limits & expiry as shown to the buyer (server details stay null when the panel is unreachable)
+async function describe(sub) {
+    let server = null;
+    try {
+        server = await getServer(sub.ptero_server_id);
+    } catch (e) {
+        console.error(`[PANEL AREA] Server ${sub.ptero_server_id} lookup failed:`, e.message);
+    }
+    return {
+        subscription_id: sub.id,
+        username: sub.username,
+        status: sub.status,
+        expires_at: sub.expires_at,
+        panel_url: panelUrl(),
+        server: server && {
+            name: server.name,
+            state: server.suspended ? 'suspended' : (server.status || 'ready'),
+            limits: { memory: server.limits.memory, disk: server.limits.disk, cpu: server.limits.cpu },
+            feature_limits: server.feature_limits
+        }
+    };
+}
+
+// New panel password for the buyer; the original delivery is updated so "Cek Pesanan" shows it
+async function resetPassword(supabase, sub) {
+    if (sub.status !== 'active') throw new PanelError('Panel sedang disuspend, perpanjang dulu sebelum reset password', 409);
+    if (!sub.ptero_user_id) throw new PanelError('Panel ini belum terhubung ke akun Pterodactyl, hubungi admin', 409);
+
+    const password = await resetUserPassword(sub.ptero_user_id);
+    await supabase.from('panel_subscriptions').update({ password_reset_at: new Date(), updated_at: new Date() }).eq('id', sub.id);
+
+    const { data: delivery } = await supabase.from('deliveries')
+        .select('id, payload')
+        .eq('order_id', sub.order_id)
+        .eq('delivery_type', 'panel_credentials')
+        .maybeSingle();
+    if (delivery) {
+        const panelData = delivery.payload.panel_data && { ...delivery.payload.panel_data, password };
+        await supabase.from('deliveries')
+            .update({ payload: { ...delivery.payload, password, ...(panelData ? { panel_data: panelData } : {}) } })
+            .eq('id', delivery.id);
+    }
+    return password;
+}
+
+// `a` offers at least as much as `b` (0 = unlimited)
+function covers(a, b) {
+    if (a === 0) return true;
+    return b !== 0 && a >= b;
+}
+
+/**
+ * Active panel packages the subscription can move up to: more expensive and
+ * no resource smaller than the current package. `difference` is what the buyer pays.
+ */
+async function listUpgrades(supabase, sub) {
+    if (!sub.product_id) return { current: null, options: [] };
+    const { data: products, error } = await supabase.from('products')
+        .select('id, name, price, meta, features, active')
+        .eq('type', 'panel')
+        .order('price', { ascending: true });
+    if (error) throw error;
+
+    const current = products.find(p => p.id === sub.product_id) || null;
+    if (!current) return { current: null, options: [] };
+    const from = productLimits(current.meta, current.name);
+
+    const options = products
+        .filter(p => p.active && p.id !== current.id && Number(p.price) > Number(current.price))
+        .filter(p => {
+            const to = productLimits(p.meta, p.name);
+            return ['memory', 'disk', 'cpu'].every(key => covers(to[key], from[key]));
+        })
+        .map(p => ({
+            id: p.id,
+            name: p.name,
+            price: Number(p.price),
+            difference: Number(p.price) - Number(current.price),
+            features: p.features,
+            limits: productLimits(p.meta, p.name)
+        }));
+    return { current: { id: current.id, name: current.name, price: Number(current.price) }, options };
+}
+
+// The upgrade option for `productId`, or a PanelError when it is not one
+async function quoteUpgrade(supabase, sub, productId) {
+    if (sub.status !== 'active') throw new PanelError('Panel sedang disuspend, perpanjang dulu sebelum upgrade', 409);
+    const { current, options } = await listUpgrades(supabase, sub);
+    if (!current) throw new PanelError('Paket panel ini sudah tidak dijual, hubungi admin untuk upgrade', 409);
+    const option = options.find(o => o.id === productId);
+    if (!option) throw new PanelError('Paket tujuan upgrade tidak tersedia');
+    return { current, option };
+}
+
+/**
+ * Resize the subscription's server to `product` (paid upgrade order). Refuses
+ * when the panel moved to another package after the order was quoted, since
+ * the price difference no longer fits. Returns the updated subscription and
+ * what it had before, so a revoked upgrade can be undone.
+ */
+async function upgradeSubscription(supabase, subscriptionId, product, fromProductId) {
+    const { data: sub, error } = await supabase.from('panel_subscriptions').select('*').eq('id', subscriptionId).single();
+    if (error || !sub) throw new Error(`Langganan panel ${subscriptionId} tidak ditemukan.`);
+    if (sub.status === 'deleted') throw new Error(`Panel ${sub.username} sudah dihapus, tidak bisa di-upgrade.`);
+
+    const server = await getServer(sub.ptero_server_id);
+    const previous = {
+        product_id: sub.product_id,
+        limits: { memory: server.limits.memory, disk: server.limits.disk, cpu: server.limits.cpu },
+        feature_limits: server.feature_limits
+    };
+    // A retried order finds its own upgrade already applied
+    if (sub.product_id !== product.id) {
+        if (fromProductId && sub.product_id !== fromProductId) {
+            throw new Error(`Paket panel ${sub.username} sudah berubah sejak order upgrade dibuat.`);
+        }
+        await updateServerLimits(sub.ptero_server_id, {
+            ...productLimits(product.meta, product.name),
+            feature_limits: product.meta?.ptero?.feature_limits
+        });
+    }
+
+    const { data: updated, error: updateError } = await supabase.from('panel_subscriptions')
+        .update({ product_id: product.id, updated_at: new Date() })
+        .eq('id', sub.id)
+        .select()
+        .single();
+    if (updateError) throw updateError;
+    return { sub: updated, previous };
+}
+
+// Undo an upgrade (revoked upgrade order): old limits & package back
+async function revertUpgrade(supabase, subscriptionId, previous) {
+    const { data: sub } = await supabase.from('panel_subscriptions').select('*').eq('id', subscriptionId).maybeSingle();
+    if (!sub || sub.status === 'deleted') return;
+    await updateServerLimits(sub.ptero_server_id, { ...previous.limits, feature_limits: previous.feature_limits });
+    await supabase.from('panel_subscriptions')
+        .update({ product_id: previous.product_id, updated_at: new Date() })
+        .eq('id', sub.id);
+}
+
+/**
+ * Cron entry point. `notify(event, subscription)` is called for reminders,
+ * suspensions and deletions so the caller decides how buyers are told.
+ */
+async function runLifecycle(supabase, notify = async () => {}) {
+    const now = Date.now();
+    const summary = { reminded: 0, suspended: 0, deleted: 0, errors: [] };
+
+    // 1. Reminders for panels expiring soon
+    const { data: expiring } = await supabase.from('panel_subscriptions')
+        .select('*')
+        .eq('status', 'active')
+        .is('reminded_at', null)
+        .gt('expires_at', new Date(now).toISOString())
+        .lte('expires_at', new Date(now + REMINDER_DAYS * DAY_MS).toISOString());
+
+    for (const sub of expiring || []) {
+        try {
+            await notify('reminder', sub);
+            await supabase.from('panel_subscriptions').update({ reminded_at: new Date() }).eq('id', sub.id);
+            summary.reminded++;
+        } catch (e) {
+            summary.errors.push({ id: sub.id, step: 'reminder', error: e.message });
+        }
+    }
+
+    // 2. Suspend expired panels
+    const { data: expired } = await supabase.from('panel_subscriptions')
+        .select('*')
+        .eq('status', 'active')
+        .lte('expires_at', new Date(now).toISOString());
+
+    for (const sub of expired || []) {
+        try {
+            await setPterodactylSuspension(sub.ptero_server_id, true);
+            await supabase.from('panel_subscriptions').update({ status: 'suspended', suspended_at: new Date(), updated_at: new Date() }).eq('id', sub.id);
+            await notify('suspended', sub);
+            summary.suspended++;
+        } catch (e) {
+            summary.errors.push({ id: sub.id, step: 'suspend', error: e.message });
+        }
+    }
+
+    // 3. Delete panels past the grace period
+    const { data: overdue } = await supabase.from('panel_subscriptions')
+        .select('*')
+        .eq('status', 'suspended')
+        .lte('expires_at', new Date(now - GRACE_DAYS * DAY_MS).toISOString());
+
+    for (const sub of overdue || []) {
+        try {
+            await deletePterodactylPanel({ user_id: sub.ptero_user_id, server_id: sub.ptero_server_id });
+            await supabase.from('panel_subscriptions').update({ status: 'deleted', deleted_at: new Date(), updated_at: new Date() }).eq('id', sub.id);
+            await notify('deleted', sub);
+            summary.deleted++;
+        } catch (e) {
+            summary.errors.push({ id: sub.id, step: 'delete', error: e.message });
+        }
+    }
+
+    return summary;
+}
+
+module.exports = {
+    GRACE_DAYS,
+    PanelError,
+    getDurationDays,
+    recordSubscription,
+    renewSubscription,
+    findRenewable,
+    findForOrder,
+    describe,
+    resetPassword,
+    listUpgrades,
+    quoteUpgrade,
+    upgradeSubscription,
+    revertUpgrade,
+    runLifecycle
+};
@@ -0,0 +1,39 @@
+/**
+ * PAYMENT PROVIDER: RESELLER BALANCE
+ * Marks orders paid from a reseller's prepaid balance (POST /api/reseller/orders).
+ * There is no gateway: the debit happens in lib/resellers.js before the order
+ * moves to paid, so this provider is never offered at checkout and only
+ * answers status checks (expiry sweep, order polling).
+ */
+
+const PaymentError = require('./payment-error');
+
+function isConfigured() {
+    return false;
+}
+
+async function create() {
+    throw new PaymentError('Saldo reseller hanya bisa dipakai lewat API reseller');
+}
+
+async function status(order) {
+    return { status: order.paid_at ? 'paid' : 'pending', raw: null };
+}
+
+// Nothing to cancel; closing the order refunds the debit (see closeOrder in app.js)
+async function cancel() {}
+
+function verifyWebhook() {
+    throw new PaymentError('Saldo reseller tidak memiliki webhook', 404);
+}
+
+module.exports = {
+    name: 'balance',
+    label: 'Saldo Reseller',
+    methods: [{ code: 'balance', label: 'Saldo Reseller', kind: 'balance' }],
+    isConfigured,
+    create,
+    status,
+    cancel,
+    verifyWebhook
+};
@@ -0,0 +1,82 @@
+/**
+ * PAYMENT PROVIDERS
+ * =================
+ * Maps `orders.payment_provider` to a gateway module. Every provider exports:
+ * - name / label
+ * - methods: [{ code, label, kind: 'qris' | 'va' | 'ewallet' }]
+ * - isConfigured() -> boolean   (credentials present in .env)
+ * - create(order, { method }) -> { reference, method, kind, payment_number,
+ *   qr_string, pay_url, expires_at, raw }
+ * - status(order) -> { status: 'pending' | 'paid' | 'expired' | 'failed', raw }
+ * - cancel(order)   (best effort, gateways without a cancel API just let it expire)
+ * - verifyWebhook(req) -> order ID the notification is about (throws PaymentError)
+ *
+ * Webhook bodies are never trusted for the payment state: app.js re-queries
+ * status() with the amount stored on the order.
+ */
+
+const PaymentError = require('./payment-error');
+
+const providers = new Map();
+
+function registerProvider(provider) {
+    if (!provider || !provider.name || !Array.isArray(provider.methods) ||
+        ['isConfigured', 'create', 'status', 'cancel', 'verifyWebhook'].some(fn => typeof provider[fn] !== 'function')) {
+        throw new Error('Payment provider must provide name, methods, isConfigured(), create(), status(), cancel() and verifyWebhook()');
+    }
+    providers.set(provider.name, provider);
+}
+
+function getProvider(name) {
+    return providers.get(name) || null;
+}
+
+// Providers the checkout may offer, in registration order
+function listProviders() {
+    return Array.from(providers.values())
+        .filter(p => p.isConfigured())
+        .map(p => ({ name: p.name, label: p.label || p.name, methods: p.methods }));
+}
+
+// PAYMENT_DEFAULT_PROVIDER when usable, otherwise the first configured one
+function getDefaultProvider() {
+    const preferred = getProvider(process.env.PAYMENT_DEFAULT_PROVIDER);
+    if (preferred && preferred.isConfigured()) return preferred;
+    return Array.from(providers.values()).find(p => p.isConfigured()) || null;
+}
+
+// Checkout choice -> { provider, method }; throws PaymentError for anything not on offer
+function resolveCheckout(providerName, methodCode) {
+    const provider = providerName ? getProvider(providerName) : getDefaultProvider();
+    if (!provider || !provider.isConfigured()) throw new PaymentError('Metode pembayaran tidak tersedia');
+
+    const method = methodCode
+        ? provider.methods.find(m => m.code === methodCode)
+        : provider.methods[0];
+    if (!method) throw new PaymentError(`Metode ${methodCode} tidak tersedia di ${provider.label}`);
+    return { provider, method };
+}
+
+// Orders created before providers existed were all Pakasir QRIS
+function providerFor(order) {
+    const provider = getProvider(order?.payment_provider || 'pakasir');
+    if (!provider) throw new PaymentError(`Payment provider "${order?.payment_provider}" tidak dikenal`, 500);
+    return provider;
+}
+
+// Built-in providers
+registerProvider(require('./pakasir'));
+registerProvider(require('./tripay'));
+registerProvider(require('./sandbox'));
+registerProvider(require('./balance'));
+registerProvider(require('./manual'));
+
+module.exports = {
+    PaymentError,
+    registerProvider,
+    getProvider,
+    listProviders,
+    getDefaultProvider,
+    resolveCheckout,
+    providerFor
+};
@@ -0,0 +1,44 @@
+/**
+ * PAYMENT PROVIDER: MANUAL
+ * Orders an admin enters for buyers who paid outside the gateways (bank
+ * transfer, cash, ...) through POST /api/admin/orders/manual. The admin
+ * confirms the money before creating the order, so like the reseller
+ * balance it is never offered at checkout and only answers status checks.
+ */
+
+const PaymentError = require('./payment-error');
+
+function isConfigured() {
+    return false;
+}
+
+async function create() {
+    throw new PaymentError('Pembayaran manual hanya bisa dicatat dari panel admin');
+}
+
+async function status(order) {
+    return { status: order.paid_at ? 'paid' : 'pending', raw: null };
+}
+
+// Nothing was opened anywhere
+async function cancel() {}
+
+function verifyWebhook() {
+    throw new PaymentError('Pembayaran manual tidak memiliki webhook', 404);
+}
+
+module.exports = {
+    name: 'manual',
+    label: 'Pembayaran Manual',
+    methods: [
+        { code: 'bank_transfer', label: 'Transfer Bank', kind: 'manual' },
+        { code: 'ewallet', label: 'E-Wallet (DANA, OVO, GoPay, ...)', kind: 'manual' },
+        { code: 'cash', label: 'Tunai', kind: 'manual' },
+        { code: 'other', label: 'Lainnya', kind: 'manual' }
+    ],
+    isConfigured,
+    create,
+    status,
+    cancel,
+    verifyWebhook
+};
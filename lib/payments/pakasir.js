@@ -0,0 +1,86 @@
+/**
+ * PAYMENT PROVIDER: PAKASIR
+ * QRIS through app.pakasir.com (PAKASIR_SLUG + PAKASIR_API_KEY). Pakasir does
+ * not sign its webhook, so the notification only tells us which order to
+ * re-query.
+ */
+
+const axios = require('axios');
+const PaymentError = require('./payment-error');
+
+const API_URL = 'https://app.pakasir.com/api';
+
+// Pakasir statuses that mean the money has arrived
+const PAID_STATUSES = ['completed', 'paid', 'settlement'];
+
+function isConfigured() {
+    return !!(process.env.PAKASIR_SLUG && process.env.PAKASIR_API_KEY);
+}
+
+function credentials(order) {
+    return {
+        project: process.env.PAKASIR_SLUG,
+        order_id: order.id,
+        amount: parseInt(order.amount),
+        api_key: process.env.PAKASIR_API_KEY
+    };
+}
+
+async function create(order, { method }) {
+    const response = await axios.post(`${API_URL}/transactioncreate/${method.code}`, credentials(order), {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: 15000
+    });
+    const payment = response.data.payment || {};
+    return {
+        reference: order.id,
+        method: method.code,
+        kind: method.kind,
+        payment_number: payment.payment_number,
+        qr_string: method.kind === 'qris' ? payment.payment_number : null,
+        pay_url: null,
+        expires_at: payment.expired_at || null,
+        raw: payment
+    };
+}
+
+// Query Pakasir for the authoritative transaction state
+async function status(order) {
+    const { project, order_id, amount, api_key } = credentials(order);
+    const response = await axios.get(`${API_URL}/transactiondetail`, {
+        params: { project, amount, order_id, api_key },
+        timeout: 10000
+    });
+    const transaction = response.data?.transaction;
+    let state = 'pending';
+    if (PAID_STATUSES.includes(transaction?.status)) state = 'paid';
+    else if (['expired', 'canceled', 'cancelled'].includes(transaction?.status)) state = 'expired';
+    return { status: state, raw: transaction };
+}
+
+async function cancel(order) {
+    await axios.post(`${API_URL}/transactioncancel`, credentials(order), {
+        headers: { 'Content-Type': 'application/json' },
+        timeout: 10000
+    });
+}
+
+function verifyWebhook(req) {
+    const { order_id, project } = req.body || {};
+    if (!order_id) throw new PaymentError('order_id is required');
+    if (project && project !== process.env.PAKASIR_SLUG) {
+        throw new PaymentError(`Unknown project ${project}`);
+    }
+    return order_id;
+}
+
+module.exports = {
+    name: 'pakasir',
+    label: 'QRIS (Pakasir)',
+    methods: [{ code: 'qris', label: 'QRIS', kind: 'qris' }],
+    isConfigured,
+    create,
+    status,
+    cancel,
+    verifyWebhook
+};
@@ -0,0 +1,16 @@
+/**
+ * PAYMENT ERROR
+ * Thrown by providers for requests the gateway or the store refuses
+ * (unknown method, bad webhook signature). `status` is the HTTP code app.js
+ * answers with.
+ */
+
+class PaymentError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'PaymentError';
+        this.status = status;
+    }
+}
+
+module.exports = PaymentError;
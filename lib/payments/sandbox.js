@@ -0,0 +1,77 @@
+/**
+ * PAYMENT PROVIDER: SANDBOX
+ * Fake gateway for local development and tests (PAYMENT_SANDBOX=true). Nothing
+ * leaves the server: transactions live in memory until someone "pays" them
+ * with simulate(), which the checkout modal exposes as a button and
+ * POST /api/payments/sandbox/:orderId/:outcome exposes to scripts.
+ */
+
+const PaymentError = require('./payment-error');
+
+const OUTCOMES = ['paid', 'expired', 'failed'];
+
+// order ID -> { status, amount, created_at }
+const transactions = new Map();
+
+function isConfigured() {
+    return process.env.PAYMENT_SANDBOX === 'true';
+}
+
+async function create(order, { method }) {
+    transactions.set(order.id, { status: 'pending', amount: parseInt(order.amount), created_at: new Date().toISOString() });
+    const code = `SANDBOX-${order.id}`;
+    return {
+        reference: code,
+        method: method.code,
+        kind: method.kind,
+        payment_number: code,
+        qr_string: code,
+        pay_url: null,
+        expires_at: null,
+        raw: { sandbox: true }
+    };
+}
+
+async function status(order) {
+    const transaction = transactions.get(order.id);
+    return { status: transaction ? transaction.status : 'pending', raw: transaction || null };
+}
+
+async function cancel(order) {
+    const transaction = transactions.get(order.id);
+    if (transaction && transaction.status === 'pending') transaction.status = 'expired';
+}
+
+// Sandbox notifications carry no secret, so they are refused unless the sandbox is on
+function verifyWebhook(req) {
+    if (!isConfigured()) throw new PaymentError('Sandbox payment is disabled', 404);
+    const orderId = req.body?.order_id;
+    if (!orderId) throw new PaymentError('order_id is required');
+    return orderId;
+}
+
+// Settle a sandbox transaction as if the buyer paid (or it ran out)
+function simulate(order, outcome = 'paid') {
+    if (!isConfigured()) throw new PaymentError('Sandbox payment is disabled', 404);
+    if (!OUTCOMES.includes(outcome)) throw new PaymentError(`Outcome harus salah satu dari: ${OUTCOMES.join(', ')}`);
+
+    // Orders from before a restart are unknown to the in-memory store; trust the stored amount
+    const transaction = transactions.get(order.id) || { amount: parseInt(order.amount), created_at: new Date().toISOString() };
+    transaction.status = outcome;
+    transaction.settled_at = new Date().toISOString();
+    transactions.set(order.id, transaction);
+    return transaction;
+}
+
+module.exports = {
+    name: 'sandbox',
+    label: 'Sandbox (Simulasi)',
+    methods: [{ code: 'qris', label: 'QRIS Simulasi', kind: 'qris' }],
+    OUTCOMES,
+    isConfigured,
+    create,
+    status,
+    cancel,
+    verifyWebhook,
+    simulate
+};
@@ -0,0 +1,114 @@
+/**
+ * PAYMENT PROVIDER: TRIPAY
+ * Virtual accounts and e-wallets through Tripay closed payments
+ * (TRIPAY_API_KEY, TRIPAY_PRIVATE_KEY, TRIPAY_MERCHANT_CODE). TRIPAY_MODE=sandbox
+ * points at the Tripay simulator. Callbacks are signed with an HMAC-SHA256 of
+ * the raw body (X-Callback-Signature), which is why app.js keeps req.rawBody.
+ */
+
+const axios = require('axios');
+const crypto = require('crypto');
+const PaymentError = require('./payment-error');
+
+const METHODS = [
+    { code: 'BRIVA', label: 'BRI Virtual Account', kind: 'va' },
+    { code: 'BNIVA', label: 'BNI Virtual Account', kind: 'va' },
+    { code: 'MANDIRIVA', label: 'Mandiri Virtual Account', kind: 'va' },
+    { code: 'PERMATAVA', label: 'Permata Virtual Account', kind: 'va' },
+    { code: 'QRIS', label: 'QRIS', kind: 'qris' },
+    { code: 'OVO', label: 'OVO', kind: 'ewallet' },
+    { code: 'DANA', label: 'DANA', kind: 'ewallet' },
+    { code: 'SHOPEEPAY', label: 'ShopeePay', kind: 'ewallet' }
+];
+
+// Minutes before an unpaid Tripay transaction expires
+const EXPIRY_MINUTES = 60;
+
+function isConfigured() {
+    return !!(process.env.TRIPAY_API_KEY && process.env.TRIPAY_PRIVATE_KEY && process.env.TRIPAY_MERCHANT_CODE);
+}
+
+function apiUrl() {
+    return process.env.TRIPAY_MODE === 'sandbox' ? 'https://tripay.co.id/api-sandbox' : 'https://tripay.co.id/api';
+}
+
+function hmac(data) {
+    return crypto.createHmac('sha256', process.env.TRIPAY_PRIVATE_KEY || '').update(data).digest('hex');
+}
+
+function headers() {
+    return { Authorization: `Bearer ${process.env.TRIPAY_API_KEY}` };
+}
+
+async function create(order, { method }) {
+    const amount = parseInt(order.amount);
+    const productName = order.product_snapshot?.name || 'Order';
+    let response;
+    try {
+        response = await axios.post(`${apiUrl()}/transaction/create`, {
+            method: method.code,
+            merchant_ref: order.id,
+            amount,
+            customer_name: order.customer_username || 'Pembeli',
+            // Tripay requires an email; buyers may skip it at checkout
+            customer_email: order.customer_email || process.env.TRIPAY_FALLBACK_EMAIL,
+            customer_phone: order.customer_whatsapp || undefined,
+            order_items: [{ name: productName, price: amount, quantity: 1 }],
+            expired_time: Math.floor(Date.now() / 1000) + EXPIRY_MINUTES * 60,
+            signature: hmac(process.env.TRIPAY_MERCHANT_CODE + order.id + amount)
+        }, { headers: headers(), timeout: 15000 });
+    } catch (e) {
+        throw new Error(`Tripay: ${e.response?.data?.message || e.message}`);
+    }
+
+    const data = response.data?.data || {};
+    return {
+        reference: data.reference,
+        method: method.code,
+        kind: method.kind,
+        payment_number: data.pay_code || null,
+        qr_string: data.qr_string || null,
+        pay_url: data.pay_url || data.checkout_url || null,
+        expires_at: data.expired_time ? new Date(data.expired_time * 1000).toISOString() : null,
+        raw: data
+    };
+}
+
+async function status(order) {
+    if (!order.payment_reference) return { status: 'pending', raw: null };
+    const response = await axios.get(`${apiUrl()}/transaction/detail`, {
+        params: { reference: order.payment_reference },
+        headers: headers(),
+        timeout: 10000
+    });
+    const transaction = response.data?.data;
+    const states = { PAID: 'paid', EXPIRED: 'expired', FAILED: 'failed', REFUND: 'failed' };
+    return { status: states[transaction?.status] || 'pending', raw: transaction };
+}
+
+// Tripay has no cancel endpoint for closed payments, the transaction simply expires
+async function cancel() {}
+
+function verifyWebhook(req) {
+    const signature = String(req.headers['x-callback-signature'] || '');
+    const expected = hmac(req.rawBody || '');
+    const valid = signature.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+    if (!valid) throw new PaymentError('Invalid callback signature', 401);
+    if (req.headers['x-callback-event'] !== 'payment_status') throw new PaymentError('Unsupported callback event');
+
+    const orderId = req.body?.merchant_ref;
+    if (!orderId) throw new PaymentError('merchant_ref is required');
+    return orderId;
+}
+
+module.exports = {
+    name: 'tripay',
+    label: 'Virtual Account & E-Wallet (Tripay)',
+    methods: METHODS,
+    isConfigured,
+    create,
+    status,
+    cancel,
+    verifyWebhook
+};
@@ -0,0 +1,132 @@
+/**
+ * SCRIPT VERSIONS
+ * ===============
+ * Script (sc) products keep every uploaded release in `product_versions`
+ * (file, changelog, date):
+ *
+ *   draft (uploaded) -> published (downloaded by every buyer, past buyers notified)
+ *
+ * The latest published version is what /download/:token serves, for old and
+ * new orders alike ("Free Update Lifetime"). Publishing also points the
+ * product's `meta.file_path` at the new file.
+ */
+
+// Buyers notified in parallel when an update is published
+const NOTIFY_BATCH_SIZE = 10;
+
+class VersionError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'VersionError';
+        this.status = status;
+    }
+}
+
+async function listVersions(supabase, productId) {
+    const { data, error } = await supabase.from('product_versions')
+        .select('*')
+        .eq('product_id', productId)
+        .order('created_at', { ascending: false });
+    if (error) throw error;
+    return data;
+}
+
+async function getLatestVersion(supabase, productId) {
+    const { data, error } = await supabase.from('product_versions')
+        .select('*')
+        .eq('product_id', productId)
+        .not('published_at', 'is', null)
+        .order('published_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+    if (error) throw error;
+    return data;
+}
+
+// Save an uploaded file (path from /api/admin/upload) as a draft version
+async function addVersion(supabase, product, { version, file_path, changelog }, createdBy = null) {
+    if (product.type !== 'sc') throw new VersionError('Versi hanya untuk produk script (sc)');
+    const name = String(version || '').trim();
+    if (!name) throw new VersionError('Nomor versi wajib diisi');
+    if (!file_path) throw new VersionError('Upload file versi ini terlebih dahulu');
+
+    const { data, error } = await supabase.from('product_versions').insert({
+        product_id: product.id,
+        version: name,
+        file_path,
+        changelog: String(changelog || '').trim() || null,
+        created_by: createdBy
+    }).select().single();
+    if (error) {
+        if (error.code === '23505') throw new VersionError(`Versi ${name} sudah ada`, 409);
+        throw error;
+    }
+    return data;
+}
+
+// Make a draft the version buyers download
+async function publishVersion(supabase, product, versionId) {
+    const { data: version, error } = await supabase.from('product_versions')
+        .update({ published_at: new Date() })
+        .eq('id', versionId)
+        .eq('product_id', product.id)
+        .is('published_at', null)
+        .select()
+        .maybeSingle();
+    if (error) throw error;
+    if (!version) throw new VersionError('Versi tidak ditemukan atau sudah dipublish', 409);
+
+    const meta = { ...(product.meta || {}), file_path: version.file_path, latest_version: version.version };
+    const { error: productError } = await supabase.from('products').update({ meta }).eq('id', product.id);
+    if (productError) throw productError;
+    return version;
+}
+
+// One completed order per buyer (same contacts = same buyer), newest first
+async function findPastBuyers(supabase, productId) {
+    const { data, error } = await supabase.from('orders')
+        .select('*')
+        .eq('product_id', productId)
+        .eq('status', 'completed')
+        .order('created_at', { ascending: false })
+        .limit(2000);
+    if (error) throw error;
+
+    const seen = new Set();
+    return data.filter(order => {
+        const key = [order.customer_whatsapp, order.customer_email, order.customer_telegram_chat_id].join('|');
+        if (key === '||' || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * Send `notify(order)` to every past buyer of the product and record the
+ * count on the version. `notify` resolves to the channel results of
+ * notifications.notifyCustomer and never throws.
+ */
+async function notifyBuyers(supabase, version, notify) {
+    const buyers = await findPastBuyers(supabase, version.product_id);
+    let notified = 0;
+    for (let i = 0; i < buyers.length; i += NOTIFY_BATCH_SIZE) {
+        const results = await Promise.all(buyers.slice(i, i + NOTIFY_BATCH_SIZE).map(notify));
+        notified += results.filter(r => (r || []).some(x => x.ok)).length;
+    }
+
+    const { error } = await supabase.from('product_versions')
+        .update({ notified_at: new Date(), notified_count: notified })
+        .eq('id', version.id);
+    if (error) console.error(`[VERSIONS] Failed to record notifications for ${version.id}:`, error.message);
+    return { buyers: buyers.length, notified };
+}
+
+module.exports = {
+    VersionError,
+    listVersions,
+    getLatestVersion,
+    addVersion,
+    publishVersion,
+    findPastBuyers,
+    notifyBuyers
+};
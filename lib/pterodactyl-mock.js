@@ -0,0 +1,201 @@
+/**
+ * PTERODACTYL TRANSPORT: MOCK
+ * Local testing (PT_TRANSPORT=mock, or DATA_BACKEND=local without PT_DOMAIN):
+ * the Application API calls of lib/pterodactyl.js are answered by an
+ * in-memory panel instead of a real one. It knows one location, one node with
+ * free ports and the default egg (PT_NEST_ID / PT_EGG_ID), and keeps the users
+ * and servers panel orders create until the process exits.
+ *
+ * Responses and errors have the Application API's shape ({ attributes },
+ * lists with pagination, `e.response.status` 404 / 409 / 422), so the
+ * provisioning, cleanup and customer panel code runs unchanged.
+ */
+
+const PANEL_URL = 'http://panel.localhost';
+const PORTS = 20;
+
+let state = null;
+
+function reset() {
+    const nestId = parseInt(process.env.PT_NEST_ID || 5);
+    const eggId = parseInt(process.env.PT_EGG_ID || 15);
+    state = {
+        nextId: 1,
+        locations: [{ id: parseInt(process.env.PT_LOCATION_ID || 1), short: 'local', long: 'Mock Location' }],
+        nodes: [{ id: 1, name: 'mock-node', memory: 65536, memory_overallocate: 0, disk: 524288, disk_overallocate: 0, maintenance_mode: false }],
+        allocations: Array.from({ length: PORTS }, (_, i) => ({ id: i + 1, node: 1, ip: '127.0.0.1', port: 25565 + i })),
+        nests: [{ id: nestId, name: 'Mock Nest', eggs: [{ id: eggId, nest: nestId, name: 'Node.js Bot', docker_image: 'ghcr.io/parkervcp/yolks:nodejs_18', startup: 'npm start', variables: [] }] }],
+        users: [],
+        servers: []
+    };
+    state.nodes[0].location_id = state.locations[0].id;
+}
+
+// Error as axios reports an HTTP error response
+function apiError(status, detail) {
+    const error = new Error(`Request failed with status code ${status}`);
+    error.response = { status, data: { errors: [{ code: String(status), status: String(status), detail }] } };
+    return error;
+}
+
+function item(object, attributes) {
+    return { object, attributes };
+}
+
+function list(object, items) {
+    return { object: 'list', data: items.map(a => item(object, a)), meta: { pagination: { total: items.length, current_page: 1, total_pages: 1 } } };
+}
+
+function nodeAttributes(node) {
+    const servers = state.servers.filter(s => s.node === node.id);
+    return {
+        ...node,
+        allocated_resources: {
+            memory: servers.reduce((sum, s) => sum + s.limits.memory, 0),
+            disk: servers.reduce((sum, s) => sum + s.limits.disk, 0)
+        }
+    };
+}
+
+function findById(collection, id, kind) {
+    const found = collection.find(entry => entry.id === parseInt(id));
+    if (!found) throw apiError(404, `The requested ${kind} could not be located.`);
+    return found;
+}
+
+function createUser(body) {
+    if (state.users.some(u => u.username === body.username || u.email === body.email)) {
+        throw apiError(422, 'The username or email has already been taken.');
+    }
+    const { password, ...fields } = body;
+    const user = { ...fields, id: state.nextId++, root_admin: false, created_at: new Date().toISOString() };
+    state.users.push(user);
+    console.log(`[PTERODACTYL:MOCK] user ${user.id} (${user.username}) created`);
+    return user;
+}
+
+function createServer(body) {
+    findById(state.users, body.user, 'user');
+    const allocation = findById(state.allocations, body.allocation?.default, 'allocation');
+    if (allocation.assigned) throw apiError(422, 'The allocation is already in use.');
+    allocation.assigned = true;
+
+    const server = {
+        id: state.nextId++,
+        identifier: Math.random().toString(16).slice(2, 10),
+        external_id: body.external_id || null,
+        name: body.name,
+        user: body.user,
+        node: allocation.node,
+        allocation: allocation.id,
+        egg: body.egg,
+        container: { image: body.docker_image, startup_command: body.startup, environment: body.environment },
+        limits: { threads: null, ...body.limits },
+        feature_limits: body.feature_limits,
+        suspended: false,
+        status: null
+    };
+    state.servers.push(server);
+    console.log(`[PTERODACTYL:MOCK] server ${server.id} (${server.name}) created on port ${allocation.port}`);
+    return server;
+}
+
+function deleteServer(server) {
+    state.servers = state.servers.filter(s => s !== server);
+    const allocation = state.allocations.find(a => a.id === server.allocation);
+    if (allocation) allocation.assigned = false;
+    console.log(`[PTERODACTYL:MOCK] server ${server.id} deleted`);
+}
+
+function deleteUser(user) {
+    if (state.servers.some(s => s.user === user.id)) throw apiError(409, 'Cannot delete a user with active servers attached to their account.');
+    state.users = state.users.filter(u => u !== user);
+    console.log(`[PTERODACTYL:MOCK] user ${user.id} deleted`);
+}
+
+/**
+ * Answer one Application API call: `path` as after /api/application
+ * (query string included). Resolves to the response body.
+ */
+async function request(method, path, body = {}) {
+    if (!state) reset();
+    const url = new URL(path, PANEL_URL);
+    const parts = url.pathname.split('/').filter(Boolean);
+    const route = `${method.toUpperCase()} /${parts.map((p, i) => (i % 2 && /^\d+$/.test(p) ? ':id' : p)).join('/')}`;
+
+    switch (route) {
+        case 'GET /nests':
+            return list('nest', state.nests.map(n => ({
+                id: n.id, name: n.name, relationships: { eggs: list('egg', n.eggs) }
+            })));
+        case 'GET /nests/:id/eggs/:id': {
+            const egg = findById(findById(state.nests, parts[1], 'nest').eggs, parts[3], 'egg');
+            return item('egg', { ...egg, relationships: { variables: list('egg_variable', egg.variables) } });
+        }
+        case 'GET /locations':
+            return list('location', state.locations);
+        case 'GET /nodes':
+            return list('node', state.nodes.map(nodeAttributes));
+        case 'GET /nodes/:id/allocations':
+            return list('allocation', state.allocations
+                .filter(a => a.node === parseInt(parts[1]))
+                .map(a => ({ ...a, assigned: !!a.assigned })));
+        case 'GET /users': {
+            const username = url.searchParams.get('filter[username]');
+            return list('user', state.users.filter(u => !username || u.username === username));
+        }
+        case 'POST /users':
+            return item('user', createUser(body));
+        case 'GET /users/:id':
+            return item('user', findById(state.users, parts[1], 'user'));
+        case 'PATCH /users/:id': {
+            const user = findById(state.users, parts[1], 'user');
+            const { password, ...fields } = body;
+            Object.assign(user, fields);
+            return item('user', user);
+        }
+        case 'DELETE /users/:id':
+            deleteUser(findById(state.users, parts[1], 'user'));
+            return null;
+        case 'POST /servers':
+            return item('server', createServer(body));
+        case 'GET /servers/:id':
+            return item('server', findById(state.servers, parts[1], 'server'));
+        case 'DELETE /servers/:id':
+            deleteServer(findById(state.servers, parts[1], 'server'));
+            return null;
+        case 'POST /servers/:id/suspend':
+        case 'POST /servers/:id/unsuspend':
+            findById(state.servers, parts[1], 'server').suspended = parts[2] === 'suspend';
+            return null;
+        case 'PATCH /servers/:id/build': {
+            const server = findById(state.servers, parts[1], 'server');
+            const { allocation, feature_limits, ...limits } = body;
+            server.limits = { ...server.limits, ...limits };
+            server.feature_limits = feature_limits || server.feature_limits;
+            return item('server', server);
+        }
+    }
+
+    // external_id lookups: /users/external/<id>, /servers/external/<id>
+    if (method.toUpperCase() === 'GET' && parts[1] === 'external' && ['users', 'servers'].includes(parts[0])) {
+        const externalId = decodeURIComponent(parts.slice(2).join('/'));
+        const found = state[parts[0]].find(entry => entry.external_id === externalId);
+        if (!found) throw apiError(404, `The requested ${parts[0].slice(0, -1)} could not be located.`);
+        return item(parts[0].slice(0, -1), found);
+    }
+    throw apiError(404, `Mock Pterodactyl tidak mendukung ${method.toUpperCase()} ${url.pathname}`);
+}
+
+// Users & servers the mock panel holds right now (tests, debugging)
+function getState() {
+    if (!state) reset();
+    return { users: state.users.slice(), servers: state.servers.slice() };
+}
+
+module.exports = {
+    PANEL_URL,
+    request,
+    reset,
+    getState
+};
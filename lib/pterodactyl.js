@@ -0,0 +1,426 @@
+/**
+ * PTERODACTYL INTEGRATION
+ * =======================
+ * Application API helpers used by the panel fulfillment handler.
+ *
+ * Server settings come from `products.meta.ptero` (all optional):
+ *   nest_id, egg_id, docker_image, startup, environment { VAR: value },
+ *   feature_limits { databases, backups, allocations }, io, swap,
+ *   location_ids [..], node_ids [..]
+ * Missing values fall back to the PT_* env vars and the legacy Node.js bot
+ * setup, or to the egg's own defaults when a different egg is selected.
+ *
+ * Provisioning is tracked per order (`orders.provisioning`):
+ *   {} -> user_created -> server_created   (rolled_back after cleanup)
+ * The state holds IDs and names only, never the password: a retry that
+ * resumes after the user was created gives it a new one.
+ * Users and servers are tagged with the order ID as `external_id`, so a
+ * retry or a cleanup can still find them when the state was never saved.
+ *
+ * The customer panel area reads a server (getServer), gives its owner a new
+ * password (resetUserPassword) and resizes it after an upgrade (updateServerLimits).
+ *
+ * Every call goes through apiRequest(): to PT_DOMAIN, or to the in-memory
+ * panel of ./pterodactyl-mock.js for offline development (PT_TRANSPORT=mock,
+ * or DATA_BACKEND=local without PT_DOMAIN).
+ */
+
+const axios = require('axios');
+const mock = require('./pterodactyl-mock');
+
+// What every panel used before per-product config existed
+const LEGACY_SERVER = {
+  docker_image: 'ghcr.io/parkervcp/yolks:nodejs_18',
+  startup: 'npm start',
+  environment: { INST: 'npm', USER_UPLOAD: '0', AUTO_UPDATE: '0', CMD_RUN: 'npm start' }
+};
+const DEFAULT_FEATURE_LIMITS = { databases: 5, backups: 5, allocations: 5 };
+
+function isMock() {
+  return process.env.PT_TRANSPORT === 'mock' || (process.env.DATA_BACKEND === 'local' && !process.env.PT_DOMAIN);
+}
+
+// Panel address shown to buyers in deliveries
+function panelUrl() {
+  return process.env.PT_DOMAIN || (isMock() ? mock.PANEL_URL : undefined);
+}
+
+function apiHeaders() {
+  return { 'Authorization': `Bearer ${process.env.PT_API_KEY}`, 'Accept': 'application/json', 'Content-Type': 'application/json' };
+}
+
+// Application API call (`path` after /api/application); resolves to the response body
+async function apiRequest(method, path, data = undefined, timeout = 15000) {
+  if (isMock()) return mock.request(method, path, data);
+  const res = await axios({ method, url: `${process.env.PT_DOMAIN}/api/application${path}`, data, headers: apiHeaders(), timeout });
+  return res.data;
+}
+
+function apiGet(path, timeout = 15000) {
+  return apiRequest('get', path, undefined, timeout);
+}
+
+// Follow Application API pagination and return every item's attributes
+async function listAll(path) {
+  const items = [];
+  const sep = path.includes('?') ? '&' : '?';
+  for (let page = 1; ; page++) {
+    const data = await apiGet(`${path}${sep}per_page=100&page=${page}`);
+    items.push(...data.data.map(d => d.attributes));
+    const totalPages = data.meta?.pagination?.total_pages || 1;
+    if (page >= totalPages) return items;
+  }
+}
+
+// Attributes of the user / server tagged with `externalId`, null when there is none
+async function findByExternalId(kind, externalId) {
+  try {
+    const data = await apiGet(`/${kind}/external/${encodeURIComponent(externalId)}`, 10000);
+    return data.attributes;
+  } catch (e) {
+    if (e.response?.status === 404) return null;
+    throw e;
+  }
+}
+
+// DELETE that treats "already gone" as done, so cleanups can be repeated
+async function apiDelete(path) {
+  try {
+    await apiRequest('delete', path);
+  } catch (e) {
+    if (e.response?.status !== 404) throw e;
+  }
+}
+
+function toIdList(value) {
+  const list = Array.isArray(value) ? value : (value !== undefined && value !== null && value !== '' ? [value] : []);
+  return list.map(v => parseInt(v)).filter(v => !Number.isNaN(v));
+}
+
+// --- Catalog browsing (admin product editor) ---
+
+async function listNests() {
+  const nests = await listAll('/nests?include=eggs');
+  return nests.map(n => ({
+    id: n.id,
+    name: n.name,
+    eggs: (n.relationships?.eggs?.data || []).map(e => ({ id: e.attributes.id, name: e.attributes.name }))
+  }));
+}
+
+async function getEgg(nestId, eggId) {
+  const data = await apiGet(`/nests/${parseInt(nestId)}/eggs/${parseInt(eggId)}?include=variables`);
+  const egg = data.attributes;
+  return {
+    id: egg.id,
+    nest_id: egg.nest,
+    name: egg.name,
+    docker_image: egg.docker_image,
+    docker_images: egg.docker_images || (egg.docker_image ? { [egg.docker_image]: egg.docker_image } : {}),
+    startup: egg.startup,
+    variables: (egg.relationships?.variables?.data || []).map(v => ({
+      name: v.attributes.name,
+      env_variable: v.attributes.env_variable,
+      default_value: v.attributes.default_value,
+      rules: v.attributes.rules,
+      user_editable: v.attributes.user_editable
+    }))
+  };
+}
+
+async function listLocations() {
+  const locations = await listAll('/locations');
+  return locations.map(l => ({ id: l.id, short: l.short, long: l.long }));
+}
+
+// Nodes with their remaining memory / disk (overallocation included)
+async function listNodes() {
+  const nodes = await listAll('/nodes');
+  return nodes.map(n => {
+    const memoryLimit = n.memory * (1 + (n.memory_overallocate > 0 ? n.memory_overallocate : 0) / 100);
+    const diskLimit = n.disk * (1 + (n.disk_overallocate > 0 ? n.disk_overallocate : 0) / 100);
+    const allocated = n.allocated_resources || { memory: 0, disk: 0 };
+    return {
+      id: n.id,
+      name: n.name,
+      location_id: n.location_id,
+      maintenance_mode: !!n.maintenance_mode,
+      // Negative overallocation means "no limit" in Pterodactyl
+      free_memory: n.memory_overallocate < 0 ? Infinity : Math.floor(memoryLimit - allocated.memory),
+      free_disk: n.disk_overallocate < 0 ? Infinity : Math.floor(diskLimit - allocated.disk)
+    };
+  });
+}
+
+// --- Provisioning ---
+
+/**
+ * Pick the allowed node with the most free memory that still fits the server,
+ * then a free allocation (port) on it.
+ */
+async function selectNodeAllocation({ location_ids, node_ids, memory, disk }) {
+  const nodes = (await listNodes()).filter(n =>
+    !n.maintenance_mode &&
+    (!node_ids.length || node_ids.includes(n.id)) &&
+    (!location_ids.length || location_ids.includes(n.location_id)) &&
+    n.free_memory >= memory &&
+    n.free_disk >= disk
+  );
+  nodes.sort((a, b) => b.free_memory - a.free_memory || b.free_disk - a.free_disk);
+
+  for (const node of nodes) {
+    const allocations = await listAll(`/nodes/${node.id}/allocations`);
+    const free = allocations.find(a => !a.assigned);
+    if (free) return { node, allocation_id: free.id };
+  }
+  throw new Error('Tidak ada node Pterodactyl dengan kapasitas & port kosong untuk paket ini.');
+}
+
+// Egg, image, startup & environment for a product (see header for the meta.ptero fields)
+async function resolveServerConfig(ptero = {}) {
+  const nestId = parseInt(ptero.nest_id || process.env.PT_NEST_ID || 5);
+  const eggId = parseInt(ptero.egg_id || process.env.PT_EGG_ID || 15);
+  const isDefaultEgg = eggId === parseInt(process.env.PT_EGG_ID || 15);
+
+  let base = LEGACY_SERVER;
+  if (!isDefaultEgg && (!ptero.docker_image || !ptero.startup)) {
+    const egg = await getEgg(nestId, eggId);
+    base = {
+      docker_image: egg.docker_image || Object.values(egg.docker_images)[0],
+      startup: egg.startup,
+      environment: Object.fromEntries(egg.variables.map(v => [v.env_variable, v.default_value ?? '']))
+    };
+  }
+
+  const locationIds = toIdList(ptero.location_ids);
+  return {
+    egg: eggId,
+    docker_image: ptero.docker_image || base.docker_image,
+    startup: ptero.startup || base.startup,
+    environment: { ...base.environment, ...(ptero.environment || {}) },
+    feature_limits: { ...DEFAULT_FEATURE_LIMITS, ...(ptero.feature_limits || {}) },
+    io: parseInt(ptero.io) || 500,
+    swap: parseInt(ptero.swap) || 0,
+    location_ids: locationIds.length ? locationIds : toIdList(process.env.PT_LOCATION_ID || 1),
+    node_ids: toIdList(ptero.node_ids)
+  };
+}
+
+// One meta limit; the editor saves numbers, older products strings ('0', 'UNLIMITED' / 'MAX')
+function limitValue(value, unlimitedWord) {
+  if (value === unlimitedWord || (value !== null && value !== '' && Number(value) === 0)) return 0;
+  return parseInt(value);
+}
+
+// RAM / disk / CPU of a panel product (MB, MB, %; 0 = unlimited)
+function productLimits(product_meta, product_name) {
+  if (product_meta && product_meta.ram !== undefined && product_meta.ram !== null && product_meta.ram !== '') {
+    // Values are MB, as entered in the admin product editor
+    return {
+      memory: limitValue(product_meta.ram, 'UNLIMITED'),
+      disk: limitValue(product_meta.disk, 'UNLIMITED'),
+      cpu: limitValue(product_meta.cpu, 'MAX')
+    };
+  }
+  // Fallback Legacy (Safe defaults)
+  if (product_name && product_name.includes('UNLIMITED')) return { memory: 0, disk: 0, cpu: 0 };
+  return { memory: 1024, disk: 2048, cpu: 100 };
+}
+
+// Generate Random Password for Panels
+function generatePassword() {
+  const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+  let password = '';
+  for (let i = 0; i < 10; i++) {
+    password += chars.charAt(Math.floor(Math.random() * chars.length));
+  }
+  return password;
+}
+
+/**
+ * Create Pterodactyl user + server for a panel order, one tracked step at a time.
+ *
+ * `orderData.provisioning` is whatever a previous attempt left behind and
+ * `save(state)` is awaited after every step, so a retry resumes from the last
+ * completed step instead of failing on its own user ("sudah terdaftar").
+ */
+async function createRealPterodactylPanel(orderData, save = async () => {}) {
+  const { order_id, username, product_name, product_meta } = orderData;
+  const PT_DOMAIN = panelUrl();
+
+  // Older attempts saved the password too; it is never kept (admins can read orders.provisioning)
+  let state = { ...(orderData.provisioning || {}) };
+  delete state.password;
+  let password = null;
+  const saveStep = async (changes) => {
+    state = { ...state, ...changes, updated_at: new Date().toISOString() };
+    await save(state);
+  };
+
+  const email = `${username}@ipin.market`;
+  const name = username.charAt(0).toUpperCase() + username.slice(1) + ' Server';
+
+  // Determine Specs
+  const { memory: ram, disk, cpu } = productLimits(product_meta, product_name);
+
+  // Retried under another username (admin override): the old user has to go first
+  if (state.user_id && state.username !== username) {
+    if (state.server_id) throw new Error(`Panel order ini sudah dibuat dengan username ${state.username}.`);
+    await apiDelete(`/users/${state.user_id}`);
+    await saveStep({ step: null, user_id: null, username: null });
+  }
+
+  // Resolve egg / image / node before touching users, so a bad config fails early
+  let config, placement;
+  if (!state.server_id) {
+    config = await resolveServerConfig(product_meta?.ptero);
+    placement = await selectNodeAllocation({ ...config, memory: parseInt(ram), disk: parseInt(disk) });
+  }
+
+  // 1. User: adopt one an unsaved attempt left behind, otherwise create it
+  if (!state.user_id) {
+    const tagged = order_id ? await findByExternalId('users', order_id) : null;
+    if (tagged && tagged.username !== username) await apiDelete(`/users/${tagged.id}`);
+
+    password = generatePassword();
+    let user;
+    if (tagged && tagged.username === username) {
+      // Its password was never saved, give it a new one
+      const res = await apiRequest('patch', `/users/${tagged.id}`,
+        { email: tagged.email, username, first_name: tagged.first_name, last_name: tagged.last_name, password });
+      user = res.attributes;
+    } else {
+      const checkUserRes = await apiGet(`/users?filter[username]=${encodeURIComponent(username)}`, 10000);
+      if (checkUserRes.data && checkUserRes.data.length > 0) {
+        throw new Error(`Username ${username} sudah terdaftar.`);
+      }
+
+      const userRes = await apiRequest('post', '/users',
+        { email, username, first_name: name, last_name: 'User', language: 'en', password, external_id: order_id });
+      user = userRes.attributes;
+    }
+    await saveStep({ step: 'user_created', user_id: user.id, username: user.username });
+  }
+
+  // 2. Server
+  if (!state.server_id) {
+    let server = order_id ? await findByExternalId('servers', order_id) : null;
+    if (server && server.user !== state.user_id) {
+      throw new Error(`Server ${server.id} untuk order ini dimiliki user lain, periksa panel secara manual.`);
+    }
+
+    if (!server) {
+      const serverPayload = {
+        name: name,
+        user: state.user_id,
+        external_id: order_id,
+        egg: config.egg,
+        docker_image: config.docker_image,
+        startup: config.startup,
+        environment: config.environment,
+        limits: { memory: parseInt(ram), swap: config.swap, disk: parseInt(disk), io: config.io, cpu: parseInt(cpu) },
+        feature_limits: config.feature_limits,
+        allocation: { default: placement.allocation_id }
+      };
+
+      const serverRes = await apiRequest('post', '/servers', serverPayload, 30000);
+      server = serverRes.attributes;
+    }
+    const node = server.node === placement.node.id ? placement.node.name : `node #${server.node}`;
+    await saveStep({ step: 'server_created', server_id: server.id, server_name: server.name, node });
+  }
+
+  // Resumed after the user was created: its password is gone, so it gets a new one
+  if (!password) password = await resetUserPassword(state.user_id);
+
+  return {
+    username: state.username,
+    password,
+    panel_url: PT_DOMAIN,
+    server_name: state.server_name,
+    user_id: state.user_id,
+    server_id: state.server_id,
+    node: state.node,
+    expiry_date: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toLocaleDateString('id-ID'),
+    panel_data: { username: state.username, password, panel_url: PT_DOMAIN } // Compatibility
+  };
+}
+
+// Delete a provisioned server and its owner (used when a panel delivery is revoked)
+async function deletePterodactylPanel({ user_id, server_id }) {
+  // Server must go first, Pterodactyl refuses to delete a user that still owns servers
+  if (server_id) await apiDelete(`/servers/${server_id}`);
+  if (user_id) await apiDelete(`/users/${user_id}`);
+}
+
+/**
+ * Undo a provisioning attempt that never completed. Looks up tagged leftovers
+ * by order ID too, in case the attempt died before saving its state.
+ * Returns what was deleted.
+ */
+async function rollbackPanel({ order_id, user_id, server_id } = {}) {
+  if (order_id && !server_id) server_id = (await findByExternalId('servers', order_id))?.id;
+  if (order_id && !user_id) user_id = (await findByExternalId('users', order_id))?.id;
+  await deletePterodactylPanel({ user_id, server_id });
+  return { user_id: user_id || null, server_id: server_id || null };
+}
+
+// Suspend / unsuspend a server (subscription expiry & renewal)
+async function setPterodactylSuspension(server_id, suspended) {
+  const action = suspended ? 'suspend' : 'unsuspend';
+  await apiRequest('post', `/servers/${server_id}/${action}`, {});
+}
+
+// --- Customer panel area ---
+
+// Server attributes: name, limits, feature_limits, suspended, status (null once installed)
+async function getServer(server_id) {
+  const data = await apiGet(`/servers/${server_id}`);
+  return data.attributes;
+}
+
+// Give a panel user a new random password; resolves to the new password
+async function resetUserPassword(user_id) {
+  const { attributes: user } = await apiGet(`/users/${user_id}`);
+  const password = generatePassword();
+  // The Application API wants the whole user back, not just the changed field
+  await apiRequest('patch', `/users/${user_id}`,
+    { email: user.email, username: user.username, first_name: user.first_name, last_name: user.last_name, password });
+  return password;
+}
+
+// Resize a running server in place (package upgrade); swap, io, threads & allocation stay as they are
+async function updateServerLimits(server_id, { memory, disk, cpu, feature_limits = {} }) {
+  const server = await getServer(server_id);
+  const res = await apiRequest('patch', `/servers/${server_id}/build`, {
+    allocation: server.allocation,
+    memory,
+    swap: server.limits.swap,
+    disk,
+    io: server.limits.io,
+    cpu,
+    threads: server.limits.threads,
+    feature_limits: { ...server.feature_limits, ...feature_limits }
+  });
+  return res.attributes;
+}
+
+module.exports = {
+  isMock,
+  panelUrl,
+  generatePassword,
+  productLimits,
+  listNests,
+  getEgg,
+  listLocations,
+  listNodes,
+  selectNodeAllocation,
+  resolveServerConfig,
+  createRealPterodactylPanel,
+  deletePterodactylPanel,
+  rollbackPanel,
+  setPterodactylSuspension,
+  getServer,
+  resetUserPassword,
+  updateServerLimits
+};
@@ -0,0 +1,106 @@
+/**
+ * REFUNDS
+ * =======
+ * Admin refunds of paid orders (paid, paid_failed or completed -> refunded):
+ *
+ * - the refund amount (0 .. amount paid) and reason are stored on the order;
+ *   reports count what is left of the order (lib/reports.js)
+ * - money paid through a gateway goes back outside the system (bank
+ *   transfer, e-wallet); reseller balance orders are credited back here
+ * - the delivery is revoked unless the admin keeps it: each delivery goes
+ *   through its handler's revoke() (Pterodactyl server deleted, download
+ *   links invalidated, rental stopped, top-up taken back) and is marked
+ *   `revoked_at` so the buyer's order page stops showing it. A paid_failed
+ *   order has no delivery, abort() removes what the failed run left behind
+ *
+ * Revoking and the balance credit happen before the status changes, so a
+ * failed revoke (panel API down, top-up already spent) or credit leaves the
+ * order as it was and can be retried.
+ */
+
+const fulfillment = require('./fulfillment');
+const resellers = require('./resellers');
+const { transitionOrder } = require('./orders');
+
+const REFUNDABLE_STATUSES = ['paid', 'paid_failed', 'completed'];
+const MAX_REASON_LENGTH = 500;
+
+class RefundError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'RefundError';
+        this.status = status;
+    }
+}
+
+// Admin input -> whole rupiah between 0 and the amount paid (empty = full refund)
+function readAmount(order, value) {
+    const paid = Number(order.amount) || 0;
+    if (value === undefined || value === null || value === '') return paid;
+    const amount = Number(value);
+    if (!Number.isInteger(amount) || amount < 0 || amount > paid) {
+        throw new RefundError(`Jumlah refund harus bilangan bulat 0 - ${paid}`);
+    }
+    return amount;
+}
+
+/**
+ * Undo what the order delivered (see the header). Returns
+ * { revoked: [delivery_type, ...], cleanup } for the audit log.
+ */
+async function revokeOrder(order, ctx) {
+    const result = { revoked: [], cleanup: null };
+    if (order.status === 'paid_failed') {
+        result.cleanup = await fulfillment.abort(order, ctx);
+    } else if (order.status === 'completed') {
+        const { data: deliveries, error } = await ctx.supabase.from('deliveries')
+            .select('*')
+            .eq('order_id', order.id)
+            .is('revoked_at', null);
+        if (error) throw error;
+        for (const delivery of deliveries) {
+            await fulfillment.revoke(order, delivery, ctx);
+            await ctx.supabase.from('deliveries').update({ revoked_at: new Date() }).eq('id', delivery.id);
+            result.revoked.push(delivery.delivery_type);
+        }
+    }
+    // Stock still held by an order that was paid but never fulfilled goes back on sale
+    await fulfillment.release(order, ctx);
+    return result;
+}
+
+/**
+ * Refund `order`. Options: amount (default: everything paid), reason
+ * (required), revoke (default true), actor. Returns { order, refund_amount, revoked, cleanup }.
+ */
+async function refundOrder(order, { amount, reason, revoke = true, actor = 'system' } = {}, ctx) {
+    if (!REFUNDABLE_STATUSES.includes(order.status)) {
+        throw new RefundError(`Order berstatus ${order.status}, refund hanya untuk ${REFUNDABLE_STATUSES.join(' / ')}`, 409);
+    }
+    const note = String(reason || '').trim().slice(0, MAX_REASON_LENGTH);
+    if (!note) throw new RefundError('Alasan refund wajib diisi');
+    const refundAmount = readAmount(order, amount);
+
+    const revoked = revoke ? await revokeOrder(order, ctx) : { revoked: [], cleanup: null };
+
+    // Reseller API orders: the refund goes back to the balance they were paid from.
+    // Booked once per order (lib/resellers.js), so a retry after a failed transition never pays twice
+    if (order.payment_provider === 'balance' && order.reseller_id && refundAmount > 0) {
+        await resellers.refundOrder(ctx.supabase, order, actor, refundAmount);
+    }
+
+    const refunded = await transitionOrder(ctx.supabase, order, 'refunded', {
+        actor,
+        note: `Refund Rp ${refundAmount.toLocaleString('id-ID')}: ${note}`,
+        patch: { refund_amount: refundAmount, refund_reason: note, refunded_at: new Date(), refunded_by: actor }
+    });
+    return { order: refunded, refund_amount: refundAmount, ...revoked };
+}
+
+module.exports = {
+    REFUNDABLE_STATUSES,
+    RefundError,
+    readAmount,
+    revokeOrder,
+    refundOrder
+};
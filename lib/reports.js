@@ -0,0 +1,213 @@
+/**
+ * SALES REPORTS
+ * =============
+ * Aggregates orders over a date range into totals, a time series
+ * (day / week / month buckets) and a top-products table for the admin
+ * dashboard and CSV export.
+ *
+ * Periods are cut in store local time (REPORT_UTC_OFFSET hours, WIB by
+ * default) so "today" matches what the admin sees on the clock.
+ *
+ * Reseller balance top-ups are left out: that money is counted once the
+ * reseller spends it on an order. A refunded order still counts what was
+ * not given back (amount - refund_amount, lib/refunds.js); refunds land in
+ * the period of the order, not of the refund.
+ */
+
+const { TOPUP_TYPE } = require('./resellers');
+
+const GRANULARITIES = ['day', 'week', 'month'];
+const UTC_OFFSET_HOURS = Number(process.env.REPORT_UTC_OFFSET || 7);
+const PAGE_SIZE = 1000;
+const TOP_PRODUCTS = 10;
+
+// Statuses where the money has been received
+const PAID_STATUSES = ['paid', 'fulfilling', 'completed', 'paid_failed', 'refunded'];
+// Paid and not given back (refunded orders count their remainder, see orderRevenue)
+const REVENUE_STATUSES = ['paid', 'fulfilling', 'completed', 'paid_failed'];
+
+const DAY_MS = 86400000;
+
+class ReportRangeError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ReportRangeError';
+        this.status = 400;
+    }
+}
+
+// Shift a UTC date so getUTC* returns store local wall-clock values
+function toLocal(date) {
+    return new Date(new Date(date).getTime() + UTC_OFFSET_HOURS * 3600000);
+}
+
+// "YYYY-MM-DD" in store local time -> UTC Date of local midnight
+function parseLocalDate(str) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(String(str || ''))) return null;
+    const utc = Date.parse(`${str}T00:00:00Z`);
+    return Number.isNaN(utc) ? null : new Date(utc - UTC_OFFSET_HOURS * 3600000);
+}
+
+function formatLocalDate(date) {
+    return toLocal(date).toISOString().slice(0, 10);
+}
+
+// Bucket label: day "2024-05-17", week = Monday of that week "2024-05-13", month "2024-05"
+function periodKey(date, granularity) {
+    const local = toLocal(date);
+    if (granularity === 'month') return local.toISOString().slice(0, 7);
+    if (granularity === 'week') {
+        const weekday = (local.getUTCDay() + 6) % 7; // Monday = 0
+        return new Date(local.getTime() - weekday * DAY_MS).toISOString().slice(0, 10);
+    }
+    return local.toISOString().slice(0, 10);
+}
+
+// Every bucket between from and to, so empty periods still show up in charts
+function listPeriods(from, to, granularity) {
+    const keys = [];
+    for (let t = from.getTime(); t < to.getTime(); t += DAY_MS) {
+        const key = periodKey(new Date(t), granularity);
+        if (keys[keys.length - 1] !== key) keys.push(key);
+    }
+    return keys;
+}
+
+/**
+ * Resolve query params into a range. `to` is inclusive for the admin
+ * (whole last day) and exclusive internally. Defaults to the last 30 days.
+ */
+function resolveRange({ from, to, granularity } = {}) {
+    const g = GRANULARITIES.includes(granularity) ? granularity : 'day';
+    const todayKey = formatLocalDate(new Date());
+
+    const end = parseLocalDate(to || todayKey);
+    const start = parseLocalDate(from) || (end && new Date(end.getTime() - 29 * DAY_MS));
+    if (!start || !end) throw new ReportRangeError('Format tanggal harus YYYY-MM-DD');
+    if (start > end) throw new ReportRangeError('Tanggal awal harus sebelum tanggal akhir');
+
+    return { from: start, to: new Date(end.getTime() + DAY_MS), granularity: g };
+}
+
+async function fetchOrders(supabase, from, to) {
+    const rows = [];
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+        const { data, error } = await supabase.from('orders')
+            .select('id, status, amount, discount_amount, refund_amount, coupon_code, product_id, product_name:product_snapshot->>name, product_type:product_snapshot->>type, created_at')
+            .gte('created_at', from.toISOString())
+            .lt('created_at', to.toISOString())
+            .order('created_at')
+            .range(offset, offset + PAGE_SIZE - 1);
+        if (error) throw error;
+        rows.push(...data.filter(order => order.product_type !== TOPUP_TYPE));
+        if (data.length < PAGE_SIZE) return rows;
+    }
+}
+
+function emptyBucket(period) {
+    return { period, created: 0, paid: 0, cancelled: 0, expired: 0, failed: 0, refunded: 0, revenue: 0, discount: 0, refunds: 0 };
+}
+
+// Money an order brought in and kept
+function orderRevenue(order) {
+    const amount = Number(order.amount) || 0;
+    if (REVENUE_STATUSES.includes(order.status)) return amount;
+    if (order.status === 'refunded') return Math.max(0, amount - (Number(order.refund_amount) || 0));
+    return 0;
+}
+
+function addOrder(bucket, order) {
+    bucket.created++;
+    if (PAID_STATUSES.includes(order.status)) bucket.paid++;
+    if (order.status === 'cancelled') bucket.cancelled++;
+    if (order.status === 'expired') bucket.expired++;
+    if (order.status === 'paid_failed') bucket.failed++;
+    if (order.status === 'refunded') {
+        bucket.refunded++;
+        bucket.refunds += Number(order.refund_amount) || 0;
+    }
+    bucket.revenue += orderRevenue(order);
+    if (REVENUE_STATUSES.includes(order.status)) bucket.discount += Number(order.discount_amount) || 0;
+}
+
+function ratio(part, whole) {
+    return whole ? Math.round((part / whole) * 10000) / 100 : 0;
+}
+
+// Pure aggregation, kept separate from the query so it can be tested with plain arrays
+function buildReport(orders, { from, to, granularity }) {
+    const totals = emptyBucket(null);
+    const series = new Map(listPeriods(from, to, granularity).map(key => [key, emptyBucket(key)]));
+    const products = new Map();
+
+    orders.forEach(order => {
+        addOrder(totals, order);
+
+        const key = periodKey(order.created_at, granularity);
+        if (!series.has(key)) series.set(key, emptyBucket(key));
+        addOrder(series.get(key), order);
+
+        // Same net amounts as the totals, so the product rows add up to the revenue
+        if (PAID_STATUSES.includes(order.status)) {
+            const productKey = order.product_id || order.product_name || '-';
+            const row = products.get(productKey) || { product_id: order.product_id, name: order.product_name || '-', orders: 0, revenue: 0, refunds: 0 };
+            row.orders++;
+            row.revenue += orderRevenue(order);
+            if (order.status === 'refunded') row.refunds += Number(order.refund_amount) || 0;
+            products.set(productKey, row);
+        }
+    });
+
+    delete totals.period;
+    totals.conversion_rate = ratio(totals.paid, totals.created);
+    totals.cancel_rate = ratio(totals.cancelled + totals.expired, totals.created);
+    totals.failure_rate = ratio(totals.failed, totals.paid);
+    totals.average_order = totals.paid ? Math.round(totals.revenue / totals.paid) : 0;
+
+    return {
+        range: { from: formatLocalDate(from), to: formatLocalDate(new Date(to.getTime() - DAY_MS)), granularity },
+        totals,
+        series: Array.from(series.values()),
+        top_products: Array.from(products.values()).sort((a, b) => b.revenue - a.revenue).slice(0, TOP_PRODUCTS)
+    };
+}
+
+async function generateReport(supabase, params) {
+    const range = resolveRange(params);
+    const orders = await fetchOrders(supabase, range.from, range.to);
+    return buildReport(orders, range);
+}
+
+// Column layouts for CSV export
+const CSV_COLUMNS = {
+    series: [
+        { key: 'period', label: 'Periode' },
+        { key: 'created', label: 'Order Dibuat' },
+        { key: 'paid', label: 'Order Dibayar' },
+        { key: 'cancelled', label: 'Dibatalkan' },
+        { key: 'expired', label: 'Kedaluwarsa' },
+        { key: 'failed', label: 'Gagal Fulfillment' },
+        { key: 'refunded', label: 'Direfund' },
+        { key: 'discount', label: 'Total Diskon' },
+        { key: 'refunds', label: 'Total Refund' },
+        { key: 'revenue', label: 'Pendapatan' }
+    ],
+    products: [
+        { key: 'name', label: 'Produk' },
+        { key: 'orders', label: 'Terjual' },
+        { key: 'refunds', label: 'Total Refund' },
+        { key: 'revenue', label: 'Pendapatan' }
+    ]
+};
+
+module.exports = {
+    GRANULARITIES,
+    PAID_STATUSES,
+    REVENUE_STATUSES,
+    CSV_COLUMNS,
+    ReportRangeError,
+    resolveRange,
+    orderRevenue,
+    buildReport,
+    generateReport
+};
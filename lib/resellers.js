@@ -0,0 +1,233 @@
+/**
+ * RESELLERS
+ * =========
+ * Reseller accounts order through the API and pay from a prepaid balance
+ * instead of scanning a QRIS for every order.
+ *
+ * - `resellers.balance` only changes through the reseller_apply_balance RPC,
+ *   which writes the matching `reseller_transactions` row (the ledger) in the
+ *   same statement and never lets the balance drop below zero
+ * - top-ups are ordinary gateway orders of the internal `reseller_topup`
+ *   product type; its fulfillment handler credits the balance once paid
+ * - API orders are debited before fulfillment and credited back when the
+ *   order is closed afterwards (cancelled / expired). The ledger holds one row
+ *   per (order, type), so every credit and debit happens at most once
+ * - prices come from `products.reseller_prices` ({ tier: price }), the normal
+ *   price otherwise. Tiers are listed in RESELLER_TIERS (default bronze,silver,gold)
+ * - API keys are "rk_" + random hex; only the SHA-256 is stored
+ */
+
+const crypto = require('crypto');
+
+const TOPUP_TYPE = 'reseller_topup';
+const KEY_PREFIX = 'rk_';
+const TRANSACTION_TYPES = ['topup', 'order', 'refund', 'topup_reversal', 'adjustment'];
+
+class ResellerError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ResellerError';
+        this.status = status;
+    }
+}
+
+function listTiers() {
+    return (process.env.RESELLER_TIERS || 'bronze,silver,gold')
+        .split(',')
+        .map(t => t.trim().toLowerCase())
+        .filter(Boolean);
+}
+
+// What a reseller of `tier` pays for the product
+function priceFor(product, tier) {
+    const special = product?.reseller_prices?.[tier];
+    return special !== undefined && special !== null && special !== '' ? parseInt(special) : parseInt(product.price);
+}
+
+// Problems with a products.reseller_prices value (catalog import & admin form)
+function validatePrices(prices) {
+    if (prices === null || prices === undefined) return [];
+    if (typeof prices !== 'object' || Array.isArray(prices)) return ['reseller_prices harus berupa object { level: harga }'];
+    const tiers = listTiers();
+    const errors = [];
+    Object.entries(prices).forEach(([tier, price]) => {
+        if (!tiers.includes(tier)) errors.push(`reseller_prices: level "${tier}" tidak dikenal (${tiers.join(', ')})`);
+        if (price !== '' && price !== null && (!Number.isInteger(Number(price)) || Number(price) < 0)) {
+            errors.push(`reseller_prices.${tier} harus bilangan bulat >= 0`);
+        }
+    });
+    return errors;
+}
+
+// --- API KEYS ---
+
+function hashKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+// New key for a reseller; the plain key is only returned here
+async function createApiKey(supabase, resellerId, label = null) {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+    const { data, error } = await supabase.from('reseller_api_keys').insert({
+        reseller_id: resellerId,
+        label: label ? String(label).trim().slice(0, 100) : null,
+        key_prefix: key.slice(0, KEY_PREFIX.length + 6),
+        key_hash: hashKey(key)
+    }).select('id, label, key_prefix, created_at').single();
+    if (error) throw error;
+    return { key, ...data };
+}
+
+async function revokeApiKey(supabase, keyId) {
+    const { data, error } = await supabase.from('reseller_api_keys')
+        .update({ revoked_at: new Date() })
+        .eq('id', keyId)
+        .is('revoked_at', null)
+        .select('id, reseller_id, key_prefix')
+        .maybeSingle();
+    if (error) throw error;
+    return data;
+}
+
+// "Authorization: Bearer rk_..." or "X-API-Key: rk_..."
+function readApiKey(req) {
+    const auth = String(req.headers['authorization'] || '');
+    if (auth.startsWith('Bearer ')) return auth.slice(7).trim();
+    return String(req.headers['x-api-key'] || '').trim();
+}
+
+async function findByApiKey(supabase, key) {
+    if (!key || !key.startsWith(KEY_PREFIX)) return null;
+    const { data: row } = await supabase.from('reseller_api_keys')
+        .select('id, revoked_at, resellers(*)')
+        .eq('key_hash', hashKey(key))
+        .maybeSingle();
+    if (!row || row.revoked_at || !row.resellers?.active) return null;
+
+    await supabase.from('reseller_api_keys').update({ last_used_at: new Date() }).eq('id', row.id);
+    return row.resellers;
+}
+
+// Build `requireReseller` bound to a Supabase client; sets req.reseller on success
+function createResellerGuard(supabase) {
+    return async (req, res, next) => {
+        try {
+            const reseller = await findByApiKey(supabase, readApiKey(req));
+            if (!reseller) {
+                console.warn(`[RESELLER AUTH FAILED] ${req.method} ${req.path} from ${req.ip}`);
+                return res.status(401).json({ success: false, error: 'API key reseller tidak valid' });
+            }
+            req.reseller = reseller;
+            next();
+        } catch (e) {
+            console.error("Reseller Auth Error:", e.message);
+            res.status(500).json({ success: false, error: 'Gagal memverifikasi API key' });
+        }
+    };
+}
+
+// --- BALANCE ---
+
+/**
+ * Move the balance by `amount` (negative = debit) and record it in the ledger.
+ * Throws ResellerError (402) when the balance would go negative; a second
+ * row for the same (order, type) fails with the unique index (code 23505).
+ */
+async function applyBalance(supabase, resellerId, amount, { type, orderId = null, note = null, actor = 'system' }) {
+    if (!TRANSACTION_TYPES.includes(type)) throw new Error(`Unknown reseller transaction type: ${type}`);
+    const { data, error } = await supabase.rpc('reseller_apply_balance', {
+        p_reseller_id: resellerId,
+        p_amount: amount,
+        p_type: type,
+        p_order_id: orderId,
+        p_note: note,
+        p_actor: actor
+    });
+    if (error) throw error;
+    const row = Array.isArray(data) ? data[0] : data;
+    if (!row) throw new ResellerError('Saldo reseller tidak cukup', 402);
+    return row;
+}
+
+async function findTransaction(supabase, orderId, type) {
+    const { data, error } = await supabase.from('reseller_transactions')
+        .select('*')
+        .eq('order_id', orderId)
+        .eq('type', type)
+        .maybeSingle();
+    if (error) throw error;
+    return data;
+}
+
+// Order-linked ledger entries: the existing row when this (order, type) was already booked
+async function applyOnce(supabase, resellerId, amount, options) {
+    const existing = await findTransaction(supabase, options.orderId, options.type);
+    if (existing) return existing;
+    try {
+        return await applyBalance(supabase, resellerId, amount, options);
+    } catch (e) {
+        if (e.code === '23505') return findTransaction(supabase, options.orderId, options.type);
+        throw e;
+    }
+}
+
+// Pay an API order from the balance (before fulfillment)
+function debitOrder(supabase, order, actor) {
+    return applyOnce(supabase, order.reseller_id, -Number(order.amount), {
+        type: 'order', orderId: order.id, note: order.product_snapshot?.name || null, actor
+    });
+}
+
+// Give back what an order was debited (or `amount` of it, for a partial admin refund);
+// resolves to null when nothing was debited
+async function refundOrder(supabase, order, actor = 'system', amount = null) {
+    const debit = await findTransaction(supabase, order.id, 'order');
+    if (!debit) return null;
+    const credit = amount === null ? -Number(debit.amount) : Math.min(Number(amount), -Number(debit.amount));
+    return applyOnce(supabase, order.reseller_id, credit, {
+        type: 'refund', orderId: order.id, note: `Refund ${order.id}`, actor
+    });
+}
+
+function creditTopup(supabase, order) {
+    return applyOnce(supabase, order.reseller_id, Number(order.amount), {
+        type: 'topup', orderId: order.id, note: `Top up ${order.payment_method || ''}`.trim(), actor: 'system'
+    });
+}
+
+// Take a paid top-up back (refunded top-up); fails when the balance was already spent
+function reverseTopup(supabase, order, actor = 'system') {
+    return applyOnce(supabase, order.reseller_id, -Number(order.amount), {
+        type: 'topup_reversal', orderId: order.id, note: `Pembatalan top up ${order.id}`, actor
+    });
+}
+
+async function listTransactions(supabase, resellerId, { limit = 100 } = {}) {
+    const { data, error } = await supabase.from('reseller_transactions')
+        .select('*')
+        .eq('reseller_id', resellerId)
+        .order('created_at', { ascending: false })
+        .limit(Math.min(Math.max(parseInt(limit) || 100, 1), 500));
+    if (error) throw error;
+    return data;
+}
+
+module.exports = {
+    TOPUP_TYPE,
+    TRANSACTION_TYPES,
+    ResellerError,
+    listTiers,
+    priceFor,
+    validatePrices,
+    createApiKey,
+    revokeApiKey,
+    readApiKey,
+    findByApiKey,
+    createResellerGuard,
+    applyBalance,
+    debitOrder,
+    refundOrder,
+    creditTopup,
+    reverseTopup,
+    listTransactions
+};
@@ -0,0 +1,142 @@
+/**
+ * STOCK ITEMS
+ * ===========
+ * Finite pools of pre-made items (license keys, voucher codes, account
+ * credentials) sold by the `stock` product type. One row per item in
+ * `stock_items`:
+ *
+ *   available -> reserved (checkout, reserve_stock_item RPC) -> sold (payment)
+ *   reserved  -> available (order cancelled / expired)
+ *
+ * The RPC locks rows with FOR UPDATE SKIP LOCKED so two checkouts never
+ * receive the same item.
+ */
+
+const csv = require('./csv');
+
+const MAX_IMPORT_ITEMS = 5000;
+const IMPORT_BATCH_SIZE = 500;
+
+// Header names recognised as "the item column" in an imported CSV
+const CONTENT_HEADERS = ['content', 'item', 'code', 'kode', 'key', 'license', 'voucher', 'akun'];
+
+class OutOfStockError extends Error {
+    constructor(message = 'Stok produk habis') {
+        super(message);
+        this.name = 'OutOfStockError';
+        this.status = 409;
+    }
+}
+
+// Item already held by (or sold to) this order, so retries never take a second one
+async function findOrderItem(supabase, orderId) {
+    const { data, error } = await supabase.from('stock_items')
+        .select('*')
+        .eq('order_id', orderId)
+        .in('status', ['reserved', 'sold'])
+        .limit(1)
+        .maybeSingle();
+    if (error) throw error;
+    return data;
+}
+
+async function reserveItem(supabase, productId, orderId) {
+    const existing = await findOrderItem(supabase, orderId);
+    if (existing) return existing;
+
+    const { data, error } = await supabase.rpc('reserve_stock_item', { p_product_id: productId, p_order_id: orderId });
+    if (error) throw error;
+
+    const item = Array.isArray(data) ? data[0] : data;
+    if (!item) throw new OutOfStockError();
+    return item;
+}
+
+// Hand reserved (never sold) items of an order back to the pool
+async function releaseItems(supabase, orderId) {
+    const { data, error } = await supabase.from('stock_items')
+        .update({ status: 'available', order_id: null, reserved_at: null })
+        .eq('order_id', orderId)
+        .eq('status', 'reserved')
+        .select('id');
+    if (error) throw error;
+    return data ? data.length : 0;
+}
+
+async function markSold(supabase, item) {
+    if (item.status === 'sold') return item;
+    const { data, error } = await supabase.from('stock_items')
+        .update({ status: 'sold', sold_at: new Date() })
+        .eq('id', item.id)
+        .eq('status', 'reserved')
+        .select()
+        .maybeSingle();
+    if (error) throw error;
+    if (!data) throw new Error(`Item stok ${item.id} sudah tidak berstatus reserved`);
+    return data;
+}
+
+// Per-product { available, reserved, sold } from the product_stock view
+async function getCounts(supabase, productIds) {
+    const counts = {};
+    if (!productIds.length) return counts;
+
+    const { data, error } = await supabase.from('product_stock').select('*').in('product_id', productIds);
+    if (error) throw error;
+    (data || []).forEach(row => {
+        counts[row.product_id] = { available: Number(row.available), reserved: Number(row.reserved), sold: Number(row.sold) };
+    });
+    return counts;
+}
+
+/**
+ * Turn pasted text (one item per line) or an uploaded CSV into item strings.
+ * CSV: uses the column named like CONTENT_HEADERS, otherwise joins all columns
+ * with " | " (e.g. "email | password" for account credentials).
+ */
+function parseImport(text, format = 'lines') {
+    let items;
+
+    if (format === 'csv') {
+        const rows = csv.parse(text);
+        let column = -1;
+        if (rows.length) {
+            column = rows[0].findIndex(h => CONTENT_HEADERS.includes(h.trim().toLowerCase()));
+            if (column !== -1) rows.shift();
+        }
+        items = rows.map(r => (column !== -1 ? r[column] || '' : r.map(f => f.trim()).filter(Boolean).join(' | ')));
+    } else {
+        items = String(text || '').split(/\r?\n/);
+    }
+
+    const unique = [...new Set(items.map(i => i.trim()).filter(Boolean))];
+    if (unique.length > MAX_IMPORT_ITEMS) {
+        throw new Error(`Maksimal ${MAX_IMPORT_ITEMS} item per import`);
+    }
+    return unique;
+}
+
+// Insert new items, silently skipping ones already in this product's pool
+async function importItems(supabase, productId, items) {
+    let inserted = 0;
+    for (let i = 0; i < items.length; i += IMPORT_BATCH_SIZE) {
+        const batch = items.slice(i, i + IMPORT_BATCH_SIZE).map(content => ({ product_id: productId, content }));
+        const { data, error } = await supabase.from('stock_items')
+            .upsert(batch, { onConflict: 'product_id,content', ignoreDuplicates: true })
+            .select('id');
+        if (error) throw error;
+        inserted += data ? data.length : 0;
+    }
+    return { inserted, duplicates: items.length - inserted };
+}
+
+module.exports = {
+    OutOfStockError,
+    findOrderItem,
+    reserveItem,
+    releaseItems,
+    markSold,
+    getCounts,
+    parseImport,
+    importItems
+};
@@ -0,0 +1,100 @@
+/**
+ * STOREFRONT
+ * ==========
+ * What buyers see of the catalog: active products of a sellable type, in
+ * `sort_order`, without reseller prices and with the remaining stock of
+ * stock-managed products. The homepage, the product pages (/p/:slug) and
+ * /api/products all read it from here, so a product is shown and priced the
+ * same way everywhere.
+ *
+ * Products are grouped into sections by `category`; products without one
+ * fall into the default section of their type (TYPE_SECTIONS). Sections
+ * appear in the order of their first product.
+ */
+
+const fulfillment = require('./fulfillment');
+const stock = require('./stock');
+const { slugify } = require('./catalog');
+
+// Default section per product type: title, subtitle under it, and the buy button label
+const TYPE_SECTIONS = {
+    panel: { title: 'Paket Panel', subtitle: 'Sistem Auto Order & Aktivasi Instan via QRIS', icon: 'fa-server', action: 'Pilih Paket' },
+    stock: { title: 'Produk Digital', subtitle: 'License Key, Voucher & Akun - Terkirim Otomatis Setelah Bayar', icon: 'fa-key', action: 'Beli Sekarang' },
+    sewa: { title: 'Sewa Bot WhatsApp', subtitle: 'Bot On 24 Jam, Fitur Lengkap, Anti Ribet', icon: 'fa-robot', action: 'Sewa Sekarang' },
+    sc: { title: 'Script Bot', subtitle: 'Source Code Berkualitas & Teruji, Link Download Langsung Setelah Bayar', icon: 'fa-code', action: 'Beli Sekarang' }
+};
+const DEFAULT_SECTION = { title: 'Produk Lainnya', subtitle: '', icon: 'fa-box', action: 'Beli Sekarang' };
+
+// Product as sent to the browser
+function toPublicProduct(product, counts = {}) {
+    const { reseller_prices, ...rest } = product;
+    const section = sectionFor(product);
+    return {
+        ...rest,
+        price: Number(product.price),
+        features: Array.isArray(product.features) ? product.features : [],
+        stock: product.type === 'stock' ? (counts[product.id]?.available || 0) : undefined,
+        section: section.key,
+        url: `/p/${product.slug}`
+    };
+}
+
+function sectionFor(product) {
+    const category = String(product.category || '').trim();
+    if (category) return { key: slugify(category) || 'lainnya', title: category };
+    return { key: product.type, title: (TYPE_SECTIONS[product.type] || DEFAULT_SECTION).title };
+}
+
+async function listProducts(supabase) {
+    const { data, error } = await supabase.from('products')
+        .select('*')
+        .eq('active', true)
+        .order('sort_order', { ascending: true })
+        .order('name', { ascending: true });
+    if (error) throw error;
+
+    // Products without a slug have no page to link to (the catalog migration fills it in)
+    const products = data.filter(p => p.slug && fulfillment.isSellable(p.type));
+    const counts = await stock.getCounts(supabase, products.filter(p => p.type === 'stock').map(p => p.id));
+    return products.map(p => toPublicProduct(p, counts));
+}
+
+/**
+ * Public products -> [{ key, title, subtitle, icon, action, products }].
+ * A category section borrows subtitle / icon / button of the type of its first product.
+ */
+function groupProducts(products) {
+    const sections = new Map();
+    products.forEach(product => {
+        if (!sections.has(product.section)) {
+            const defaults = TYPE_SECTIONS[product.type] || DEFAULT_SECTION;
+            const { title } = sectionFor(product);
+            sections.set(product.section, {
+                ...defaults,
+                key: product.section,
+                title,
+                subtitle: product.category ? '' : defaults.subtitle,
+                products: []
+            });
+        }
+        sections.get(product.section).products.push(product);
+    });
+    return [...sections.values()];
+}
+
+// Product of listProducts() by slug, with the other products of its section; null when there is none
+function findProduct(products, slug) {
+    const product = products.find(p => p.slug === String(slug || '').toLowerCase());
+    if (!product) return null;
+    const section = groupProducts(products).find(s => s.key === product.section);
+    return { product, section, related: section.products.filter(p => p.id !== product.id) };
+}
+
+module.exports = {
+    TYPE_SECTIONS,
+    toPublicProduct,
+    sectionFor,
+    listProducts,
+    groupProducts,
+    findProduct
+};
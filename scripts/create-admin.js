@@ -0,0 +1,41 @@
+/**
+ * Create (or reset) an admin account.
+ * Usage: npm run admin:create -- <username> <password> [owner|staff|viewer]
+ */
+
+require('dotenv').config();
+
+const { hashPassword, ROLES } = require('../lib/admin-auth');
+const { createDatabase } = require('../lib/data');
+
+async function main() {
+    const [usernameArg, password, role = 'owner'] = process.argv.slice(2);
+    const username = String(usernameArg || '').trim().toLowerCase();
+
+    if (!username || !password) {
+        console.error('Usage: npm run admin:create -- <username> <password> [owner|staff|viewer]');
+        process.exit(1);
+    }
+    if (password.length < 8) {
+        console.error('Password minimal 8 karakter.');
+        process.exit(1);
+    }
+    if (!ROLES.includes(role)) {
+        console.error(`Role harus salah satu dari: ${ROLES.join(', ')}`);
+        process.exit(1);
+    }
+
+    const supabase = createDatabase();
+    const { error } = await supabase.from('admin_users').upsert(
+        { username, password_hash: hashPassword(password), role, active: true },
+        { onConflict: 'username' }
+    );
+
+    if (error) {
+        console.error('Gagal menyimpan admin:', error.message);
+        process.exit(1);
+    }
+    console.log(`Admin "${username}" (${role}) siap dipakai.`);
+}
+
+main();
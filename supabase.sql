@@ -65,12 +65,30 @@ INSERT INTO public.settings (key, value, description) VALUES
 ('telegram_link', 'https://t.me/IPINSHOP', 'Link Channel Telegram')
 ON CONFLICT (key) DO NOTHING;
 
+-- Notifikasi (lib/notifications): tujuan admin & template pesan. Template kosong = pakai default di
+-- lib/notifications/templates.js. Placeholder: {{store_name}} {{order_id}} {{product_name}} {{amount}}
+-- {{username}} {{contact}} {{delivery}} {{error}} {{expires_at}} {{target}} {{version}} {{changelog}} {{lookup_url}}
+INSERT INTO public.settings (key, value, description) VALUES
+('notify_admin_whatsapp', '', 'Nomor WhatsApp admin untuk notifikasi order (628xxx)'),
+('notify_admin_telegram', '', 'Chat ID Telegram admin untuk notifikasi order'),
+('notify_admin_email', '', 'Email admin untuk notifikasi order'),
+('notify_tpl_delivery', '', 'Template pesan pengiriman pesanan ke pembeli'),
+('notify_tpl_admin_paid', '', 'Template notifikasi admin: order baru dibayar'),
+('notify_tpl_admin_failed', '', 'Template notifikasi admin: fulfillment gagal'),
+('notify_tpl_panel_reminder', '', 'Template pengingat panel akan berakhir'),
+('notify_tpl_panel_suspended', '', 'Template pemberitahuan panel disuspend'),
+('notify_tpl_panel_deleted', '', 'Template pemberitahuan panel dihapus'),
+('notify_tpl_rental_reminder', '', 'Template pengingat sewa bot akan berakhir'),
+('notify_tpl_rental_expired', '', 'Template pemberitahuan sewa bot berakhir'),
+('notify_tpl_product_update', '', 'Template pemberitahuan update script ke pembeli lama')
+ON CONFLICT (key) DO NOTHING;
+
 
 -- 5. TABLE: PRODUCTS
 -- Menyimpan katalog produk (Panel Pterodactyl, Source Code, Sewa Bot).
 CREATE TABLE IF NOT EXISTS public.products (
     id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
-    type TEXT NOT NULL CHECK (type IN ('panel', 'sc', 'sewa')), -- Validasi Tipe Produk
+    type TEXT NOT NULL, -- Tipe produk, divalidasi oleh registry fulfillment di backend (lib/fulfillment)
     name TEXT NOT NULL,
     price NUMERIC NOT NULL CHECK (price >= 0),
     features JSONB DEFAULT '[]'::jsonb, -- Array string fitur unggulan
@@ -87,15 +105,18 @@ CREATE INDEX IF NOT EXISTS products_active_idx ON public.products (active);
 CREATE INDEX IF NOT EXISTS products_sort_order_idx ON public.products (sort_order);
 CREATE INDEX IF NOT EXISTS products_type_idx ON public.products (type);
 
+-- Migrasi: tipe produk kini bebas (panel, sc, sewa, dan handler baru) sehingga CHECK lama dihapus.
+ALTER TABLE public.products DROP CONSTRAINT IF EXISTS products_type_check;
+
 
 -- 6. TABLE: ORDERS
 -- Menyimpan riwayat transaksi user.
 CREATE TABLE IF NOT EXISTS public.orders (
-    id TEXT PRIMARY KEY, -- Menggunakan Order ID dari QRIS (misal: TRX-170...)
+    id TEXT PRIMARY KEY, -- Order ID dibuat oleh backend (misal: TRX-170...-A1B2C3D4)
     product_id UUID REFERENCES public.products(id) ON DELETE SET NULL,
     product_snapshot JSONB, -- Menyimpan copy data produk saat beli (agar aman jika harga berubah)
     amount NUMERIC NOT NULL,
-    status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'paid', 'completed', 'cancelled', 'paid_failed')),
+    status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'paid', 'fulfilling', 'completed', 'cancelled', 'paid_failed', 'expired', 'refunded')), -- Transisi diatur lib/orders.js
     customer_username TEXT, -- Username yang diinput user saat checkout
     notes TEXT, -- Catatan sistem (error log / info tambahan)
     created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()),
@@ -108,19 +129,514 @@ CREATE INDEX IF NOT EXISTS orders_status_idx ON public.orders (status);
 CREATE INDEX IF NOT EXISTS orders_created_at_idx ON public.orders (created_at DESC);
 CREATE INDEX IF NOT EXISTS orders_customer_idx ON public.orders (customer_username);
 
+-- Migrasi: status 'fulfilling' dipakai sebagai lock agar webhook & polling tidak memproses order yang sama dua kali,
+-- 'expired' & 'refunded' melengkapi state machine di lib/orders.js.
+ALTER TABLE public.orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE public.orders ADD CONSTRAINT orders_status_check
+    CHECK (status IN ('pending', 'paid', 'fulfilling', 'completed', 'cancelled', 'paid_failed', 'expired', 'refunded'));
+
 
 -- 7. TABLE: DELIVERIES
 -- Menyimpan hasil produk yang dikirim (Kredensial Panel, Link Download, Instruksi).
 CREATE TABLE IF NOT EXISTS public.deliveries (
     id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
     order_id TEXT REFERENCES public.orders(id) ON DELETE CASCADE,
-    delivery_type TEXT CHECK (delivery_type IN ('panel_credentials', 'download_link', 'instructions')),
+    delivery_type TEXT, -- Ditentukan oleh handler fulfillment (panel_credentials, download_link, instructions, ...)
     payload JSONB, -- Data sensitif (User/Pass, Signed URL, Teks Instruksi)
     created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now())
 );
 
 CREATE INDEX IF NOT EXISTS deliveries_order_id_idx ON public.deliveries (order_id);
 
+-- Migrasi: delivery_type mengikuti handler fulfillment, CHECK lama dihapus.
+ALTER TABLE public.deliveries DROP CONSTRAINT IF EXISTS deliveries_delivery_type_check;
+
+
+-- 8. TABLE: PANEL_SUBSCRIPTIONS
+-- Menyimpan setiap panel yang dibuat (ID user/server Pterodactyl + masa aktif).
+-- Dipakai cron /api/cron/panel-lifecycle untuk reminder, suspend, dan hapus panel yang expired.
+CREATE TABLE IF NOT EXISTS public.panel_subscriptions (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    order_id TEXT REFERENCES public.orders(id) ON DELETE SET NULL, -- Order pembelian pertama
+    product_id UUID REFERENCES public.products(id) ON DELETE SET NULL, -- Paket yang dipakai untuk perpanjangan
+    username TEXT NOT NULL, -- Username Pterodactyl
+    ptero_user_id INTEGER,
+    ptero_server_id INTEGER,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    status TEXT DEFAULT 'active' CHECK (status IN ('active', 'suspended', 'deleted')),
+    reminded_at TIMESTAMP WITH TIME ZONE, -- Reminder masa aktif sudah dikirim
+    suspended_at TIMESTAMP WITH TIME ZONE,
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now())
+);
+
+CREATE INDEX IF NOT EXISTS panel_subscriptions_status_expires_idx ON public.panel_subscriptions (status, expires_at);
+CREATE INDEX IF NOT EXISTS panel_subscriptions_username_idx ON public.panel_subscriptions (username);
+
+-- Order perpanjangan menunjuk ke langganan yang diperpanjang.
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS renewal_of UUID;
+
+-- Hash SHA-256 dari kode rahasia order (diberikan ke pembeli saat checkout, dipakai di halaman Cek Pesanan).
+-- Order lama tanpa hash tetap bisa dicek / dibatalkan lewat ID selama pending atau 24 jam (lib/orders.js isLegacyOrder).
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS access_secret_hash TEXT;
+
+
+-- 9. TABLE: ORDER_EVENTS
+-- Riwayat setiap perubahan status order (ditulis oleh lib/orders.js, tampil di menu Transaksi admin).
+CREATE TABLE IF NOT EXISTS public.order_events (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    order_id TEXT REFERENCES public.orders(id) ON DELETE CASCADE,
+    from_status TEXT, -- NULL untuk event pembuatan order
+    to_status TEXT NOT NULL,
+    actor TEXT, -- customer, admin, system, webhook:pakasir
+    note TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now())
+);
+
+CREATE INDEX IF NOT EXISTS order_events_order_id_idx ON public.order_events (order_id, created_at);
+
+
+
+-- 10. TABLE: ADMIN_USERS, ADMIN_SESSIONS, ADMIN_AUDIT_LOGS
+-- Akun admin dengan role (owner > staff > viewer), sesi login berbasis cookie, dan log aktivitas admin.
+-- Password di-hash dengan scrypt, token sesi hanya disimpan sebagai SHA-256.
+CREATE TABLE IF NOT EXISTS public.admin_users (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    username TEXT NOT NULL UNIQUE,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'staff' CHECK (role IN ('owner', 'staff', 'viewer')),
+    active BOOLEAN DEFAULT true,
+    last_login_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now())
+);
+
+CREATE TABLE IF NOT EXISTS public.admin_sessions (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    admin_id UUID REFERENCES public.admin_users(id) ON DELETE CASCADE,
+    token_hash TEXT NOT NULL UNIQUE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    ip TEXT,
+    user_agent TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now())
+);
+
+CREATE TABLE IF NOT EXISTS public.admin_audit_logs (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    admin_id UUID REFERENCES public.admin_users(id) ON DELETE SET NULL,
+    admin_username TEXT,
+    action TEXT NOT NULL, -- product.update, settings.update, order.retry, ...
+    target TEXT,
+    details JSONB,
+    ip TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now())
+);
+
+CREATE INDEX IF NOT EXISTS admin_sessions_admin_id_idx ON public.admin_sessions (admin_id);
+CREATE INDEX IF NOT EXISTS admin_audit_logs_created_at_idx ON public.admin_audit_logs (created_at DESC);
+
+
+-- 11. TABLE: STOCK_ITEMS
+-- Item siap kirim untuk produk tipe 'stock' (license key, kode voucher, akun), diimport admin.
+-- Alur status: available -> reserved (saat checkout) -> sold (setelah bayar), reserved -> available jika order batal/expired.
+CREATE TABLE IF NOT EXISTS public.stock_items (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    product_id UUID REFERENCES public.products(id) ON DELETE CASCADE,
+    content TEXT NOT NULL, -- Isi item yang dikirim ke pembeli
+    status TEXT NOT NULL DEFAULT 'available' CHECK (status IN ('available', 'reserved', 'sold')),
+    order_id TEXT REFERENCES public.orders(id) ON DELETE SET NULL, -- Order yang memegang / membeli item ini
+    reserved_at TIMESTAMP WITH TIME ZONE,
+    sold_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now())
+);
+
+-- Item yang sama tidak boleh diimport dua kali ke produk yang sama.
+CREATE UNIQUE INDEX IF NOT EXISTS stock_items_product_content_idx ON public.stock_items (product_id, content);
+CREATE INDEX IF NOT EXISTS stock_items_product_status_idx ON public.stock_items (product_id, status, created_at);
+CREATE INDEX IF NOT EXISTS stock_items_order_id_idx ON public.stock_items (order_id);
+
+-- Reservasi atomik: FOR UPDATE SKIP LOCKED menjamin dua checkout bersamaan tidak mendapat item yang sama.
+-- Item yang masih 'reserved' milik order cancelled/expired ikut dianggap tersedia (jaga-jaga jika release gagal).
+CREATE OR REPLACE FUNCTION public.reserve_stock_item(p_product_id UUID, p_order_id TEXT)
+RETURNS SETOF public.stock_items
+LANGUAGE sql
+AS $$
+    UPDATE public.stock_items
+    SET status = 'reserved', order_id = p_order_id, reserved_at = now()
+    WHERE id = (
+        SELECT s.id
+        FROM public.stock_items s
+        LEFT JOIN public.orders o ON o.id = s.order_id
+        WHERE s.product_id = p_product_id
+          AND (s.status = 'available' OR (s.status = 'reserved' AND o.status IN ('cancelled', 'expired')))
+        ORDER BY s.created_at
+        LIMIT 1
+        FOR UPDATE OF s SKIP LOCKED
+    )
+    RETURNING *;
+$$;
+
+-- Ringkasan stok per produk (ditampilkan di kartu produk storefront & admin).
+CREATE OR REPLACE VIEW public.product_stock WITH (security_invoker = true) AS
+SELECT
+    product_id,
+    COUNT(*) FILTER (WHERE status = 'available') AS available,
+    COUNT(*) FILTER (WHERE status = 'reserved') AS reserved,
+    COUNT(*) FILTER (WHERE status = 'sold') AS sold
+FROM public.stock_items
+GROUP BY product_id;
+
+
+-- 12. TABLE: COUPONS & COUPON_REDEMPTIONS
+-- Kode diskon (persen / nominal) yang dikelola admin dan divalidasi backend (lib/coupons.js).
+CREATE TABLE IF NOT EXISTS public.coupons (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    code TEXT NOT NULL UNIQUE, -- Selalu huruf besar (misal: PROMO10)
+    description TEXT,
+    discount_type TEXT NOT NULL CHECK (discount_type IN ('percent', 'fixed')),
+    discount_value NUMERIC NOT NULL CHECK (discount_value > 0), -- Persen (1-100) atau Rupiah
+    max_discount NUMERIC, -- Batas potongan untuk diskon persen (NULL = tanpa batas)
+    min_amount NUMERIC DEFAULT 0, -- Minimal harga produk
+    product_ids JSONB DEFAULT '[]'::jsonb, -- Array UUID produk, kosong = berlaku untuk semua produk
+    max_uses INTEGER, -- Kuota total (NULL = tanpa batas)
+    per_user_limit INTEGER, -- Kuota per username (NULL = tanpa batas)
+    starts_at TIMESTAMP WITH TIME ZONE,
+    ends_at TIMESTAMP WITH TIME ZONE,
+    active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now())
+);
+
+-- Setiap pemakaian kupon: reserved (checkout) -> used (dibayar), atau released (order batal/expired).
+CREATE TABLE IF NOT EXISTS public.coupon_redemptions (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    coupon_id UUID REFERENCES public.coupons(id) ON DELETE CASCADE,
+    order_id TEXT UNIQUE REFERENCES public.orders(id) ON DELETE CASCADE,
+    username TEXT,
+    discount_amount NUMERIC NOT NULL DEFAULT 0,
+    status TEXT NOT NULL DEFAULT 'reserved' CHECK (status IN ('reserved', 'used', 'released')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now())
+);
+
+CREATE INDEX IF NOT EXISTS coupon_redemptions_coupon_idx ON public.coupon_redemptions (coupon_id, status);
+CREATE INDEX IF NOT EXISTS coupon_redemptions_username_idx ON public.coupon_redemptions (coupon_id, username);
+
+-- Kupon yang dipakai tercatat di order untuk laporan (harga asli, kode, dan potongan).
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS original_amount NUMERIC;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS coupon_code TEXT;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS discount_amount NUMERIC DEFAULT 0;
+CREATE INDEX IF NOT EXISTS orders_coupon_code_idx ON public.orders (coupon_code);
+
+-- Progres pembuatan panel (lib/pterodactyl.js): { step, user_id, username, server_id, server_name, node }.
+-- step: user_created -> server_created, atau rolled_back setelah admin membatalkan order.
+-- Retry melanjutkan dari step terakhir sehingga tidak ada user Pterodactyl yatim.
+-- Password panel tidak disimpan di sini (admin viewer bisa membaca kolom ini); versi lama menyimpannya, dihapus di bawah.
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS provisioning JSONB;
+UPDATE public.orders SET provisioning = provisioning - 'password' WHERE provisioning ? 'password';
+
+-- Kontak pembeli untuk notifikasi (opsional, diisi saat checkout / lewat bot Telegram).
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS customer_whatsapp TEXT; -- Format 628xxx
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS customer_email TEXT;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS customer_telegram_chat_id TEXT; -- Diisi /api/webhooks/telegram
+
+-- Klaim kupon secara atomik: baris kupon dikunci (FOR UPDATE) lalu kuota total & per user dicek ulang.
+-- Mengembalikan 0 baris jika kuota habis.
+CREATE OR REPLACE FUNCTION public.redeem_coupon(p_coupon_id UUID, p_order_id TEXT, p_username TEXT, p_discount NUMERIC)
+RETURNS SETOF public.coupon_redemptions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    c public.coupons%ROWTYPE;
+BEGIN
+    SELECT * INTO c FROM public.coupons WHERE id = p_coupon_id FOR UPDATE;
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    IF c.max_uses IS NOT NULL AND (
+        SELECT COUNT(*) FROM public.coupon_redemptions
+        WHERE coupon_id = c.id AND status <> 'released'
+    ) >= c.max_uses THEN
+        RETURN;
+    END IF;
+
+    IF c.per_user_limit IS NOT NULL AND p_username IS NOT NULL AND (
+        SELECT COUNT(*) FROM public.coupon_redemptions
+        WHERE coupon_id = c.id AND username = p_username AND status <> 'released'
+    ) >= c.per_user_limit THEN
+        RETURN;
+    END IF;
+
+    RETURN QUERY
+    INSERT INTO public.coupon_redemptions (coupon_id, order_id, username, discount_amount)
+    VALUES (c.id, p_order_id, p_username, p_discount)
+    RETURNING *;
+END;
+$$;
+
+
+-- 13. TABLE: BOT_RENTALS
+-- Setiap sewa bot (grup / nomor target + masa sewa). Aktivasi lewat webhook bot control (lib/bot-control.js),
+-- cron /api/cron/bot-rentals mengirim reminder dan menonaktifkan sewa yang habis.
+CREATE TABLE IF NOT EXISTS public.bot_rentals (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    order_id TEXT UNIQUE REFERENCES public.orders(id) ON DELETE SET NULL, -- Order sewa pertama
+    product_id UUID REFERENCES public.products(id) ON DELETE SET NULL, -- Paket yang dipakai untuk perpanjangan
+    username TEXT,
+    target_type TEXT NOT NULL CHECK (target_type IN ('group', 'number')),
+    target TEXT NOT NULL, -- Link undangan grup WhatsApp atau nomor 628xxx
+    starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'active', 'expired', 'cancelled')),
+    activated_at TIMESTAMP WITH TIME ZONE, -- Kosong = belum diaktifkan bot (aktivasi manual oleh admin)
+    deactivated_at TIMESTAMP WITH TIME ZONE,
+    reminded_at TIMESTAMP WITH TIME ZONE,
+    last_error TEXT, -- Error terakhir dari webhook bot control
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now())
+);
+
+CREATE INDEX IF NOT EXISTS bot_rentals_status_expires_idx ON public.bot_rentals (status, expires_at);
+CREATE INDEX IF NOT EXISTS bot_rentals_target_idx ON public.bot_rentals (target);
+
+-- Grup / nomor yang diisi pembeli saat checkout sewa bot. Order perpanjangan sewa memakai renewal_of = bot_rentals.id.
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS rental_target TEXT;
+
+-- Gateway pembayaran per order (lib/payments). Order lama tanpa provider dianggap Pakasir QRIS.
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS payment_provider TEXT DEFAULT 'pakasir'; -- pakasir | tripay | sandbox | balance | manual
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS payment_method TEXT; -- qris, BRIVA, DANA, ...
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS payment_reference TEXT; -- ID transaksi di gateway
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS payment_data JSONB; -- { payment_number, qr_string, pay_url, expires_at }
+CREATE INDEX IF NOT EXISTS orders_payment_reference_idx ON public.orders (payment_reference);
+
+-- Batas bayar order pending (dari gateway, atau ORDER_EXPIRY_MINUTES setelah checkout).
+-- Cron /api/cron/expire-orders mengubah order lewat batas menjadi 'expired' dan membatalkannya di gateway.
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP WITH TIME ZONE;
+CREATE INDEX IF NOT EXISTS orders_pending_expiry_idx ON public.orders (expires_at) WHERE status = 'pending';
+
+
+-- 14. TABLE: DOWNLOAD_TOKENS & DOWNLOAD_LOGS
+-- Link /download/:token untuk produk script (lib/downloads.js): batas jumlah download & masa berlaku per order.
+-- Buat link baru dari Cek Pesanan = token lama dicabut (revoked_at), sisa kuota pindah ke token baru.
+CREATE TABLE IF NOT EXISTS public.download_tokens (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    token TEXT UNIQUE NOT NULL,
+    order_id TEXT REFERENCES public.orders(id) ON DELETE CASCADE,
+    file_path TEXT NOT NULL, -- Path di bucket digital-products
+    max_downloads INTEGER NOT NULL,
+    download_count INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now())
+);
+
+CREATE INDEX IF NOT EXISTS download_tokens_order_idx ON public.download_tokens (order_id, created_at DESC);
+
+-- Setiap download yang berhasil (IP & browser pembeli), tampil di Riwayat Status order di admin.
+CREATE TABLE IF NOT EXISTS public.download_logs (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    token_id UUID REFERENCES public.download_tokens(id) ON DELETE CASCADE,
+    order_id TEXT REFERENCES public.orders(id) ON DELETE CASCADE,
+    ip TEXT,
+    user_agent TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now())
+);
+
+CREATE INDEX IF NOT EXISTS download_logs_order_idx ON public.download_logs (order_id, created_at DESC);
+
+-- Hitung satu download secara atomik. Mengembalikan 0 baris jika token dicabut, kedaluwarsa, atau kuota habis.
+CREATE OR REPLACE FUNCTION public.consume_download_token(p_token TEXT)
+RETURNS SETOF public.download_tokens
+LANGUAGE sql
+AS $$
+    UPDATE public.download_tokens
+    SET download_count = download_count + 1
+    WHERE token = p_token
+      AND revoked_at IS NULL
+      AND expires_at > now()
+      AND download_count < max_downloads
+    RETURNING *;
+$$;
+
+
+-- 15. TABLE: PRODUCT_VERSIONS
+-- Rilis produk script (lib/product-versions.js). Draft -> published; versi published terbaru yang didownload
+-- semua pembeli, dan publish mengirim notifikasi update ke pembeli lama.
+CREATE TABLE IF NOT EXISTS public.product_versions (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    product_id UUID REFERENCES public.products(id) ON DELETE CASCADE,
+    version TEXT NOT NULL, -- Contoh: 1.2.0
+    file_path TEXT NOT NULL, -- Path di bucket digital-products
+    changelog TEXT,
+    created_by TEXT, -- Username admin
+    published_at TIMESTAMP WITH TIME ZONE, -- Kosong = draft
+    notified_at TIMESTAMP WITH TIME ZONE,
+    notified_count INTEGER DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()),
+    UNIQUE (product_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS product_versions_published_idx ON public.product_versions (product_id, published_at DESC);
+-- Cari pembeli lama saat versi baru dipublish
+CREATE INDEX IF NOT EXISTS orders_product_status_idx ON public.orders (product_id, status);
+
+-- Slug stabil untuk import / export katalog (lib/catalog.js): import mencocokkan produk lewat slug.
+-- Produk lama diisi dari nama; nama kembar mendapat akhiran -2, -3, ...
+ALTER TABLE public.products ADD COLUMN IF NOT EXISTS slug TEXT;
+UPDATE public.products p
+SET slug = s.base || CASE WHEN s.n > 1 THEN '-' || s.n ELSE '' END
+FROM (
+    SELECT id, base, row_number() OVER (PARTITION BY base ORDER BY created_at, id) AS n
+    FROM (
+        SELECT id, created_at, COALESCE(NULLIF(trim(both '-' FROM lower(regexp_replace(name, '[^a-zA-Z0-9]+', '-', 'g'))), ''), 'produk') AS base
+        FROM public.products
+        WHERE slug IS NULL
+    ) named
+) s
+WHERE p.id = s.id;
+CREATE UNIQUE INDEX IF NOT EXISTS products_slug_idx ON public.products (slug);
+
+
+-- 16. TABLE: RESELLERS, RESELLER_API_KEYS, RESELLER_TRANSACTIONS
+-- Akun reseller dengan saldo prepaid (lib/resellers.js). Saldo hanya berubah lewat RPC reseller_apply_balance
+-- yang sekaligus mencatat mutasi di reseller_transactions.
+CREATE TABLE IF NOT EXISTS public.resellers (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    name TEXT NOT NULL,
+    tier TEXT NOT NULL DEFAULT 'bronze', -- Level harga, daftar dari RESELLER_TIERS
+    balance NUMERIC NOT NULL DEFAULT 0 CHECK (balance >= 0),
+    whatsapp TEXT, -- Format 628xxx, untuk notifikasi top up
+    email TEXT,
+    notes TEXT,
+    active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now())
+);
+
+-- API key dikirim sebagai "Authorization: Bearer rk_...". Hanya SHA-256 yang disimpan, prefix untuk tampilan.
+CREATE TABLE IF NOT EXISTS public.reseller_api_keys (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    reseller_id UUID REFERENCES public.resellers(id) ON DELETE CASCADE,
+    label TEXT,
+    key_prefix TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    last_used_at TIMESTAMP WITH TIME ZONE,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now())
+);
+
+-- Mutasi saldo. amount bertanda: + top up / refund / koreksi, - order / pembatalan top up.
+CREATE TABLE IF NOT EXISTS public.reseller_transactions (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    reseller_id UUID REFERENCES public.resellers(id) ON DELETE CASCADE,
+    type TEXT NOT NULL, -- topup | order | refund | topup_reversal | adjustment
+    amount NUMERIC NOT NULL,
+    balance_after NUMERIC NOT NULL,
+    order_id TEXT REFERENCES public.orders(id) ON DELETE SET NULL,
+    note TEXT,
+    actor TEXT, -- reseller:<nama>, admin:<username>, system
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now())
+);
+
+CREATE INDEX IF NOT EXISTS reseller_api_keys_reseller_idx ON public.reseller_api_keys (reseller_id);
+CREATE INDEX IF NOT EXISTS reseller_transactions_reseller_idx ON public.reseller_transactions (reseller_id, created_at DESC);
+-- Satu mutasi per jenis per order: top up / debit / refund tidak pernah terhitung dua kali
+CREATE UNIQUE INDEX IF NOT EXISTS reseller_transactions_order_type_idx ON public.reseller_transactions (order_id, type) WHERE order_id IS NOT NULL;
+
+-- Order via API reseller & order top up. reseller_ref = ID dari sistem reseller (idempotensi request ulang).
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS reseller_id UUID REFERENCES public.resellers(id) ON DELETE SET NULL;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS reseller_ref TEXT;
+CREATE UNIQUE INDEX IF NOT EXISTS orders_reseller_ref_idx ON public.orders (reseller_id, reseller_ref) WHERE reseller_ref IS NOT NULL;
+
+-- Harga reseller per level: { "bronze": 9000, "gold": 8000 }. Level tanpa harga membayar harga normal.
+ALTER TABLE public.products ADD COLUMN IF NOT EXISTS reseller_prices JSONB DEFAULT '{}'::jsonb;
+
+-- Ubah saldo secara atomik & catat mutasinya. Mengembalikan 0 baris jika saldo tidak cukup atau reseller nonaktif
+-- (kredit ke reseller nonaktif tetap boleh, misalnya refund).
+CREATE OR REPLACE FUNCTION public.reseller_apply_balance(p_reseller_id UUID, p_amount NUMERIC, p_type TEXT, p_order_id TEXT, p_note TEXT, p_actor TEXT)
+RETURNS SETOF public.reseller_transactions
+LANGUAGE plpgsql
+AS $$
+DECLARE
+    v_balance NUMERIC;
+BEGIN
+    UPDATE public.resellers
+    SET balance = balance + p_amount, updated_at = now()
+    WHERE id = p_reseller_id
+      AND balance + p_amount >= 0
+      AND (active OR p_amount >= 0)
+    RETURNING balance INTO v_balance;
+
+    IF NOT FOUND THEN
+        RETURN;
+    END IF;
+
+    RETURN QUERY
+    INSERT INTO public.reseller_transactions (reseller_id, type, amount, balance_after, order_id, note, actor)
+    VALUES (p_reseller_id, p_type, p_amount, v_balance, p_order_id, p_note, p_actor)
+    RETURNING *;
+END;
+$$;
+
+
+-- 17. PANEL CUSTOMER AREA
+-- Pembeli panel mengelola panelnya di halaman Cek Pesanan (Order ID + kode rahasia): status, reset password, upgrade paket.
+-- Order upgrade menunjuk ke langganan yang di-upgrade; pembeli hanya membayar selisih harga, masa aktif tetap.
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS upgrade_of UUID;
+-- Kapan pembeli terakhir me-reset password panel
+ALTER TABLE public.panel_subscriptions ADD COLUMN IF NOT EXISTS password_reset_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS panel_subscriptions_order_idx ON public.panel_subscriptions (order_id);
+
+
+-- 18. TABLE: BLOCKLIST & ABUSE_EVENTS
+-- Perlindungan endpoint checkout publik (lib/abuse.js): IP / username yang diblokir admin, dan catatan
+-- pelanggaran (rate limit, terlalu banyak order pending, kode rahasia salah, akses dari blocklist).
+CREATE TABLE IF NOT EXISTS public.blocklist (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    type TEXT NOT NULL CHECK (type IN ('ip', 'username')),
+    value TEXT NOT NULL, -- Alamat IP, atau username dalam huruf kecil
+    reason TEXT,
+    expires_at TIMESTAMP WITH TIME ZONE, -- Kosong = permanen
+    created_by TEXT, -- Username admin
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()),
+    UNIQUE (type, value)
+);
+
+-- Dicatat paling banyak sekali per jenis & pelaku per 10 menit, jadi serangan tidak membanjiri tabel ini.
+CREATE TABLE IF NOT EXISTS public.abuse_events (
+    id UUID DEFAULT uuid_generate_v4() PRIMARY KEY,
+    kind TEXT NOT NULL, -- rate_limited | pending_limit | bad_secret | blocked
+    endpoint TEXT, -- checkout | check_payment | cancel | panel_upgrade
+    ip TEXT,
+    username TEXT,
+    order_id TEXT, -- Tanpa foreign key: order ID tebakan bisa saja tidak ada
+    details JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now())
+);
+
+CREATE INDEX IF NOT EXISTS abuse_events_created_at_idx ON public.abuse_events (created_at DESC);
+-- Hitung order pending per username (batas MAX_PENDING_ORDERS)
+CREATE INDEX IF NOT EXISTS orders_customer_status_idx ON public.orders (customer_username, status);
+
+
+-- 19. STOREFRONT: KATEGORI & DESKRIPSI PRODUK
+-- Halaman utama dikelompokkan per kategori (lib/storefront.js); produk tanpa kategori masuk bagian default tipenya.
+-- Deskripsi tampil di halaman produk /p/:slug dan sebagai meta description untuk mesin pencari.
+ALTER TABLE public.products ADD COLUMN IF NOT EXISTS category TEXT;
+ALTER TABLE public.products ADD COLUMN IF NOT EXISTS description TEXT;
+
+
+-- 20. REFUND & ORDER MANUAL
+-- Refund dari panel admin (lib/refunds.js): jumlah 0 .. amount, laporan menghitung amount - refund_amount.
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS refund_amount NUMERIC;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS refund_reason TEXT;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS refunded_by TEXT; -- admin:<username>
+-- Pengiriman yang dicabut saat refund tidak lagi tampil di Cek Pesanan
+ALTER TABLE public.deliveries ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP WITH TIME ZONE;
+-- Order manual (payment_provider = 'manual') untuk pembeli yang bayar via transfer bank / tunai
+ALTER TABLE public.orders ADD COLUMN IF NOT EXISTS created_by TEXT; -- admin:<username>, kosong = checkout pembeli
+
 
 -- =====================================================================================
 -- ROW LEVEL SECURITY (RLS) - KEAMANAN DATA
@@ -131,6 +647,23 @@ ALTER TABLE public.settings ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.products ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.orders ENABLE ROW LEVEL SECURITY;
 ALTER TABLE public.deliveries ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.order_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.panel_subscriptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.admin_users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.admin_sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.admin_audit_logs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.stock_items ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.coupons ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.coupon_redemptions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.bot_rentals ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.download_tokens ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.download_logs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.product_versions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.resellers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.reseller_api_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.reseller_transactions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.blocklist ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.abuse_events ENABLE ROW LEVEL SECURITY;
 
 -- Reset Policy Lama (Idempotency)
 DROP POLICY IF EXISTS "Public Read Settings" ON public.settings;
@@ -142,6 +675,23 @@ DROP POLICY IF EXISTS "Service Role Full Access Settings" ON public.settings;
 DROP POLICY IF EXISTS "Service Role Full Access Products" ON public.products;
 DROP POLICY IF EXISTS "Service Role Full Access Orders" ON public.orders;
 DROP POLICY IF EXISTS "Service Role Full Access Deliveries" ON public.deliveries;
+DROP POLICY IF EXISTS "Service Role Full Access Order Events" ON public.order_events;
+DROP POLICY IF EXISTS "Service Role Full Access Panel Subscriptions" ON public.panel_subscriptions;
+DROP POLICY IF EXISTS "Service Role Full Access Admin Users" ON public.admin_users;
+DROP POLICY IF EXISTS "Service Role Full Access Admin Sessions" ON public.admin_sessions;
+DROP POLICY IF EXISTS "Service Role Full Access Admin Audit Logs" ON public.admin_audit_logs;
+DROP POLICY IF EXISTS "Service Role Full Access Stock Items" ON public.stock_items;
+DROP POLICY IF EXISTS "Service Role Full Access Coupons" ON public.coupons;
+DROP POLICY IF EXISTS "Service Role Full Access Coupon Redemptions" ON public.coupon_redemptions;
+DROP POLICY IF EXISTS "Service Role Full Access Bot Rentals" ON public.bot_rentals;
+DROP POLICY IF EXISTS "Service Role Full Access Download Tokens" ON public.download_tokens;
+DROP POLICY IF EXISTS "Service Role Full Access Download Logs" ON public.download_logs;
+DROP POLICY IF EXISTS "Service Role Full Access Product Versions" ON public.product_versions;
+DROP POLICY IF EXISTS "Service Role Full Access Resellers" ON public.resellers;
+DROP POLICY IF EXISTS "Service Role Full Access Reseller Api Keys" ON public.reseller_api_keys;
+DROP POLICY IF EXISTS "Service Role Full Access Reseller Transactions" ON public.reseller_transactions;
+DROP POLICY IF EXISTS "Service Role Full Access Blocklist" ON public.blocklist;
+DROP POLICY IF EXISTS "Service Role Full Access Abuse Events" ON public.abuse_events;
 
 -- --- PUBLIC ACCESS POLICIES (Frontend User) ---
 
@@ -151,15 +701,9 @@ CREATE POLICY "Public Read Settings" ON public.settings FOR SELECT USING (true);
 -- Products: Publik HANYA boleh baca produk yang AKTIF.
 CREATE POLICY "Public Read Active Products" ON public.products FOR SELECT USING (active = true);
 
--- Orders: Publik boleh MEMBUAT order (Checkout).
-CREATE POLICY "Public Create Order" ON public.orders FOR INSERT WITH CHECK (true);
-
--- Orders: Publik boleh MEMBACA order berdasarkan ID (Untuk cek status pembayaran).
--- Note: Di production, ini bisa diperketat dengan session ID, tapi untuk flow tanpa login, ID based is standard.
-CREATE POLICY "Public Read Own Order" ON public.orders FOR SELECT USING (true);
-
--- Deliveries: Publik boleh MEMBACA delivery (Untuk melihat kredensial setelah bayar).
-CREATE POLICY "Public Read Own Delivery" ON public.deliveries FOR SELECT USING (true);
+-- Orders & Deliveries: TIDAK ada akses publik langsung.
+-- Checkout, cek status, dan Cek Pesanan berjalan lewat backend yang memverifikasi
+-- Order ID + kode rahasia order (lihat /api/orders/:id). Policy publik lama dihapus di atas.
 
 
 -- --- ADMIN / BACKEND ACCESS POLICIES ---
@@ -170,5 +714,22 @@ CREATE POLICY "Service Role Full Access Settings" ON public.settings FOR ALL USI
 CREATE POLICY "Service Role Full Access Products" ON public.products FOR ALL USING (auth.role() = 'service_role');
 CREATE POLICY "Service Role Full Access Orders" ON public.orders FOR ALL USING (auth.role() = 'service_role');
 CREATE POLICY "Service Role Full Access Deliveries" ON public.deliveries FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Service Role Full Access Order Events" ON public.order_events FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Service Role Full Access Panel Subscriptions" ON public.panel_subscriptions FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Service Role Full Access Admin Users" ON public.admin_users FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Service Role Full Access Admin Sessions" ON public.admin_sessions FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Service Role Full Access Admin Audit Logs" ON public.admin_audit_logs FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Service Role Full Access Stock Items" ON public.stock_items FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Service Role Full Access Coupons" ON public.coupons FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Service Role Full Access Coupon Redemptions" ON public.coupon_redemptions FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Service Role Full Access Bot Rentals" ON public.bot_rentals FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Service Role Full Access Download Tokens" ON public.download_tokens FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Service Role Full Access Download Logs" ON public.download_logs FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Service Role Full Access Product Versions" ON public.product_versions FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Service Role Full Access Resellers" ON public.resellers FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Service Role Full Access Reseller Api Keys" ON public.reseller_api_keys FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Service Role Full Access Reseller Transactions" ON public.reseller_transactions FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Service Role Full Access Blocklist" ON public.blocklist FOR ALL USING (auth.role() = 'service_role');
+CREATE POLICY "Service Role Full Access Abuse Events" ON public.abuse_events FOR ALL USING (auth.role() = 'service_role');
 
 -- Selesai Setup Database
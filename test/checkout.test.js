@@ -0,0 +1,203 @@
+/**
+ * Checkout -> payment -> delivery through the real routes, fully offline:
+ * local data backend in a temp folder, sandbox payments, mock notifications
+ * and the in-memory Pterodactyl panel.
+ */
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ipin-checkout-'));
+Object.assign(process.env, {
+    DATA_BACKEND: 'local',
+    LOCAL_DB_FILE: path.join(dataDir, 'local.db'),
+    LOCAL_STORAGE_DIR: path.join(dataDir, 'storage'),
+    PAYMENT_SANDBOX: 'true',
+    NOTIFY_TRANSPORT: 'mock',
+    PT_TRANSPORT: 'mock',
+    // app.js loads .env; these must not come from a real panel setup
+    PT_NEST_ID: '5',
+    PT_EGG_ID: '15',
+    PT_LOCATION_ID: '1',
+    STORE_NAME: 'Test Store',
+    // Every test checks out from 127.0.0.1
+    RATE_LIMIT_CHECKOUT_IP: '100/10m'
+});
+
+let server;
+let baseUrl;
+let database;
+
+async function call(method, urlPath, { body, secret } = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (secret) headers['x-order-secret'] = secret;
+    const res = await fetch(baseUrl + urlPath, { method, headers, body: body ? JSON.stringify(body) : undefined });
+    const text = await res.text();
+    let json = null;
+    try { json = JSON.parse(text); } catch (e) { /* HTML pages */ }
+    return { status: res.status, body: json, text };
+}
+
+// Open a sandbox checkout for `product` -> { order_id, order_secret, amount }
+async function checkout(product, fields = {}) {
+    const res = await call('POST', '/api/create-qris', {
+        body: { product_id: product.id, amount: Number(product.price), payment_provider: 'sandbox', ...fields }
+    });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.success, true);
+    return res.body;
+}
+
+function pay(order) {
+    return call('POST', `/api/payments/sandbox/${order.order_id}/paid`, { secret: order.order_secret });
+}
+
+function lookup(order) {
+    return call('GET', `/api/orders/${order.order_id}`, { secret: order.order_secret });
+}
+
+async function publicProduct(type) {
+    const res = await call('GET', '/api/products');
+    return res.body.data.find(p => p.type === type);
+}
+
+before(async () => {
+    const app = require('../app');
+    database = require('../lib/data').createDatabase();
+    await new Promise(resolve => { server = app.listen(0, resolve); });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    // The homepage seeds the default catalog
+    const home = await call('GET', '/');
+    assert.equal(home.status, 200);
+});
+
+after(() => {
+    if (server) server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('panel order is provisioned on the mock panel after sandbox payment', async () => {
+    const product = await publicProduct('panel');
+    const order = await checkout(product, { username: 'budi01' });
+
+    const paid = await pay(order);
+    assert.equal(paid.status, 200);
+    assert.equal(paid.body.order_status, 'completed');
+
+    const { body } = await lookup(order);
+    assert.equal(body.data.status, 'completed');
+    const [delivery] = body.data.deliveries;
+    assert.equal(delivery.delivery_type, 'panel_credentials');
+    assert.equal(delivery.payload.username, 'budi01');
+    assert.ok(delivery.payload.server_id);
+    assert.ok(delivery.payload.password);
+
+    const mock = require('../lib/pterodactyl-mock');
+    assert.ok(mock.getState().servers.some(s => s.id === delivery.payload.server_id && s.external_id === order.order_id));
+
+    const panel = await call('GET', `/api/orders/${order.order_id}/panel`, { secret: order.order_secret });
+    assert.equal(panel.status, 200);
+    assert.equal(panel.body.data.status, 'active');
+});
+
+test('a renewal order extends the panel but never opens its panel area', async () => {
+    const lookupRes = await call('GET', '/api/panels/renewal?username=budi01');
+    assert.equal(lookupRes.status, 200);
+    const { subscription_id, product } = lookupRes.body.data;
+
+    // Anyone can do this for any username, so it must not hand out the panel
+    const renewal = await checkout(product, { renew_subscription_id: subscription_id });
+    const paid = await pay(renewal);
+    assert.equal(paid.body.order_status, 'completed');
+    assert.equal((await lookup(renewal)).body.data.deliveries[0].delivery_type, 'panel_renewal');
+
+    const panel = await call('GET', `/api/orders/${renewal.order_id}/panel`, { secret: renewal.order_secret });
+    assert.equal(panel.status, 404);
+    const reset = await call('POST', `/api/orders/${renewal.order_id}/panel/reset-password`, { secret: renewal.order_secret });
+    assert.equal(reset.status, 404);
+});
+
+test('stock order reserves an item at checkout and delivers it once paid', async () => {
+    const { data: product, error } = await database.from('products').insert({
+        type: 'stock', name: 'Lisensi Tes', slug: 'lisensi-tes', price: 15000, features: [], meta: {}, active: true
+    }).select().single();
+    assert.equal(error, null);
+    await database.from('stock_items').insert([
+        { product_id: product.id, content: 'KEY-AAA' },
+        { product_id: product.id, content: 'KEY-BBB' }
+    ]);
+
+    const order = await checkout(product, { username: 'sari01' });
+    const { data: held } = await database.from('stock_items').select('*').eq('order_id', order.order_id);
+    assert.equal(held.length, 1);
+    assert.equal(held[0].status, 'reserved');
+
+    const paid = await pay(order);
+    assert.equal(paid.body.order_status, 'completed');
+
+    const { body } = await lookup(order);
+    assert.equal(body.data.deliveries[0].delivery_type, 'stock_item');
+    assert.deepEqual(body.data.deliveries[0].payload.items, [held[0].content]);
+
+    const { data: sold } = await database.from('stock_items').select('*').eq('id', held[0].id).single();
+    assert.equal(sold.status, 'sold');
+});
+
+test('cancelled checkout hands its stock item back', async () => {
+    const { data: product } = await database.from('products').select('*').eq('slug', 'lisensi-tes').single();
+    const order = await checkout(product, { username: 'sari02' });
+
+    const cancelled = await call('POST', '/api/cancel-payment', { body: { order_id: order.order_id }, secret: order.order_secret });
+    assert.equal(cancelled.status, 200);
+
+    const { data: items } = await database.from('stock_items').select('*').eq('product_id', product.id).eq('status', 'available');
+    assert.equal(items.length, 1);
+    assert.equal((await lookup(order)).body.data.status, 'cancelled');
+});
+
+test('order routes refuse a wrong order secret', async () => {
+    const product = await publicProduct('panel');
+    const order = await checkout(product, { username: 'budi02' });
+
+    const payWrong = await call('POST', `/api/payments/sandbox/${order.order_id}/paid`, { secret: 'salah' });
+    assert.equal(payWrong.status, 403);
+    // Lookups do not tell a wrong secret from an unknown order
+    const lookupWrong = await call('GET', `/api/orders/${order.order_id}`, { secret: 'salah' });
+    assert.equal(lookupWrong.status, 404);
+    assert.equal((await lookup(order)).body.data.status, 'pending');
+});
+
+test('pending-order cap counts every spelling of a username as one buyer', async () => {
+    const product = await publicProduct('panel');
+    for (const username of ['Rina01', 'RINA01', ' rina01 ']) {
+        const order = await checkout(product, { username });
+        assert.equal((await lookup(order)).body.data.customer_username, 'rina01');
+    }
+
+    const res = await call('POST', '/api/create-qris', {
+        body: { product_id: product.id, amount: Number(product.price), username: 'rInA01', payment_provider: 'sandbox' }
+    });
+    assert.equal(res.status, 429);
+    assert.equal(res.body.success, false);
+});
+
+test('checkout refuses an amount that differs from the catalog price', async () => {
+    const product = await publicProduct('panel');
+    const res = await call('POST', '/api/create-qris', {
+        body: { product_id: product.id, amount: Number(product.price) - 1, username: 'budi03', payment_provider: 'sandbox' }
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.success, false);
+});
+
+test('admin login locks out a username after repeated wrong passwords', async () => {
+    const login = password => call('POST', '/api/admin/login', { body: { username: 'Owner', password } });
+    for (let i = 0; i < 5; i++) assert.equal((await login(`salah-${i}`)).status, 401);
+
+    const locked = await login('salah-5');
+    assert.equal(locked.status, 429);
+    assert.equal(locked.body.success, false);
+});
@@ -0,0 +1,144 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStubClient } = require('../helpers/stub-supabase');
+const mock = require('../../lib/pterodactyl-mock');
+const handler = require('../../lib/fulfillment/panel');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// In-memory panel (lib/pterodactyl-mock.js) with the default egg
+Object.assign(process.env, { PT_TRANSPORT: 'mock', PT_NEST_ID: '5', PT_EGG_ID: '15', PT_LOCATION_ID: '1' });
+delete process.env.PT_DOMAIN;
+
+const product = { id: 'p1', name: 'Panel 2GB RAM', meta: { ram: '2000', disk: '4000', cpu: '80', duration_days: 30 } };
+
+function setup(orderFields = {}) {
+    const order = { id: 'ORD-1', customer_username: 'budi', provisioning: null, ...orderFields };
+    const supabase = createStubClient({ tables: { orders: [order], panel_subscriptions: [] } });
+    return { supabase, order, ctx: { supabase, getSettings: async () => ({}) } };
+}
+
+// Order row as the next fulfillment attempt reads it
+const reload = (supabase, id = 'ORD-1') => supabase.rows('orders').find(o => o.id === id);
+
+beforeEach(() => {
+    mock.reset();
+});
+
+test('fulfill creates the panel user and server and records the subscription', async () => {
+    const { supabase, order, ctx } = setup();
+
+    const result = await handler.fulfill(order, product, ctx);
+
+    const { users, servers } = mock.getState();
+    assert.equal(users.length, 1);
+    assert.equal(users[0].username, 'budi');
+    assert.equal(servers.length, 1);
+    assert.equal(servers[0].external_id, 'ORD-1');
+    assert.deepEqual([servers[0].limits.memory, servers[0].limits.disk, servers[0].limits.cpu], [2000, 4000, 80]);
+
+    assert.equal(result.delivery_type, 'panel_credentials');
+    assert.equal(result.payload.username, 'budi');
+    assert.ok(result.payload.password);
+    assert.equal(result.payload.panel_url, mock.PANEL_URL);
+    assert.equal(result.payload.server_id, servers[0].id);
+    assert.equal(result.payload.user_id, users[0].id);
+
+    assert.equal(reload(supabase).provisioning.step, 'server_created');
+    assert.equal(reload(supabase).provisioning.password, undefined);
+    const [sub] = supabase.rows('panel_subscriptions');
+    assert.equal(sub.id, result.payload.subscription_id);
+    assert.equal(sub.status, 'active');
+    assert.equal(sub.ptero_server_id, servers[0].id);
+    assert.ok(Math.abs(new Date(sub.expires_at) - Date.now() - 30 * DAY_MS) < 60000);
+});
+
+test('fulfill retried resumes from the saved provisioning state with a new password', async () => {
+    const { supabase, order, ctx } = setup();
+    const first = await handler.fulfill(order, product, ctx);
+
+    const retry = await handler.fulfill(reload(supabase), product, ctx);
+
+    assert.equal(mock.getState().servers.length, 1);
+    assert.equal(retry.payload.server_id, first.payload.server_id);
+    assert.ok(retry.payload.password);
+    assert.notEqual(retry.payload.password, first.payload.password);
+    assert.equal(supabase.rows('panel_subscriptions').length, 1);
+});
+
+test('fulfill drops a password older attempts saved in the provisioning state', async () => {
+    const { supabase, order, ctx } = setup({ provisioning: { step: null, password: 'lama-bocor' } });
+
+    const result = await handler.fulfill(order, product, ctx);
+
+    assert.notEqual(result.payload.password, 'lama-bocor');
+    assert.equal(reload(supabase).provisioning.password, undefined);
+});
+
+test('fulfill maps 0 and UNLIMITED to unlimited limits', async () => {
+    const { order, ctx } = setup();
+
+    await handler.fulfill(order, { ...product, meta: { ram: 0, disk: 'UNLIMITED', cpu: '0' } }, ctx);
+
+    const [server] = mock.getState().servers;
+    assert.deepEqual([server.limits.memory, server.limits.disk, server.limits.cpu], [0, 0, 0]);
+});
+
+test('fulfill refuses a username that is already on the panel', async () => {
+    const { supabase, order, ctx } = setup();
+    await mock.request('post', '/users', { username: 'budi', email: 'budi@lain.test' });
+
+    await assert.rejects(handler.fulfill(order, product, ctx), /sudah terdaftar/);
+    assert.equal(mock.getState().servers.length, 0);
+    assert.equal(supabase.rows('panel_subscriptions').length, 0);
+});
+
+test('revoke deletes the server and its user and closes the subscription', async () => {
+    const { supabase, order, ctx } = setup();
+    const delivery = await handler.fulfill(order, product, ctx);
+
+    await handler.revoke(order, delivery, ctx);
+
+    assert.deepEqual(mock.getState(), { users: [], servers: [] });
+    const [sub] = supabase.rows('panel_subscriptions');
+    assert.equal(sub.status, 'deleted');
+    assert.ok(sub.deleted_at);
+});
+
+test('revoke refuses a delivery without panel IDs', async () => {
+    const { order, ctx } = setup();
+
+    await assert.rejects(
+        handler.revoke(order, { delivery_type: 'panel_credentials', payload: { username: 'budi' } }, ctx),
+        /no Pterodactyl IDs/
+    );
+});
+
+test('abort removes what a failed attempt left on the panel', async () => {
+    // The attempt died after creating the user, before saving it
+    const { supabase, order, ctx } = setup();
+    await mock.request('post', '/users', { username: 'budi', email: 'budi@ipin.market', external_id: 'ORD-1' });
+
+    const removed = await handler.abort(order, ctx);
+
+    assert.equal(removed.server_id, null);
+    assert.ok(removed.user_id);
+    assert.equal(mock.getState().users.length, 0);
+    assert.equal(reload(supabase).provisioning.step, 'rolled_back');
+});
+
+test('abort does nothing when no panel was created', async () => {
+    const { supabase, order, ctx } = setup();
+
+    assert.equal(await handler.abort(order, ctx), null);
+    assert.equal(reload(supabase).provisioning, null);
+});
+
+test('validateMeta accepts numbers, 0 and the unlimited words', () => {
+    assert.deepEqual(handler.validateMeta({ ram: '1000', disk: 0, cpu: 'MAX' }), []);
+    assert.deepEqual(handler.validateMeta({ ram: 'UNLIMITED', disk: 'UNLIMITED', cpu: '0' }), []);
+    assert.deepEqual(handler.validateMeta({ ram: 'banyak', ptero: [] }), [
+        'meta.ram harus bilangan bulat >= 0',
+        'meta.ptero harus berupa object'
+    ]);
+});
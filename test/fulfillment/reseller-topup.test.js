@@ -0,0 +1,100 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStubClient } = require('../helpers/stub-supabase');
+const { ResellerError } = require('../../lib/resellers');
+const handler = require('../../lib/fulfillment/reseller-topup');
+
+// reseller_apply_balance RPC: move the balance and write the ledger row, nothing when it would go negative
+function applyBalance({ p_reseller_id, p_amount, p_type, p_order_id, p_note, p_actor }, db) {
+    const reseller = db.rows('resellers').find(r => r.id === p_reseller_id);
+    if (!reseller || reseller.balance + p_amount < 0 || (!reseller.active && p_amount < 0)) return [];
+    if (p_order_id && db.rows('reseller_transactions').some(t => t.order_id === p_order_id && t.type === p_type)) {
+        throw { code: '23505', message: 'duplicate key value violates unique constraint' };
+    }
+    reseller.balance += p_amount;
+    const transaction = {
+        id: `t${db.rows('reseller_transactions').length + 1}`,
+        reseller_id: p_reseller_id,
+        type: p_type,
+        amount: p_amount,
+        balance_after: reseller.balance,
+        order_id: p_order_id,
+        note: p_note,
+        actor: p_actor
+    };
+    db.rows('reseller_transactions').push(transaction);
+    return [transaction];
+}
+
+function setup(balance = 10000) {
+    const supabase = createStubClient({
+        tables: { resellers: [{ id: 'r1', name: 'Toko Budi', balance, active: true }] },
+        rpc: { reseller_apply_balance: applyBalance }
+    });
+    return { supabase, ctx: { supabase, getSettings: async () => ({}) } };
+}
+
+const order = { id: 'TOP-1', reseller_id: 'r1', amount: 50000, payment_method: 'QRIS' };
+const product = { type: handler.type, name: 'Top Up Saldo' };
+
+test('fulfill credits the top-up to the reseller balance', async () => {
+    const { supabase, ctx } = setup();
+
+    const result = await handler.fulfill(order, product, ctx);
+
+    assert.deepEqual(result, {
+        delivery_type: 'balance_topup',
+        payload: { reseller_id: 'r1', amount: 50000, balance: 60000 }
+    });
+    const [transaction] = supabase.rows('reseller_transactions');
+    assert.equal(transaction.type, 'topup');
+    assert.equal(transaction.order_id, 'TOP-1');
+    assert.equal(transaction.note, 'Top up QRIS');
+});
+
+test('fulfill retried never credits twice', async () => {
+    const { supabase, ctx } = setup();
+
+    await handler.fulfill(order, product, ctx);
+    const retry = await handler.fulfill(order, product, ctx);
+
+    assert.equal(retry.payload.balance, 60000);
+    assert.equal(supabase.rows('resellers')[0].balance, 60000);
+    assert.equal(supabase.rows('reseller_transactions').length, 1);
+});
+
+test('fulfill refuses a top-up without a reseller', async () => {
+    const { supabase, ctx } = setup();
+
+    await assert.rejects(handler.fulfill({ ...order, reseller_id: null }, product, ctx), /tidak memiliki reseller/);
+    assert.equal(supabase.rpcCalls.length, 0);
+});
+
+test('revoke takes the credit back once', async () => {
+    const { supabase, ctx } = setup();
+    const delivery = await handler.fulfill(order, product, ctx);
+
+    await handler.revoke(order, delivery, ctx);
+    await handler.revoke(order, delivery, ctx);
+
+    assert.equal(supabase.rows('resellers')[0].balance, 10000);
+    assert.deepEqual(supabase.rows('reseller_transactions').map(t => [t.type, t.amount]), [['topup', 50000], ['topup_reversal', -50000]]);
+});
+
+test('revoke fails when the reseller already spent the credit', async () => {
+    const { supabase, ctx } = setup(0);
+    const delivery = await handler.fulfill(order, product, ctx);
+    supabase.rows('resellers')[0].balance = 20000;
+
+    await assert.rejects(handler.revoke(order, delivery, ctx), err => {
+        assert.ok(err instanceof ResellerError);
+        assert.equal(err.status, 402);
+        return true;
+    });
+    assert.equal(supabase.rows('resellers')[0].balance, 20000);
+});
+
+test('the handler is internal, never a catalog type', () => {
+    assert.equal(handler.internal, true);
+    assert.equal(handler.type, 'reseller_topup');
+});
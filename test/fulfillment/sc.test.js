@@ -0,0 +1,116 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStubClient } = require('../helpers/stub-supabase');
+const handler = require('../../lib/fulfillment/sc');
+
+const product = {
+    id: 'p1',
+    name: 'SC Tes',
+    meta: { file_path: 'scripts/sc-tes-v1.zip', max_downloads: 3, download_ttl_hours: 24 }
+};
+
+const order = {
+    id: 'ORD-1',
+    product_id: 'p1',
+    customer_username: 'budi',
+    product_snapshot: product
+};
+
+function setup(versions = []) {
+    const supabase = createStubClient({
+        tables: { product_versions: versions },
+        defaults: { download_tokens: { download_count: 0, revoked_at: null } }
+    });
+    const ctx = { supabase, getSettings: async () => ({ store_group_link: 'https://chat.whatsapp.com/TesGroup123' }) };
+    return { supabase, ctx };
+}
+
+beforeEach(() => {
+    delete process.env.PUBLIC_URL;
+    delete process.env.DOWNLOAD_MAX_COUNT;
+    delete process.env.DOWNLOAD_TTL_HOURS;
+});
+
+test('fulfill refuses a product without a file', async () => {
+    const { supabase, ctx } = setup();
+
+    await assert.rejects(
+        handler.fulfill(order, { ...product, meta: { file_path: '' } }, ctx),
+        /belum memiliki file script/
+    );
+    assert.equal(supabase.rows('download_tokens').length, 0);
+});
+
+test('fulfill issues a download token with the product limits', async () => {
+    const { supabase, ctx } = setup();
+
+    const result = await handler.fulfill(order, product, ctx);
+
+    const [token] = supabase.rows('download_tokens');
+    assert.equal(token.order_id, 'ORD-1');
+    assert.equal(token.file_path, 'scripts/sc-tes-v1.zip');
+    assert.equal(token.max_downloads, 3);
+    const ttlHours = (new Date(token.expires_at) - Date.now()) / 3600000;
+    assert.ok(ttlHours > 23.9 && ttlHours <= 24);
+
+    assert.equal(result.delivery_type, 'download_link');
+    assert.equal(result.payload.download_url, `/download/${token.token}`);
+    assert.equal(result.payload.downloads_left, 3);
+    assert.equal(result.payload.file_name, 'sc-tes-v1.zip');
+    assert.equal(result.payload.version, null);
+    assert.equal(result.payload.group_link, 'https://chat.whatsapp.com/TesGroup123');
+    assert.equal(result.payload.username, 'budi');
+});
+
+test('fulfill names the latest published version, not a newer draft', async () => {
+    const { ctx } = setup([
+        { product_id: 'p1', version: '1.0', file_path: 'scripts/sc-tes-v1.zip', published_at: '2026-01-01T00:00:00.000Z' },
+        { product_id: 'p1', version: '1.1', file_path: 'scripts/sc-tes-v1.1.zip', published_at: '2026-02-01T00:00:00.000Z' },
+        { product_id: 'p1', version: '2.0-beta', file_path: 'scripts/sc-tes-v2.zip', published_at: null }
+    ]);
+
+    const result = await handler.fulfill(order, product, ctx);
+
+    assert.equal(result.payload.version, '1.1');
+    assert.equal(result.payload.file_name, 'sc-tes-v1.1.zip');
+});
+
+test('refresh shows the remaining budget of the current token', async () => {
+    const { supabase, ctx } = setup();
+    const delivery = { delivery_type: 'download_link', payload: (await handler.fulfill(order, product, ctx)).payload };
+    supabase.rows('download_tokens')[0].download_count = 2;
+
+    const payload = await handler.refresh(order, delivery, ctx);
+
+    assert.equal(payload.downloads_left, 1);
+    assert.equal(payload.group_link, delivery.payload.group_link);
+    assert.equal(supabase.rows('download_tokens').length, 1);
+});
+
+test('refresh gives an order from before download tokens its first link', async () => {
+    const { supabase, ctx } = setup();
+    const legacy = { delivery_type: 'download_link', payload: { download_url: 'https://storage.example/old-link', username: 'budi' } };
+
+    const payload = await handler.refresh(order, legacy, ctx);
+
+    const [token] = supabase.rows('download_tokens');
+    assert.equal(payload.download_url, `/download/${token.token}`);
+    assert.equal(payload.username, 'budi');
+});
+
+test('revoke kills every open link of the order', async () => {
+    const { supabase, ctx } = setup();
+    const delivery = { delivery_type: 'download_link', payload: (await handler.fulfill(order, product, ctx)).payload };
+
+    await handler.revoke(order, delivery, ctx);
+
+    assert.ok(supabase.rows('download_tokens').every(t => t.revoked_at));
+});
+
+test('validateMeta checks the download limits', () => {
+    assert.deepEqual(handler.validateMeta({ file_path: '' }), []);
+    assert.deepEqual(handler.validateMeta({ max_downloads: 0, watermark: 'ya' }), [
+        'meta.max_downloads harus bilangan bulat >= 1',
+        'meta.watermark harus true / false'
+    ]);
+});
@@ -0,0 +1,120 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStubClient } = require('../helpers/stub-supabase');
+const handler = require('../../lib/fulfillment/sewa');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const GROUP = 'https://chat.whatsapp.com/AbCdEfGhIjKlMn';
+
+const product = { id: 'p1', name: 'Sewa Bot 1 Minggu', meta: { duration_days: 7 } };
+
+function setup(rentals = []) {
+    const supabase = createStubClient({ tables: { bot_rentals: rentals } });
+    const settings = { contact_admin: 'https://wa.me/628111111111', bot_group_link: 'https://chat.whatsapp.com/BotGroup12345' };
+    return { supabase, ctx: { supabase, getSettings: async () => settings } };
+}
+
+const order = (fields = {}) => ({ id: 'ORD-1', customer_username: 'budi', rental_target: GROUP, ...fields });
+
+// Manual activation: no bot control webhook in tests
+beforeEach(() => {
+    delete process.env.BOT_CONTROL_URL;
+});
+
+test('fulfill records the rental and hands activation to the admin', async () => {
+    const { supabase, ctx } = setup();
+
+    const result = await handler.fulfill(order(), product, ctx);
+
+    const [rental] = supabase.rows('bot_rentals');
+    assert.equal(rental.order_id, 'ORD-1');
+    assert.equal(rental.target_type, 'group');
+    assert.equal(rental.target, GROUP);
+    assert.equal(rental.status, 'active');
+    assert.equal(rental.activated_at, null);
+    const days = (new Date(rental.expires_at) - new Date(rental.starts_at)) / DAY_MS;
+    assert.equal(days, 7);
+
+    assert.equal(result.delivery_type, 'bot_rental');
+    assert.equal(result.payload.rental_id, rental.id);
+    assert.ok(result.payload.wa_link.startsWith('https://wa.me/628111111111?text='));
+    assert.match(decodeURIComponent(result.payload.wa_link), /Order ID: ORD-1/);
+    assert.equal(result.payload.group_link, 'https://chat.whatsapp.com/BotGroup12345');
+});
+
+test('fulfill accepts a WhatsApp number as target', async () => {
+    const { supabase, ctx } = setup();
+
+    await handler.fulfill(order({ rental_target: '0812-3456-7890' }), product, ctx);
+
+    const [rental] = supabase.rows('bot_rentals');
+    assert.equal(rental.target_type, 'number');
+    assert.equal(rental.target, '6281234567890');
+});
+
+test('fulfill refuses an invalid target', async () => {
+    const { supabase, ctx } = setup();
+
+    await assert.rejects(handler.fulfill(order({ rental_target: 'grup saya' }), product, ctx), /tidak valid/);
+    assert.equal(supabase.rows('bot_rentals').length, 0);
+});
+
+test('fulfill retried reuses the rental of the first attempt', async () => {
+    const { supabase, ctx } = setup();
+
+    const first = await handler.fulfill(order(), product, ctx);
+    const retry = await handler.fulfill(order(), product, ctx);
+
+    assert.equal(supabase.rows('bot_rentals').length, 1);
+    assert.equal(retry.payload.rental_id, first.payload.rental_id);
+});
+
+test('fulfill of an extension pushes the running rental forward', async () => {
+    const expiresAt = new Date(Date.now() + 3 * DAY_MS).toISOString();
+    const { supabase, ctx } = setup([
+        { id: 'r1', order_id: 'ORD-0', target: GROUP, target_type: 'group', status: 'active', expires_at: expiresAt }
+    ]);
+
+    const result = await handler.fulfill(order({ id: 'ORD-2', renewal_of: 'r1' }), product, ctx);
+
+    const [rental] = supabase.rows('bot_rentals');
+    assert.equal(new Date(rental.expires_at) - new Date(expiresAt), 7 * DAY_MS);
+    assert.equal(result.payload.renewed, true);
+    assert.equal(supabase.rows('bot_rentals').length, 1);
+});
+
+test('revoke cancels the rental', async () => {
+    const { supabase, ctx } = setup();
+    const delivery = await handler.fulfill(order(), product, ctx);
+
+    await handler.revoke(order(), delivery, ctx);
+
+    const [rental] = supabase.rows('bot_rentals');
+    assert.equal(rental.status, 'cancelled');
+    assert.ok(rental.deactivated_at);
+});
+
+test('revoke leaves the rental alone for an extension delivery', async () => {
+    const { supabase, ctx } = setup([{ id: 'r1', status: 'active' }]);
+
+    await handler.revoke(order(), { delivery_type: 'bot_rental', payload: { rental_id: 'r1', renewed: true } }, ctx);
+
+    assert.equal(supabase.rows('bot_rentals')[0].status, 'active');
+});
+
+test('abort cancels a rental that never got activated', async () => {
+    const { supabase, ctx } = setup([
+        { id: 'r1', order_id: 'ORD-1', status: 'pending' },
+        { id: 'r2', order_id: 'ORD-2', status: 'active' }
+    ]);
+
+    assert.deepEqual(await handler.abort(order(), ctx), { rental_id: 'r1' });
+    assert.equal(await handler.abort(order({ id: 'ORD-2' }), ctx), null);
+
+    assert.deepEqual(supabase.rows('bot_rentals').map(r => r.status), ['cancelled', 'active']);
+});
+
+test('validateMeta requires the rental length', () => {
+    assert.deepEqual(handler.validateMeta({ duration_days: 30 }), []);
+    assert.deepEqual(handler.validateMeta({}), ['meta.duration_days wajib diisi']);
+});
@@ -0,0 +1,108 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStubClient } = require('../helpers/stub-supabase');
+const { OutOfStockError } = require('../../lib/stock');
+const handler = require('../../lib/fulfillment/stock');
+
+const product = { id: 'p1', name: 'Lisensi Tes', meta: { instructions: 'Aktifkan di menu Lisensi' } };
+
+// reserve_stock_item RPC: oldest available item of the product, held for the order
+function reserveStockItem({ p_product_id, p_order_id }, db) {
+    const item = db.rows('stock_items').find(i => i.product_id === p_product_id && i.status === 'available');
+    if (!item) return [];
+    Object.assign(item, { status: 'reserved', order_id: p_order_id, reserved_at: new Date().toISOString() });
+    return [item];
+}
+
+function setup(contents = ['KEY-AAA', 'KEY-BBB']) {
+    const supabase = createStubClient({
+        tables: {
+            stock_items: contents.map((content, i) => ({ id: `i${i + 1}`, product_id: 'p1', content, status: 'available', order_id: null }))
+        },
+        rpc: { reserve_stock_item: reserveStockItem }
+    });
+    return { supabase, ctx: { supabase, getSettings: async () => ({}) } };
+}
+
+const order = (id = 'ORD-1') => ({ id, customer_username: 'budi' });
+
+test('reserve holds one item per order, also when retried', async () => {
+    const { supabase, ctx } = setup();
+
+    const first = await handler.reserve(order(), product, ctx);
+    const again = await handler.reserve(order(), product, ctx);
+
+    assert.equal(first.id, 'i1');
+    assert.equal(again.id, 'i1');
+    assert.equal(supabase.rpcCalls.length, 1);
+    assert.equal(supabase.rows('stock_items').filter(i => i.status === 'reserved').length, 1);
+});
+
+test('reserve throws OutOfStockError when the pool is empty', async () => {
+    const { ctx } = setup([]);
+
+    await assert.rejects(handler.reserve(order(), product, ctx), err => {
+        assert.ok(err instanceof OutOfStockError);
+        assert.equal(err.status, 409);
+        return true;
+    });
+});
+
+test('fulfill sells the reserved item and delivers its content', async () => {
+    const { supabase, ctx } = setup();
+    await handler.reserve(order(), product, ctx);
+
+    const result = await handler.fulfill(order(), product, ctx);
+
+    assert.equal(result.delivery_type, 'stock_item');
+    assert.deepEqual(result.payload, {
+        items: ['KEY-AAA'],
+        product_name: 'Lisensi Tes',
+        instructions: 'Aktifkan di menu Lisensi',
+        username: 'budi'
+    });
+    const sold = supabase.rows('stock_items').find(i => i.id === 'i1');
+    assert.equal(sold.status, 'sold');
+    assert.ok(sold.sold_at);
+});
+
+test('fulfill takes a fresh item when the reservation was already released', async () => {
+    const { supabase, ctx } = setup();
+    await handler.reserve(order(), product, ctx);
+    await handler.release(order(), ctx);
+
+    const result = await handler.fulfill(order(), product, ctx);
+
+    assert.deepEqual(result.payload.items, ['KEY-AAA']);
+    assert.equal(supabase.rpcCalls.length, 2);
+});
+
+test('fulfill retried after a sale delivers the same item again', async () => {
+    const { supabase, ctx } = setup();
+    await handler.reserve(order(), product, ctx);
+    await handler.fulfill(order(), product, ctx);
+
+    const retry = await handler.fulfill(order(), product, ctx);
+
+    assert.deepEqual(retry.payload.items, ['KEY-AAA']);
+    assert.equal(supabase.rows('stock_items').filter(i => i.status === 'sold').length, 1);
+});
+
+test('release hands reserved items back but keeps sold ones', async () => {
+    const { supabase, ctx } = setup();
+    await handler.reserve(order('ORD-1'), product, ctx);
+    await handler.reserve(order('ORD-2'), product, ctx);
+    await handler.fulfill(order('ORD-2'), product, ctx);
+
+    assert.equal(await handler.release(order('ORD-1'), ctx), 1);
+    assert.equal(await handler.release(order('ORD-2'), ctx), 0);
+
+    const [first, second] = supabase.rows('stock_items');
+    assert.deepEqual([first.status, first.order_id], ['available', null]);
+    assert.equal(second.status, 'sold');
+});
+
+test('validateMeta only checks the instructions text', () => {
+    assert.deepEqual(handler.validateMeta({}), []);
+    assert.deepEqual(handler.validateMeta({ instructions: 5 }), ['meta.instructions harus berupa teks']);
+});
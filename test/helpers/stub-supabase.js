@@ -0,0 +1,233 @@
+/**
+ * In-memory stand-in for the Supabase client, for unit tests of code that
+ * takes `supabase` as an argument (fulfillment handlers, lib/*).
+ *
+ *   const db = createStubClient({
+ *       tables: { stock_items: [{ id: 'i1', status: 'available' }] },
+ *       defaults: { download_tokens: { download_count: 0 } },
+ *       rpc: { reserve_stock_item: (args, db) => [...] }
+ *   });
+ *   db.rows('stock_items')   // current rows
+ *   db.rpcCalls              // [{ name, args }]
+ *
+ * Covers the query builder calls the app uses. Inserted rows get an id and
+ * created_at like the real tables; Dates are stored as ISO strings, the way
+ * they come back from PostgREST. RPC handlers may throw ({ code }) to answer
+ * with an error.
+ */
+
+const crypto = require('crypto');
+
+const clone = value => (value === undefined ? null : JSON.parse(JSON.stringify(value)));
+
+// Column value as PostgREST returns it
+function toRow(values) {
+    return Object.fromEntries(Object.entries(values).map(([key, value]) => [key, value instanceof Date ? value.toISOString() : value]));
+}
+
+function compare(a, b) {
+    if (a === b) return 0;
+    if (a === null || a === undefined) return 1;
+    if (b === null || b === undefined) return -1;
+    return a < b ? -1 : 1;
+}
+
+const same = (a, b) => String(a) === String(b);
+
+class QueryBuilder {
+    constructor(client, table) {
+        this.client = client;
+        this.table = table;
+        this.action = 'select';
+        this.filters = [];
+        this.sorts = [];
+        this.window = null;
+        this.expect = null;
+    }
+
+    select() {
+        // After insert / update / upsert / delete it only asks for the rows back
+        this.returning = true;
+        return this;
+    }
+
+    insert(values) {
+        this.action = 'insert';
+        this.values = values;
+        return this;
+    }
+
+    upsert(values, options = {}) {
+        this.action = 'upsert';
+        this.values = values;
+        this.options = options;
+        return this;
+    }
+
+    update(changes) {
+        this.action = 'update';
+        this.changes = changes;
+        return this;
+    }
+
+    delete() {
+        this.action = 'delete';
+        return this;
+    }
+
+    filter(test) {
+        this.filters.push(test);
+        return this;
+    }
+
+    eq(column, value) { return this.filter(row => same(row[column], value)); }
+    neq(column, value) { return this.filter(row => !same(row[column], value)); }
+    is(column, value) { return this.filter(row => (row[column] ?? null) === value); }
+    in(column, values) { return this.filter(row => values.some(v => same(row[column], v))); }
+    lt(column, value) { return this.filter(row => row[column] !== null && compare(row[column], value) < 0); }
+    lte(column, value) { return this.filter(row => row[column] !== null && compare(row[column], value) <= 0); }
+    gt(column, value) { return this.filter(row => row[column] !== null && compare(row[column], value) > 0); }
+    gte(column, value) { return this.filter(row => row[column] !== null && compare(row[column], value) >= 0); }
+
+    not(column, operator, value) {
+        if (operator !== 'is') throw new Error(`stub-supabase: not(${operator}) is not supported`);
+        return this.filter(row => (row[column] ?? null) !== value);
+    }
+
+    order(column, { ascending = true } = {}) {
+        this.sorts.push({ column, ascending });
+        return this;
+    }
+
+    limit(count) {
+        this.window = { from: 0, to: count - 1 };
+        return this;
+    }
+
+    range(from, to) {
+        this.window = { from, to };
+        return this;
+    }
+
+    single() {
+        this.expect = 'single';
+        return this;
+    }
+
+    maybeSingle() {
+        this.expect = 'maybeSingle';
+        return this;
+    }
+
+    then(resolve, reject) {
+        return Promise.resolve().then(() => this.run()).then(resolve, reject);
+    }
+
+    matches(row) {
+        return this.filters.every(test => test(row));
+    }
+
+    newRow(values) {
+        return {
+            id: crypto.randomUUID(),
+            created_at: new Date().toISOString(),
+            ...(this.client.defaults[this.table] || {}),
+            ...toRow(values)
+        };
+    }
+
+    write() {
+        const rows = this.client.rows(this.table);
+        const list = [].concat(this.values || []);
+
+        switch (this.action) {
+            case 'insert': {
+                const added = list.map(values => this.newRow(values));
+                rows.push(...added);
+                return added;
+            }
+            case 'upsert': {
+                const keys = (this.options.onConflict || 'id').split(',');
+                return list.flatMap(values => {
+                    const existing = rows.find(row => keys.every(key => same(row[key], values[key])));
+                    if (!existing) {
+                        const row = this.newRow(values);
+                        rows.push(row);
+                        return [row];
+                    }
+                    if (this.options.ignoreDuplicates) return [];
+                    Object.assign(existing, toRow(values));
+                    return [existing];
+                });
+            }
+            case 'update': {
+                const changed = rows.filter(row => this.matches(row));
+                changed.forEach(row => Object.assign(row, toRow(this.changes)));
+                return changed;
+            }
+            case 'delete': {
+                const removed = rows.filter(row => this.matches(row));
+                this.client.tables[this.table] = rows.filter(row => !removed.includes(row));
+                return removed;
+            }
+        }
+        return null;
+    }
+
+    read() {
+        let rows = this.client.rows(this.table).filter(row => this.matches(row));
+        this.sorts.slice().reverse().forEach(({ column, ascending }) => {
+            rows = rows.slice().sort((a, b) => compare(a[column], b[column]) * (ascending ? 1 : -1));
+        });
+        if (this.window) rows = rows.slice(this.window.from, this.window.to + 1);
+        return rows;
+    }
+
+    run() {
+        let rows = this.action === 'select' ? this.read() : this.write();
+        if (this.action !== 'select' && !this.returning) return { data: null, error: null, count: null };
+
+        rows = clone(rows);
+        if (!this.expect) return { data: rows, error: null, count: rows.length };
+        if (rows.length > 1 || (this.expect === 'single' && !rows.length)) {
+            return {
+                data: null,
+                error: { code: 'PGRST116', message: `JSON object requested, multiple (or no) rows returned (${rows.length})` },
+                count: null
+            };
+        }
+        return { data: rows[0] || null, error: null, count: rows.length };
+    }
+}
+
+function createStubClient({ tables = {}, defaults = {}, rpc = {} } = {}) {
+    const client = {
+        tables: Object.fromEntries(Object.entries(tables).map(([name, rows]) => [name, rows.map(toRow)])),
+        defaults,
+        rpcCalls: [],
+
+        rows(table) {
+            if (!client.tables[table]) client.tables[table] = [];
+            return client.tables[table];
+        },
+
+        from(table) {
+            return new QueryBuilder(client, table);
+        },
+
+        async rpc(name, args = {}) {
+            client.rpcCalls.push({ name, args });
+            if (!rpc[name]) return { data: null, error: { message: `stub-supabase: rpc ${name} is not stubbed` } };
+            try {
+                return { data: clone(await rpc[name](args, client)), error: null };
+            } catch (error) {
+                return { data: null, error };
+            }
+        }
+    };
+    return client;
+}
+
+module.exports = {
+    createStubClient
+};
@@ -0,0 +1,61 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createStubClient } = require('./helpers/stub-supabase');
+const refunds = require('../lib/refunds');
+
+// Reseller API order paid from the balance (debit already in the ledger)
+function setup({ creditFails = false } = {}) {
+    const order = {
+        id: 'ORD-1', status: 'completed', amount: 20000, payment_provider: 'balance', reseller_id: 'r1',
+        product_snapshot: { type: 'stock', name: 'Lisensi Tes' }
+    };
+    const supabase = createStubClient({
+        tables: {
+            orders: [order],
+            resellers: [{ id: 'r1', balance: 5000, active: true }],
+            reseller_transactions: [{ id: 't1', reseller_id: 'r1', type: 'order', amount: -20000, balance_after: 5000, order_id: 'ORD-1' }]
+        },
+        rpc: {
+            reseller_apply_balance({ p_reseller_id, p_amount, p_type, p_order_id }, db) {
+                if (creditFails) throw { code: '57014', message: 'canceling statement due to statement timeout' };
+                const reseller = db.rows('resellers').find(r => r.id === p_reseller_id);
+                reseller.balance += p_amount;
+                const row = { id: 't2', reseller_id: p_reseller_id, type: p_type, amount: p_amount, balance_after: reseller.balance, order_id: p_order_id };
+                db.rows('reseller_transactions').push(row);
+                return [row];
+            }
+        }
+    });
+    return { supabase, order, ctx: { supabase, getSettings: async () => ({}) } };
+}
+
+test('refund of a balance order credits the reseller, then marks it refunded', async () => {
+    const { supabase, order, ctx } = setup();
+
+    const result = await refunds.refundOrder(order, { amount: 15000, reason: 'Produk salah', revoke: false, actor: 'admin:tes' }, ctx);
+
+    assert.equal(result.order.status, 'refunded');
+    assert.equal(result.refund_amount, 15000);
+    assert.equal(supabase.rows('resellers')[0].balance, 20000);
+    assert.equal(supabase.rows('reseller_transactions')[1].type, 'refund');
+});
+
+test('a failed balance credit fails the refund and leaves the order as it was', async () => {
+    const { supabase, order, ctx } = setup({ creditFails: true });
+
+    await assert.rejects(refunds.refundOrder(order, { reason: 'Produk salah', revoke: false }, ctx), { code: '57014' });
+
+    assert.equal(supabase.rows('orders')[0].status, 'completed');
+    assert.equal(supabase.rows('resellers')[0].balance, 5000);
+    assert.equal(supabase.rows('order_events').length, 0);
+});
+
+test('refund refuses an order that was never paid', async () => {
+    const { order, ctx } = setup();
+
+    await assert.rejects(refunds.refundOrder({ ...order, status: 'pending' }, { reason: 'x' }, ctx), err => {
+        assert.ok(err instanceof refunds.RefundError);
+        assert.equal(err.status, 409);
+        return true;
+    });
+});